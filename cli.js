@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+// Command line front end to core.js: batch generation, heightmap rendering and formula checks.
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+    Random, seedAll, FormulaError, FAULT_NONE,
+    NameGen, THEMES, Generator, compile, sampleRegion, Constraints, Post, heightmapPng
+} from './core.js';
+
+const USAGE = `Usage:
+  mathgen generate [--count N] [--theme NAME | --category NAME] [--noise TYPE] [--level LEVEL]
+                   [--seed N] [--mode height|density] [--json] [--constraints JSON]
+      Prints one formula per line, or with --json a library file the page can import.
+      Formula i uses seed N + i.
+      --constraints retries each formula until it meets targets like
+      '{"minY":0,"maxY":40,"maxWater":20,"roughness":"gentle","valid":true,"tries":100}'
+      (roughness: flat, gentle, rough or wild; water in % of columns at or below seaLevel, default -3).
+      Targets the best try missed are reported on stderr.
+  mathgen render <formula> [--out FILE] [--x N] [--z N] [--size N] [--seed N] [--t N] [--mode height|density]
+                 [--post JSON]
+      Samples size x size columns centered on (x, z). FILE ends in .png (16-bit gray), .csv or .json.
+      --post runs a post-processing pipeline over the heights, as saved in entries' "post".
+  mathgen validate <file> [--mode height|density]
+      Checks one formula per line (blank lines and lines starting with # are skipped), or a library
+      export with its definitions. Exits with 1 if any formula fails.
+
+Negative numbers need '=', e.g. --x=-200.`;
+
+const options = {
+    count: { type: 'string', default: '1' },
+    theme: { type: 'string' },
+    category: { type: 'string' },
+    noise: { type: 'string' },
+    level: { type: 'string' },
+    seed: { type: 'string' },
+    mode: { type: 'string', default: 'height' },
+    json: { type: 'boolean', default: false },
+    constraints: { type: 'string' },
+    out: { type: 'string', default: 'heightmap.png' },
+    x: { type: 'string', default: '0' },
+    z: { type: 'string', default: '0' },
+    size: { type: 'string', default: '256' },
+    t: { type: 'string', default: '0' },
+    post: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const MAX_SIZE = 4096;
+
+class UsageError extends Error {}
+
+function int(value, name, min = -Infinity, max = Infinity) {
+    const n = Number(value);
+    if(!Number.isInteger(n) || n < min || n > max) throw new UsageError(`--${name} must be a whole number from ${min} to ${max}`);
+    return n;
+}
+
+// Case-insensitive lookup in a list of names
+function oneOf(value, list, name) {
+    if(value === undefined) return undefined;
+    const found = list.find(v => v.toLowerCase() === value.toLowerCase());
+    if(!found) throw new UsageError(`Unknown ${name} '${value}'. One of: ${list.join(', ')}`);
+    return found;
+}
+
+function modeOf(opts) {
+    if(opts.mode !== 'height' && opts.mode !== 'density') throw new UsageError(`--mode is height or density`);
+    return opts.mode;
+}
+
+function generate(opts) {
+    const mode = modeOf(opts);
+    let themes = THEMES.filter(t => t.mode === mode);
+    if(opts.theme) themes = themes.filter(t => t.name === oneOf(opts.theme, themes.map(t => t.name), 'theme'));
+    if(opts.category) {
+        const category = oneOf(opts.category, [...new Set(themes.map(t => t.category))], 'category');
+        themes = themes.filter(t => t.category === category);
+    }
+    const noise = oneOf(opts.noise, Generator.noiseTypes, 'noise');
+    const level = oneOf(opts.level, Generator.levels, 'level');
+    const count = int(opts.count, 'count', 1, 100000);
+    const first = opts.seed === undefined ? Random.newSeed() : int(opts.seed, 'seed', 0, 4294967295);
+    let constraints = null;
+    if(opts.constraints !== undefined) {
+        try { constraints = Constraints.normalize(JSON.parse(opts.constraints)); } catch(e) { throw new UsageError("--constraints must be a JSON object"); }
+    }
+
+    // Same order of random draws as GENERATE NEW: seed, then formula, then name
+    const entries = [];
+    for(let i = 0; i < count; i++) {
+        const seed = (first + i) >>> 0;
+        seedAll(seed);
+        let data;
+        if(constraints && Constraints.active(constraints)) {
+            const result = Constraints.generate(() => Generator.pickTheme(themes), constraints, { noise, level });
+            data = result.data;
+            if(result.misses.length) console.error(`seed ${seed}: best of ${result.tries} missed ${result.misses.map(m => m.text).join('; ')}`);
+        } else {
+            data = Generator.create(Generator.pickTheme(themes), { noise, level });
+        }
+        entries.push({ ...data, name: NameGen.get(), seed, mode, created: Date.now() });
+    }
+
+    if(!opts.json) return entries.map(e => e.formula).join('\n');
+    return JSON.stringify({
+        app: 'math-function-formula-generator',
+        version: 1,
+        exported: new Date().toISOString(),
+        history: [],
+        saved: entries,
+        definitions: []
+    }, null, 2);
+}
+
+async function render(formula, opts) {
+    if(!formula) throw new UsageError("render needs a formula");
+    const mode = modeOf(opts);
+    const ext = opts.out.split('.').pop().toLowerCase();
+    if(!['png', 'csv', 'json'].includes(ext)) throw new UsageError("--out must end in .png, .csv or .json");
+    const size = int(opts.size, 'size', 1, MAX_SIZE);
+    const x0 = int(opts.x, 'x') - Math.floor(size / 2), z0 = int(opts.z, 'z') - Math.floor(size / 2);
+    const t = Number(opts.t);
+    if(!Number.isFinite(t)) throw new UsageError("--t must be a number");
+    seedAll(opts.seed === undefined ? 0 : int(opts.seed, 'seed', 0, 4294967295));
+
+    let post = null;
+    if(opts.post !== undefined) {
+        try { post = Post.normalize(JSON.parse(opts.post)); } catch(e) { throw new UsageError("--post must be a JSON pipeline"); }
+        if(mode === 'density') throw new UsageError("--post works on heightmaps only");
+    }
+
+    const fn = compile(formula, mode);
+    const faults = new Uint8Array(size * size);
+    const heights = sampleRegion(fn, x0, z0, size, size, fn.usesTime ? t : 0, faults);
+    const bad = faults.filter(f => f !== FAULT_NONE).length;
+    if(post) Post.apply(post, heights, size, size, { usable: faults.map(f => f === FAULT_NONE ? 1 : 0), x0, z0 });
+
+    let content;
+    if(ext === 'png') {
+        content = await heightmapPng(heights, size, size, `x0=${x0} z0=${z0}`);
+    } else if(ext === 'csv') {
+        const rows = [];
+        for(let z = 0; z < size; z++) rows.push(Array.from(heights.subarray(z * size, (z + 1) * size)).join(','));
+        content = rows.join('\n') + '\n';
+    } else {
+        content = JSON.stringify({ formula, mode, seed: opts.seed === undefined ? 0 : Number(opts.seed), t, post: post && Post.toJSON(post), x0, z0, width: size, depth: size, heights: Array.from(heights) });
+    }
+    await writeFile(opts.out, content);
+
+    let min = Infinity, max = -Infinity;
+    heights.forEach(h => { min = Math.min(min, h); max = Math.max(max, h); });
+    return `Wrote ${opts.out}: ${size}x${size} columns from (${x0}, ${z0}), heights ${min} to ${max}`
+        + (bad ? `\n${bad} column${bad > 1 ? 's' : ''} gave NaN, Infinity or an error and were written as 0` : '');
+}
+
+async function validate(file, opts) {
+    if(!file) throw new UsageError("validate needs a file");
+    const mode = modeOf(opts);
+    const text = await readFile(file, 'utf8');
+
+    // A library export carries its own modes and definitions
+    let items, library = [];
+    let data = null;
+    try { data = JSON.parse(text); } catch(e) { data = null; }
+    if(data && typeof data === 'object' && (data.saved || data.history)) {
+        library = (Array.isArray(data.definitions) ? data.definitions : []).filter(d => typeof d === 'string');
+        items = [...(data.saved || []), ...(data.history || [])]
+            .filter(e => e && typeof e.formula === 'string')
+            .map(e => ({ where: e.name || 'entry', formula: e.formula, mode: e.mode === 'density' ? 'density' : 'height' }));
+    } else {
+        items = text.split(/\r?\n/)
+            .map((formula, i) => ({ where: `line ${i + 1}`, formula: formula.trim(), mode }))
+            .filter(e => e.formula && !e.formula.startsWith('#'));
+    }
+
+    let failed = 0;
+    const lines = items.map(({ where, formula, mode }) => {
+        try {
+            compile(formula, mode, library);
+            return `ok    ${where}`;
+        } catch(e) {
+            if(!(e instanceof FormulaError)) throw e;
+            failed++;
+            return `FAIL  ${where}: ${e.message}\n      ${formula}`;
+        }
+    });
+    lines.push(`${items.length - failed} of ${items.length} formula${items.length === 1 ? '' : 's'} ok`);
+    if(failed) process.exitCode = 1;
+    return lines.join('\n');
+}
+
+async function main(argv) {
+    const { values: opts, positionals: [command, arg] } = parseArgs({ args: argv, options, allowPositionals: true });
+    if(opts.help || !command) return USAGE;
+    if(command === 'generate') return generate(opts);
+    if(command === 'render') return render(arg, opts);
+    if(command === 'validate') return validate(arg, opts);
+    throw new UsageError(`Unknown command '${command}'`);
+}
+
+main(process.argv.slice(2)).then(out => console.log(out), e => {
+    // parseArgs reports bad options as TypeErrors with an ERR_PARSE_ARGS code
+    if(e instanceof UsageError || (e.code && e.code.startsWith('ERR_PARSE_ARGS'))) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    } else if(e instanceof FormulaError || e.syscall) {
+        // Bad formulas and unreadable or unwritable files
+        console.error(e.message);
+        process.exitCode = 1;
+    } else {
+        throw e;
+    }
+});
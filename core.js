@@ -0,0 +1,696 @@
+// Headless core: the math engine plus the generator, compiling, sampling, constrained generation,
+// heightmap post-processing and file writers.
+// No DOM access in here, so the page and the command line tool (cli.js) share it.
+import { Random, Hash, FormulaError, Formula, evaluate, DENSITY_MIN_Y, DENSITY_MAX_Y } from './engine.js';
+
+export * from './engine.js';
+
+// ==========================================
+// 1. NAMES & THEMES
+// ==========================================
+
+const NameGen = {
+    adj: ['Cosmic','Quantum','Voxel','Hyper','Cyber','Glitch','Floating','Lost','Neon','Dark','Solar','Lunar','Infinite','Fractal','Recursive','Broken','Twisted','Hollow','Solid'],
+    noun: ['Lands','Waves','Mountains','Valley','Spire','Grid','Matrix','Core','Void','Peaks','Dunes','Ocean','Maze','Labyrinth','Citadel','Expanse','Realm','Sector','Zone'],
+    get: function() { return this.pick(this.adj) + ' ' + this.pick(this.noun); },
+    pick: (arr) => arr[Math.floor(Random.next() * arr.length)]
+};
+
+// Themes are data. A template is a formula with placeholders:
+//   {expr}   a fresh random expression, deeper for harder levels
+//   {base}   the picked noise at a moderate scale (3D in density mode, trig when noise is None)
+//   {noise}  the picked noise function name
+//   {rand:min:max[:digits]}, {int:min:max}   a random number; prefix with name= to reuse it as {name}
+// noneTemplate, when set, replaces template if the picked noise is None.
+// noises limits which noise types the theme is generated with; null allows all.
+// weight is the theme's share of picks; themes that are not enabled or weigh 0 are skipped.
+const THEMES = [
+    // DIRECTIONAL / TRANSFORM
+    { name: 'Upwards', category: 'Directional', template: 'abs({expr}) + (x + z) * 0.1' },
+    { name: 'Downward', category: 'Directional', template: 'abs({expr}) - (x + z) * 0.1' },
+    { name: 'Reverse', category: 'Directional', template: '-1 * ({expr})' },
+    { name: 'Forward', category: 'Directional', template: '({expr}) + z * 0.5' },
+    { name: 'FlipX', category: 'Directional', template: 'sin(-x*0.1) * 10 + {base}*10' },
+    { name: 'FlipY', category: 'Directional', template: '-1 * abs({expr})' },
+    { name: 'FlipZ', category: 'Directional', template: 'cos(-z*0.1) * 10 + {base}*10' },
+    { name: 'Upside Down', category: 'Directional', template: '-1 * ({expr} + 20)' },
+
+    // VOXEL / GRID
+    { name: 'Blocky', category: 'Voxel', template: 'floor({base} * 15) * 2' },
+    { name: 'Cubes', category: 'Voxel', template: 'floor(x/4)*4 + floor(z/4)*4 + {base}*5' },
+    { name: 'Digital', category: 'Voxel', template: 'round({base} * 10) * 2 + mod(x, 2)' },
+    { name: 'Modern', category: 'Voxel', template: 'max(abs(x%10), abs(z%10)) + {base}*5' },
+    { name: 'Cyberpunk2077', category: 'Voxel', template: 'mod(floor(x), 5) * mod(floor(z), 5) * 5 + {base}*10' },
+    { name: 'One Block', category: 'Voxel', template: '(abs(x)<1 && abs(z)<1) ? 10 : 0' },
+    { name: 'X-Ray', category: 'Voxel', template: '(mod(x, 2) > 1 && mod(z, 2) > 1) ? {base}*20 : 0' },
+    { name: 'Skyscraper', category: 'Voxel', template: '(mod(x, 10) < 3 && mod(z, 10) < 3) ? {expr} + 20 : 0' },
+
+    // GEOMETRIC
+    { name: 'Sphere', category: 'Geometric', template: 'sqrt(max(0, 900 - x*x - z*z))' },
+    { name: 'Torus', category: 'Geometric', template: 'sqrt(max(0, 100 - pow(sqrt(x*x+z*z) - 30, 2)))' },
+    { name: 'Pyramid', category: 'Geometric', template: 'max(0, 40 - max(abs(x), abs(z)))' },
+    { name: 'Star', category: 'Geometric', template: 'max(0, 30 - sqrt(x*x+z*z) + sin(atan2(z,x)*5)*10)' },
+    { name: 'Tower', category: 'Geometric', template: 'max(0, 50 - sqrt(x*x+z*z)*2)' },
+
+    // ORGANIC
+    { name: 'Smooth', category: 'Organic', template: 'sin(x*0.05)*10 + cos(z*0.05)*10 + {base}*5' },
+    { name: 'Realistic', category: 'Organic', template: 'octaved(x*{s=rand:0.005:0.025:4}, z*{s}, 4, 0.5) * {int:15:45}',
+        noneTemplate: 'sin(x*0.02) * 15 + cos(z*0.02) * 15 + sin(x*0.05 + z*0.05) * 5' },
+    { name: 'Fantasy', category: 'Organic', template: 'sin(x*0.1)*cos(z*0.1)*10 + pow(abs({base}), 3)*15' },
+    { name: 'Underwater', category: 'Organic', template: 'min(-2, {base} * 20)' },
+    { name: 'Cavern', category: 'Organic', template: 'abs({base}*20) * -1 + 10' },
+    { name: 'Holes', category: 'Organic', template: '10 - max(0, sin(x*0.2)*sin(z*0.2)*20)' },
+    // Notch terrain leans on rand(); without noise a trig speckle stands in
+    { name: 'Notch', category: 'Organic', template: '{base} * 20 + (rand() > 0.9 ? 10 : 0)',
+        noneTemplate: '{base} * 20 + (sin(x*5)*cos(z*5) > 0.9 ? 10 : 0)' },
+
+    // MAZE
+    { name: 'Maze', category: 'Maze', template: 'floor(sin(x*0.2) + cos(z*0.2) + 1.5) * 10' },
+    { name: 'Giant Maze', category: 'Maze', template: 'floor(sin(x*0.05) + cos(z*0.05) + 1.2) * 20' },
+    { name: 'Auto Maze', category: 'Maze', template: '(perlin(x*0.1,0,z*0.1) > 0.2) ? 10 : 0',
+        noneTemplate: '(sin(x*0.1)*cos(z*0.1) > 0.2) ? 10 : 0' },
+
+    // ABSTRACT
+    { name: 'Void', category: 'Abstract', template: '(sqrt(x*x+z*z) > 20) ? {expr} : -50' },
+    { name: 'Floating', category: 'Abstract', template: '{base}*10 + 30' },
+    { name: 'Floating Island', category: 'Abstract', template: 'max(0, 30 - sqrt(x*x+z*z)) + {base}*5 + 20' },
+    { name: 'Hell', category: 'Abstract', template: 'abs(tan(x*0.05 + z*0.05)) * 10 + {base}*5' },
+    { name: 'Underworld', category: 'Abstract', template: '{base} * 10 - 30' },
+
+    // DENSITY: positive is solid. Most start from a ground term like ({g} - y)*0.1
+    { name: 'Caves', category: 'Underground', mode: 'density', template: '({g=int:0:10} - y)*0.1 - max(0, 0.25 - abs({base}))*8' },
+    { name: 'Swiss Cheese', category: 'Underground', mode: 'density', template: 'min(({g=int:10:20} - y)*0.1, {base} + 0.4)' },
+    { name: 'Overhangs', category: 'Surface', mode: 'density', template: '({int:0:10} - y)*0.06 + {base}*1.2' },
+    { name: 'Arches', category: 'Surface', mode: 'density', template: '({int:0:10} - y)*0.1 + max(0, 1 - abs({base})*6) * (y < 25 ? 1 : 0)' },
+    { name: 'Warped', category: 'Surface', mode: 'density', template: '({int:0:10} - y)*0.1 + {base} + sin({expr})*0.3' },
+    { name: 'Floating Islands', category: 'Sky', mode: 'density', template: 'max(-y*0.2 - 1, {base} - abs(y - 30)*0.08 + 0.2)' },
+    { name: 'Sky Pillars', category: 'Sky', mode: 'density', template: 'max(-y*0.2, 0.5 - abs(sin(x*0.08)*cos(z*0.08))*3 + {base}*0.3 - max(0, y - 40)*0.1)' }
+].map(t => ({ mode: 'height', noises: null, noneTemplate: '', weight: 1, enabled: true, ...t }));
+
+// ==========================================
+// 2. GENERATOR
+// ==========================================
+
+const Generator = {
+    ops: ['+','-','*'],
+    funcs: ['sin','cos','abs','floor','round','sqrt'],
+    // Added None here
+    noiseTypes: ['Perlin', 'Simplex', 'Value', 'Worley', 'Cellular', 'Ridged', 'Billow', 'Normal', 'Blended', 'None'],
+
+    levels: ['Hardcoded', 'Expert', 'Unreal', 'Long Math', 'Intermediate'],
+
+    pick: arr => arr[Math.floor(Random.next()*arr.length)],
+
+    pickWeighted: function(list) {
+        const total = list.reduce((sum, t) => sum + t.weight, 0);
+        if(!(total > 0)) return this.pick(list);
+        let r = Random.next() * total;
+        for(const t of list) {
+            r -= t.weight;
+            if(r < 0) return t;
+        }
+        return list[list.length - 1];
+    },
+
+    // Picks by weight from the enabled themes, or from all of them when none is enabled
+    pickTheme: function(themes) {
+        const enabled = themes.filter(t => t.enabled !== false && t.weight > 0);
+        return this.pickWeighted(enabled.length ? enabled : themes);
+    },
+    
+    genExpr: function(depth, noiseKey) {
+        // Recursion Termination
+        if(depth <= 0) {
+            const r = Random.next();
+            if(r < 0.6) return (Random.next() < 0.5 ? 'x' : 'z') + '*' + (Random.next()*0.15 + 0.01).toFixed(3);
+            return (Random.next()*15).toFixed(1);
+        }
+
+        // Logic Branch: NO NOISE if 'None'
+        if (noiseKey === 'None') {
+            const type = Random.next();
+            // 50% Op, 50% Func. 0% Noise.
+            if(type < 0.5) return `(${this.genExpr(depth-1, noiseKey)} ${this.pick(this.ops)} ${this.genExpr(depth-1, noiseKey)})`;
+            return `${this.pick(this.funcs)}(${this.genExpr(depth-1, noiseKey)})`;
+        }
+
+        // Standard Random Logic with Noise
+        const type = Random.next();
+        if(type < 0.3) return `(${this.genExpr(depth-1, noiseKey)} ${this.pick(this.ops)} ${this.genExpr(depth-1, noiseKey)})`;
+        if(type < 0.6) return `${this.pick(this.funcs)}(${this.genExpr(depth-1, noiseKey)})`;
+        
+        return `${noiseKey.toLowerCase()}(x*${(Random.next()*0.1).toFixed(3)}, 0, z*${(Random.next()*0.1).toFixed(3)}) * ${(Random.next()*20+5).toFixed(0)}`;
+    },
+
+    // Level and noise are picked at random unless given; a theme's noises limit the pick
+    create: function(theme, { level = this.pick(this.levels), noise = this.pick(theme.noises || this.noiseTypes) } = {}) {
+
+        return {
+            formula: this.fill(theme, noise, level),
+            noise: noise,
+            type: theme.name,
+            level: level
+        };
+    },
+
+    // Expands a theme's template; see Themes for the placeholders
+    fill: function(theme, noiseKey, level) {
+        const density = theme.mode === 'density';
+        const template = noiseKey === 'None' && theme.noneTemplate ? theme.noneTemplate : theme.template;
+
+        let depth = 3;
+        if(level === 'Expert') depth = 4;
+        if(level === 'Long Math') depth = 5;
+        if(level === 'Hardcoded') depth = 1;
+        // Density formulas already carry a 3D term, so their random part stays shallower
+        if(density) depth = Math.max(1, depth - 1);
+
+        // If None, a trig interference pattern is the base, so structure exists without noise
+        let base;
+        if(density) {
+            const s = (Random.next() * 0.04 + 0.03).toFixed(3);
+            base = noiseKey === 'None'
+                ? `(sin(x*${s}*2 + y*${s}) * cos(z*${s}*2 - y*${s}))`
+                : `${noiseKey.toLowerCase()}(x*${s}, y*${s}, z*${s})`;
+        } else {
+            base = noiseKey === 'None' ? `(sin(x*0.05) + cos(z*0.05))` : `${noiseKey.toLowerCase()}(x*0.05, 0, z*0.05)`;
+        }
+
+        const params = {};
+        return template.replace(/\{(?:(\w+)=)?(?:(rand|int):(-?[\d.]+):(-?[\d.]+)(?::(\d))?|(\w+))\}/g,
+            (match, label, kind, lo, hi, digits, name) => {
+                if(kind) {
+                    const min = Number(lo), max = Number(hi);
+                    const value = kind === 'int'
+                        ? String(Math.floor(min + Random.next() * (max - min + 1)))
+                        : (min + Random.next() * (max - min)).toFixed(digits ? Number(digits) : 3);
+                    if(label) params[label] = value;
+                    return value;
+                }
+                if(name === 'expr') return this.genExpr(depth, noiseKey);
+                if(name === 'base') return base;
+                if(name === 'noise') return noiseKey === 'None' ? 'simplex' : noiseKey.toLowerCase();
+                if(name in params) return params[name];
+                throw new Error(`Unknown placeholder {${name}}`);
+            });
+    }
+};
+
+// ==========================================
+// 3. COMPILING & SAMPLING
+// ==========================================
+
+// Compiles a formula for 'height' or 'density' mode with a library of definitions. The function
+// carries what workers need to recompile it and what caches key on. Throws FormulaError.
+function compile(src, mode = 'height', library = [], ast = Formula.parse(src, mode === 'density' ? Formula.densityVars : Formula.vars, library)) {
+    const f = Formula.compile(ast);
+    f.source = src;
+    f.library = library.slice();
+    // Only library entries in use count towards the cache key
+    f.libraryKey = Formula.definitions(ast).filter(d => d.lib).map(d => Formula.printDefinition(d)).join('; ');
+    f.mode = mode;
+    f.usesTime = Formula.uses(ast, 't');
+    return f;
+}
+
+// Height of column (x, z): the formula itself, or the top solid block in density mode
+function columnTop(fn, x, z, t, faults = null, at = 0) {
+    if(fn.mode !== 'density') return evaluate(fn, x, z, 0, t, faults, at);
+    let y = DENSITY_MAX_Y - 1;
+    while(y >= DENSITY_MIN_Y && !(evaluate(fn, x, z, y, t, faults, at) > 0)) y--;
+    return y;
+}
+
+// Heights of width x depth columns from (x0, z0), indexed z * width + x
+function sampleRegion(fn, x0, z0, width, depth, t = 0, faults = null) {
+    const heights = new Float32Array(width * depth);
+    for(let z = 0; z < depth; z++) {
+        for(let x = 0; x < width; x++) heights[z * width + x] = columnTop(fn, x0 + x, z0 + z, t, faults, z * width + x);
+    }
+    return heights;
+}
+
+// ==========================================
+// 4. CONSTRAINED GENERATION
+// ==========================================
+
+// Targets for generated formulas, checked on a coarse grid of columns around the origin. A null
+// bound isn't checked. Heights are block heights of the surface (the top solid block in density
+// mode), water is the share of columns at or below seaLevel, and roughness the mean height step
+// between neighbouring columns.
+const Constraints = {
+    roughness: {
+        any: null,
+        flat: [0, 0.25],
+        gentle: [0.25, 1],
+        rough: [1, 3],
+        wild: [3, Infinity]
+    },
+    maxTries: 500,
+
+    defaults: () => ({ minY: null, maxY: null, minWater: null, maxWater: null, seaLevel: -3, roughness: 'any', valid: false, tries: 40 }),
+
+    normalize: function(raw) {
+        const c = this.defaults();
+        if(!raw || typeof raw !== 'object') return c;
+        const num = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v)) ? Number(v) : null;
+        ['minY', 'maxY'].forEach(k => { c[k] = num(raw[k]); });
+        ['minWater', 'maxWater'].forEach(k => { c[k] = num(raw[k]) === null ? null : Math.min(100, Math.max(0, num(raw[k]))); });
+        if(num(raw.seaLevel) !== null) c.seaLevel = Math.floor(num(raw.seaLevel));
+        if(Object.hasOwn(this.roughness, raw.roughness)) c.roughness = raw.roughness;
+        c.valid = raw.valid === true;
+        if(num(raw.tries) !== null) c.tries = Math.min(this.maxTries, Math.max(1, Math.floor(num(raw.tries))));
+        return c;
+    },
+
+    // Whether anything is checked at all
+    active: (c) => c.minY !== null || c.maxY !== null || c.minWater !== null || c.maxWater !== null || c.roughness !== 'any' || c.valid,
+
+    // Samples grid x grid columns `spread` blocks apart, each with its +x and +z neighbour for the slope.
+    // Density formulas cost a column scan per sample, so they get a smaller grid.
+    measure: function(fn, seaLevel = -3, { grid = fn.mode === 'density' ? 16 : 32, spread = 6 } = {}) {
+        const faults = new Uint8Array(3);
+        const half = Math.floor(grid / 2) * spread;
+        const stats = { samples: 0, faults: 0, min: Infinity, max: -Infinity, mean: 0, water: 0, roughness: 0 };
+        for(let j = 0; j < grid; j++) {
+            for(let i = 0; i < grid; i++) {
+                const x = i * spread - half, z = j * spread - half;
+                faults.fill(0);
+                const h = Math.floor(columnTop(fn, x, z, 0, faults, 0));
+                const hx = Math.floor(columnTop(fn, x + 1, z, 0, faults, 1));
+                const hz = Math.floor(columnTop(fn, x, z + 1, 0, faults, 2));
+                if(faults.some(f => f)) { stats.faults++; continue; }
+                stats.samples++;
+                stats.min = Math.min(stats.min, h);
+                stats.max = Math.max(stats.max, h);
+                stats.mean += h;
+                if(h <= seaLevel) stats.water++;
+                stats.roughness += Math.max(Math.abs(hx - h), Math.abs(hz - h));
+            }
+        }
+        if(stats.samples) {
+            stats.mean /= stats.samples;
+            stats.water = stats.water / stats.samples * 100;
+            stats.roughness /= stats.samples;
+        }
+        stats.faults = stats.faults / (grid * grid) * 100;
+        return stats;
+    },
+
+    // Name of the roughness level a measured value falls in
+    roughnessOf: function(value) {
+        return Object.keys(this.roughness).find(k => this.roughness[k] && value >= this.roughness[k][0] && value < this.roughness[k][1]);
+    },
+
+    // What the measured stats miss: a list of { key, text, by }, where by says how far off it is
+    // in rough units of 10 blocks, 10% or one roughness level
+    check: function(stats, c) {
+        const misses = [];
+        const fmt = (n) => String(Math.round(n * 10) / 10);
+        const range = (lo, hi, unit = '') => lo === null ? `at most ${hi}${unit}` : hi === null ? `at least ${lo}${unit}` : `${lo} to ${hi}${unit}`;
+        if(c.valid && stats.faults > 0) {
+            misses.push({ key: 'valid', text: `${fmt(stats.faults)}% invalid samples`, by: 1 + stats.faults / 10 });
+        }
+        if(!stats.samples) {
+            misses.push({ key: 'samples', text: "no valid samples", by: 100 });
+            return misses;
+        }
+        if(c.minY !== null || c.maxY !== null) {
+            const by = Math.max(0, c.minY === null ? 0 : c.minY - stats.min) + Math.max(0, c.maxY === null ? 0 : stats.max - c.maxY);
+            if(by > 0) misses.push({ key: 'height', text: `height ${stats.min} to ${stats.max}, wanted ${range(c.minY, c.maxY)}`, by: by / 10 });
+        }
+        if(c.minWater !== null || c.maxWater !== null) {
+            const by = Math.max(0, c.minWater === null ? 0 : c.minWater - stats.water) + Math.max(0, c.maxWater === null ? 0 : stats.water - c.maxWater);
+            if(by > 0) misses.push({ key: 'water', text: `water ${fmt(stats.water)}%, wanted ${range(c.minWater, c.maxWater, '%')}`, by: by / 10 });
+        }
+        const want = this.roughness[c.roughness];
+        if(want && (stats.roughness < want[0] || stats.roughness >= want[1])) {
+            const levels = Object.keys(this.roughness).slice(1);
+            const by = Math.abs(levels.indexOf(this.roughnessOf(stats.roughness)) - levels.indexOf(c.roughness));
+            misses.push({ key: 'roughness', text: `roughness ${fmt(stats.roughness)} is ${this.roughnessOf(stats.roughness)}, wanted ${c.roughness}`, by });
+        }
+        return misses;
+    },
+
+    // Creates up to c.tries formulas and returns the first that meets every constraint, or the one
+    // that came closest: { data, mode, stats, misses, tries }. When no try compiles, the last one is
+    // returned with stats null and a 'compile' miss. pickTheme is called for each try;
+    // options go to Generator.create, plus library for compiling.
+    generate: function(pickTheme, c, { library = [], ...options } = {}) {
+        let best = null, tries = 0;
+        while(tries < c.tries) {
+            tries++;
+            const theme = pickTheme();
+            const data = Generator.create(theme, options);
+            const mode = theme.mode || 'height';
+            let fn;
+            try {
+                fn = compile(data.formula, mode, library);
+            } catch(e) {
+                if(!(e instanceof FormulaError)) throw e;
+                if(!best || best.stats === null) best = { data, mode, stats: null, misses: [{ key: 'compile', text: `does not compile: ${e.message}`, by: 1000 }], score: Infinity };
+                continue;
+            }
+            const stats = this.measure(fn, c.seaLevel);
+            const misses = this.check(stats, c);
+            const score = misses.reduce((sum, m) => sum + m.by, 0);
+            if(!best || score < best.score) best = { data, mode, stats, misses, score };
+            if(!misses.length) break;
+        }
+        return { data: best.data, mode: best.mode, stats: best.stats, misses: best.misses, tries };
+    }
+};
+
+// ==========================================
+// 5. HEIGHTMAP POST-PROCESSING
+// ==========================================
+
+// Optional stages run in order over sampled heights before they become blocks. A pipeline is a list
+// of { type, on, ...params } with plain numbers, so it saves with entries and links.
+// Heights are indexed z * width + x. Columns with usable 0 (still sampling, or broken) are left
+// alone and don't feed their neighbours.
+const Post = {
+    stages: {
+        hydraulic: {
+            label: 'Hydraulic erosion',
+            params: {
+                drops: { label: 'Droplets per column', min: 0.1, max: 4, step: 0.1, value: 1 },
+                erode: { label: 'Erosion', min: 0, max: 1, step: 0.05, value: 0.3 },
+                deposit: { label: 'Deposition', min: 0, max: 1, step: 0.05, value: 0.3 },
+                capacity: { label: 'Sediment capacity', min: 1, max: 16, step: 0.5, value: 4 },
+                evaporate: { label: 'Evaporation', min: 0.005, max: 0.2, step: 0.005, value: 0.02 }
+            }
+        },
+        thermal: {
+            label: 'Thermal erosion',
+            params: {
+                passes: { label: 'Passes', min: 1, max: 100, step: 1, value: 20 },
+                talus: { label: 'Stable slope', min: 0, max: 8, step: 0.25, value: 1.5 },
+                rate: { label: 'Rate', min: 0.05, max: 1, step: 0.05, value: 0.5 }
+            }
+        },
+        smooth: {
+            label: 'Gaussian smoothing',
+            params: {
+                sigma: { label: 'Radius (sigma)', min: 0.5, max: 8, step: 0.25, value: 1.5 }
+            }
+        },
+        terrace: {
+            label: 'Terracing',
+            params: {
+                step: { label: 'Step height', min: 1, max: 32, step: 1, value: 6 },
+                sharpness: { label: 'Sharpness', min: 0, max: 1, step: 0.05, value: 0.8 }
+            }
+        },
+        sea: {
+            label: 'Sea level',
+            params: {
+                level: { label: 'Level', min: -64, max: 64, step: 1, value: -3 }
+            }
+        }
+    },
+
+    make: function(type) {
+        const stage = { type, on: false };
+        Object.entries(this.stages[type].params).forEach(([key, p]) => { stage[key] = p.value; });
+        return stage;
+    },
+
+    // Every stage once, off, in the default order
+    defaults: function() {
+        return Object.keys(this.stages).map(type => this.make(type));
+    },
+
+    // A full pipeline from saved data: known stages in their saved order with parameters clamped,
+    // then the missing ones, off
+    normalize: function(raw) {
+        const out = [];
+        (Array.isArray(raw) ? raw : []).forEach(s => {
+            if(!s || !Object.hasOwn(this.stages, s.type) || out.some(o => o.type === s.type)) return;
+            const stage = this.make(s.type);
+            stage.on = s.on === true;
+            Object.entries(this.stages[s.type].params).forEach(([key, p]) => {
+                const v = Number(s[key]);
+                if(s[key] !== undefined && s[key] !== null && Number.isFinite(v)) stage[key] = Math.min(p.max, Math.max(p.min, v));
+            });
+            out.push(stage);
+        });
+        Object.keys(this.stages).forEach(type => { if(!out.some(s => s.type === type)) out.push(this.make(type)); });
+        return out;
+    },
+
+    active: (pipeline) => pipeline.some(s => s.on),
+
+    // What entries and links store: the pipeline while a stage is on, else null
+    toJSON: function(pipeline) {
+        return this.active(pipeline) ? pipeline.map(s => ({ ...s })) : null;
+    },
+
+    // Runs the stages that are on, in place. Erosion droplets start from Hash values of their
+    // world column, so (x0, z0) and the seed make the result reproducible.
+    apply: function(pipeline, heights, width, depth, { usable = null, x0 = 0, z0 = 0 } = {}) {
+        const ok = usable || new Uint8Array(width * depth).fill(1);
+        pipeline.forEach(s => {
+            if(s.on) POST_STAGES[s.type](heights, width, depth, ok, s, x0, z0);
+        });
+        return heights;
+    }
+};
+
+const DROP_INERTIA = 0.05;
+const DROP_GRAVITY = 4;
+const DROP_STEPS = 64;
+
+// Water droplets run downhill, picking up sediment while they speed up and dropping it where
+// they slow down or fill a pit. Heights are read and changed bilinearly over the four columns around a droplet.
+function hydraulicErosion(h, w, d, ok, s, x0, z0) {
+    const cellOk = (i, j) => i >= 0 && j >= 0 && i < w - 1 && j < d - 1
+        && ok[j * w + i] && ok[j * w + i + 1] && ok[(j + 1) * w + i] && ok[(j + 1) * w + i + 1];
+    const heightAt = (x, z) => {
+        const i = Math.floor(x), j = Math.floor(z), u = x - i, v = z - j, p = j * w + i;
+        return h[p] * (1 - u) * (1 - v) + h[p + 1] * u * (1 - v) + h[p + w] * (1 - u) * v + h[p + w + 1] * u * v;
+    };
+    // Adds amount at (x, z), spread over the four columns by weight
+    const spread = (x, z, amount) => {
+        const i = Math.floor(x), j = Math.floor(z), u = x - i, v = z - j, p = j * w + i;
+        h[p] += amount * (1 - u) * (1 - v);
+        h[p + 1] += amount * u * (1 - v);
+        h[p + w] += amount * (1 - u) * v;
+        h[p + w + 1] += amount * u * v;
+    };
+
+    for(let cz = 0; cz < d - 1; cz++) {
+        for(let cx = 0; cx < w - 1; cx++) {
+            if(!cellOk(cx, cz)) continue;
+            const wx = x0 + cx, wz = z0 + cz;
+            const count = Math.floor(s.drops) + (Hash.intHash(wx, wz) < s.drops % 1 ? 1 : 0);
+            for(let n = 0; n < count; n++) {
+                let x = cx + Hash.intHash(wx * 31 + n, wz + 7), z = cz + Hash.intHash(wx + 13, wz * 31 + n);
+                let dx = 0, dz = 0, speed = 1, water = 1, sediment = 0;
+                for(let step = 0; step < DROP_STEPS; step++) {
+                    const i = Math.floor(x), j = Math.floor(z), u = x - i, v = z - j, p = j * w + i;
+                    const height = heightAt(x, z);
+                    const gx = (h[p + 1] - h[p]) * (1 - v) + (h[p + w + 1] - h[p + w]) * v;
+                    const gz = (h[p + w] - h[p]) * (1 - u) + (h[p + w + 1] - h[p + 1]) * u;
+                    dx = dx * DROP_INERTIA - gx * (1 - DROP_INERTIA);
+                    dz = dz * DROP_INERTIA - gz * (1 - DROP_INERTIA);
+                    const len = Math.hypot(dx, dz);
+                    if(len < 1e-6) break;
+                    dx /= len;
+                    dz /= len;
+                    const nx = x + dx, nz = z + dz;
+                    if(!cellOk(Math.floor(nx), Math.floor(nz))) break;
+
+                    const dh = heightAt(nx, nz) - height;
+                    const capacity = Math.max(-dh * speed * water * s.capacity, 0.01);
+                    if(sediment > capacity || dh > 0) {
+                        // Uphill, fill the pit behind at most up to the new height
+                        const amount = dh > 0 ? Math.min(dh, sediment) : (sediment - capacity) * s.deposit;
+                        sediment -= amount;
+                        spread(x, z, amount);
+                    } else {
+                        const amount = Math.min((capacity - sediment) * s.erode, -dh);
+                        sediment += amount;
+                        spread(x, z, -amount);
+                    }
+                    speed = Math.sqrt(Math.max(0, speed * speed - dh * DROP_GRAVITY));
+                    water *= 1 - s.evaporate;
+                    x = nx;
+                    z = nz;
+                }
+                // Whatever is still carried settles where the droplet stopped
+                spread(x, z, sediment);
+            }
+        }
+    }
+}
+
+// Slopes steeper than talus slide: each pass moves part of the excess from the higher column to the lower
+function thermalErosion(h, w, d, ok, s) {
+    const delta = new Float32Array(w * d);
+    const pair = (p, q) => {
+        if(!ok[q]) return;
+        const diff = h[p] - h[q];
+        const excess = Math.abs(diff) - s.talus;
+        if(excess <= 0) return;
+        // A column can shed to four neighbours, so each pair moves a quarter
+        const move = Math.sign(diff) * s.rate * excess / 4;
+        delta[p] -= move;
+        delta[q] += move;
+    };
+    for(let pass = 0; pass < s.passes; pass++) {
+        delta.fill(0);
+        for(let z = 0; z < d; z++) {
+            for(let x = 0; x < w; x++) {
+                const p = z * w + x;
+                if(!ok[p]) continue;
+                if(x < w - 1) pair(p, p + 1);
+                if(z < d - 1) pair(p, p + w);
+            }
+        }
+        for(let p = 0; p < w * d; p++) h[p] += delta[p];
+    }
+}
+
+// Separable blur along x, then z, averaging only usable columns
+function gaussianSmooth(h, w, d, ok, s) {
+    const r = Math.ceil(s.sigma * 3);
+    const kernel = Array.from({ length: 2 * r + 1 }, (_, k) => Math.exp(-((k - r) ** 2) / (2 * s.sigma * s.sigma)));
+    const blur = (src, dst, stride, along, limit) => {
+        for(let z = 0; z < d; z++) {
+            for(let x = 0; x < w; x++) {
+                const p = z * w + x;
+                if(!ok[p]) continue;
+                const at = along === 'x' ? x : z;
+                let sum = 0, weight = 0;
+                for(let k = -r; k <= r; k++) {
+                    if(at + k < 0 || at + k >= limit) continue;
+                    const q = p + k * stride;
+                    if(!ok[q]) continue;
+                    sum += src[q] * kernel[k + r];
+                    weight += kernel[k + r];
+                }
+                dst[p] = sum / weight;
+            }
+        }
+    };
+    const tmp = Float32Array.from(h);
+    blur(h, tmp, 1, 'x', w);
+    blur(tmp, h, w, 'z', d);
+}
+
+// Flat steps every `step` blocks. Sharpness is the part of each step that is flat; the rest ramps up.
+function terrace(h, w, d, ok, s) {
+    for(let p = 0; p < w * d; p++) {
+        if(!ok[p]) continue;
+        const t = h[p] / s.step, base = Math.floor(t);
+        const rise = s.sharpness >= 1 ? 0 : Math.max(0, (t - base - s.sharpness) / (1 - s.sharpness));
+        h[p] = (base + rise) * s.step;
+    }
+}
+
+// Everything below the level becomes a flat sea floor at it
+function seaLevel(h, w, d, ok, s) {
+    for(let p = 0; p < w * d; p++) if(ok[p]) h[p] = Math.max(h[p], s.level);
+}
+
+const POST_STAGES = { hydraulic: hydraulicErosion, thermal: thermalErosion, smooth: gaussianSmooth, terrace, sea: seaLevel };
+
+// ==========================================
+// 6. FILE WRITERS
+// ==========================================
+
+const compressBytes = async (bytes, format) =>
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream(format))).arrayBuffer());
+
+// Growable little/big-endian byte buffer for the binary writers below
+function byteWriter(littleEndian = false) {
+    let buf = new Uint8Array(1 << 16);
+    let view = new DataView(buf.buffer);
+    let len = 0;
+    const ensure = (n) => {
+        if(len + n <= buf.length) return;
+        const next = new Uint8Array(Math.max(buf.length * 2, len + n));
+        next.set(buf);
+        buf = next;
+        view = new DataView(buf.buffer);
+    };
+    return {
+        u8: (v) => { ensure(1); buf[len++] = v; },
+        i16: (v) => { ensure(2); view.setInt16(len, v, littleEndian); len += 2; },
+        u16: (v) => { ensure(2); view.setUint16(len, v, littleEndian); len += 2; },
+        i32: (v) => { ensure(4); view.setInt32(len, v, littleEndian); len += 4; },
+        u32: (v) => { ensure(4); view.setUint32(len, v, littleEndian); len += 4; },
+        f32: (v) => { ensure(4); view.setFloat32(len, v, littleEndian); len += 4; },
+        bytes: (arr) => { ensure(arr.length); buf.set(arr, len); len += arr.length; },
+        result: () => buf.slice(0, len)
+    };
+}
+
+const Png = {
+    crcTable: null,
+    crc32: function(bytes) {
+        if(!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for(let n = 0; n < 256; n++) {
+                let c = n;
+                for(let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for(let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    chunk: function(w, type, data) {
+        const body = new Uint8Array(4 + data.length);
+        body.set(new TextEncoder().encode(type));
+        body.set(data, 4);
+        w.u32(data.length);
+        w.bytes(body);
+        w.u32(this.crc32(body));
+    },
+
+    // 16-bit grayscale PNG from samples in 0..65535, row by row
+    gray16: async function(width, height, samples, comment) {
+        const ihdr = byteWriter();
+        ihdr.u32(width); ihdr.u32(height);
+        [16, 0, 0, 0, 0].forEach(v => ihdr.u8(v)); // depth, gray, deflate, no filter method, no interlace
+
+        const raw = new Uint8Array(height * (1 + width * 2));
+        let p = 0;
+        for(let y = 0; y < height; y++) {
+            raw[p++] = 0;
+            for(let x = 0; x < width; x++) {
+                const v = samples[y * width + x];
+                raw[p++] = v >>> 8;
+                raw[p++] = v & 255;
+            }
+        }
+
+        const w = byteWriter();
+        w.bytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        this.chunk(w, 'IHDR', ihdr.result());
+        if(comment) this.chunk(w, 'tEXt', new TextEncoder().encode('Comment\0' + comment));
+        this.chunk(w, 'IDAT', await compressBytes(raw, 'deflate'));
+        this.chunk(w, 'IEND', new Uint8Array(0));
+        return w.result();
+    }
+};
+
+// Heights stretched to the full 16-bit range; the real range goes into the PNG comment, then the note
+function heightmapPng(heights, width, depth, note = '') {
+    let min = Infinity, max = -Infinity;
+    heights.forEach(h => { min = Math.min(min, h); max = Math.max(max, h); });
+    const range = max - min || 1;
+    const samples = new Uint16Array(heights.length);
+    heights.forEach((h, i) => { samples[i] = Math.round((h - min) / range * 65535); });
+    return Png.gray16(width, depth, samples, `min=${min} max=${max}` + (note ? ` ${note}` : ''));
+}
+
+export {
+    NameGen, THEMES, Generator,
+    compile, columnTop, sampleRegion, Constraints, Post,
+    compressBytes, byteWriter, Png, heightmapPng
+};
@@ -0,0 +1,1044 @@
+// Math engine shared by the page and the terrain workers. No DOM access in here.
+
+// ==========================================
+// 1. MATH ENGINE & CONTEXT
+// ==========================================
+
+const Random = {
+    // mulberry32: tiny, fast and plenty for terrain. Returns a generator in [0, 1).
+    create: (seed) => {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    next: Math.random,
+    seed: function(seed) { this.next = this.create(seed); },
+    // The only place fresh entropy enters the app
+    newSeed: () => Math.floor(Math.random() * 4294967296)
+};
+
+const Noise = {
+    perm: new Uint8Array(512),
+    seed: function(seed) {
+        const rng = Random.create(seed);
+        const p = new Uint8Array(256);
+        for(let i=0; i<256; i++) p[i] = i;
+        for(let i=0; i<256; i++) {
+            let r = Math.floor(rng()*256);
+            let t = p[i]; p[i] = p[r]; p[r] = t;
+        }
+        for(let i=0; i<512; i++) this.perm[i] = p[i & 255];
+    },
+    grad3: [[1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],[1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],[0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]],
+    dot: (g, x, y, z) => g[0]*x + g[1]*y + g[2]*z,
+    fade: t => t*t*t*(t*(t*6-15)+10),
+    lerp: (t, a, b) => a + t*(b-a),
+    // Lattice hash in 0..255
+    hash: function(i, j, k) { return this.perm[this.perm[this.perm[i & 255] + (j & 255)] + (k & 255)]; },
+
+    // 3D simplex, roughly -1..1
+    simplex: function(x, y, z) {
+        const F3 = 1.0/3.0;
+        const G3 = 1.0/6.0;
+        let n0, n1, n2, n3;
+        let s = (x+y+z)*F3;
+        let i = Math.floor(x+s); let j = Math.floor(y+s); let k = Math.floor(z+s);
+        let t = (i+j+k)*G3;
+        let x0 = x-(i-t); let y0 = y-(j-t); let z0 = z-(k-t);
+        let i1, j1, k1, i2, j2, k2;
+        if(x0>=y0) {
+            if(y0>=z0)      {i1=1; j1=0; k1=0; i2=1; j2=1; k2=0;}
+            else if(x0>=z0) {i1=1; j1=0; k1=0; i2=1; j2=0; k2=1;}
+            else            {i1=0; j1=0; k1=1; i2=1; j2=0; k2=1;}
+        } else {
+            if(y0<z0)       {i1=0; j1=0; k1=1; i2=0; j2=1; k2=1;}
+            else if(x0<z0)  {i1=0; j1=1; k1=0; i2=0; j2=1; k2=1;}
+            else            {i1=0; j1=1; k1=0; i2=1; j2=1; k2=0;}
+        }
+        let x1 = x0 - i1 + G3; let y1 = y0 - j1 + G3; let z1 = z0 - k1 + G3;
+        let x2 = x0 - i2 + 2.0*G3; let y2 = y0 - j2 + 2.0*G3; let z2 = z0 - k2 + 2.0*G3;
+        let x3 = x0 - 1.0 + 3.0*G3; let y3 = y0 - 1.0 + 3.0*G3; let z3 = z0 - 1.0 + 3.0*G3;
+        let ii = i & 255; let jj = j & 255; let kk = k & 255;
+        const p = this.perm;
+        let gi0 = p[ii+p[jj+p[kk]]] % 12;
+        let gi1 = p[ii+i1+p[jj+j1+p[kk+k1]]] % 12;
+        let gi2 = p[ii+i2+p[jj+j2+p[kk+k2]]] % 12;
+        let gi3 = p[ii+1+p[jj+1+p[kk+1]]] % 12;
+        let t0 = 0.6 - x0*x0 - y0*y0 - z0*z0;
+        if(t0<0) n0 = 0.0; else {t0 *= t0; n0 = t0 * t0 * this.dot(this.grad3[gi0], x0, y0, z0);}
+        let t1 = 0.6 - x1*x1 - y1*y1 - z1*z1;
+        if(t1<0) n1 = 0.0; else {t1 *= t1; n1 = t1 * t1 * this.dot(this.grad3[gi1], x1, y1, z1);}
+        let t2 = 0.6 - x2*x2 - y2*y2 - z2*z2;
+        if(t2<0) n2 = 0.0; else {t2 *= t2; n2 = t2 * t2 * this.dot(this.grad3[gi2], x2, y2, z2);}
+        let t3 = 0.6 - x3*x3 - y3*y3 - z3*z3;
+        if(t3<0) n3 = 0.0; else {t3 *= t3; n3 = t3 * t3 * this.dot(this.grad3[gi3], x3, y3, z3);}
+        return 32.0 * (n0 + n1 + n2 + n3);
+    },
+
+    // Ken Perlin's improved gradient noise, roughly -1..1
+    perlin: function(x, y, z) {
+        let X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+        x -= X; y -= Y; z -= Z;
+        X &= 255; Y &= 255; Z &= 255;
+        const u = this.fade(x), v = this.fade(y), w = this.fade(z);
+        const p = this.perm, lerp = this.lerp;
+        const grad = (hash, x, y, z) => {
+            const h = hash & 15;
+            const a = h < 8 ? x : y;
+            const b = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+            return ((h & 1) === 0 ? a : -a) + ((h & 2) === 0 ? b : -b);
+        };
+        const A = p[X]+Y, AA = p[A]+Z, AB = p[A+1]+Z;
+        const B = p[X+1]+Y, BA = p[B]+Z, BB = p[B+1]+Z;
+        return lerp(w,
+            lerp(v, lerp(u, grad(p[AA], x, y, z), grad(p[BA], x-1, y, z)),
+                    lerp(u, grad(p[AB], x, y-1, z), grad(p[BB], x-1, y-1, z))),
+            lerp(v, lerp(u, grad(p[AA+1], x, y, z-1), grad(p[BA+1], x-1, y, z-1)),
+                    lerp(u, grad(p[AB+1], x, y-1, z-1), grad(p[BB+1], x-1, y-1, z-1))));
+    },
+
+    // Smoothly interpolated random lattice values, -1..1
+    value: function(x, y, z) {
+        const X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+        const u = this.fade(x-X), v = this.fade(y-Y), w = this.fade(z-Z);
+        const lerp = this.lerp;
+        const c = (i, j, k) => this.hash(X+i, Y+j, Z+k) / 127.5 - 1;
+        return lerp(w,
+            lerp(v, lerp(u, c(0,0,0), c(1,0,0)), lerp(u, c(0,1,0), c(1,1,0))),
+            lerp(v, lerp(u, c(0,0,1), c(1,0,1)), lerp(u, c(0,1,1), c(1,1,1))));
+    },
+
+    // Cellular noise: one jittered feature point per cell. Returns F1 and leaves F1/F2 in this.f1/this.f2.
+    f1: 0, f2: 0,
+    worley: function(x, y, z) {
+        const X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+        let f1 = Infinity, f2 = Infinity;
+        for(let dx = -1; dx <= 1; dx++) for(let dy = -1; dy <= 1; dy++) for(let dz = -1; dz <= 1; dz++) {
+            const cx = X+dx, cy = Y+dy, cz = Z+dz;
+            const h = this.hash(cx, cy, cz);
+            const px = cx + this.perm[h]/255 - x;
+            const py = cy + this.perm[h+1]/255 - y;
+            const pz = cz + this.perm[h+2]/255 - z;
+            const dist = px*px + py*py + pz*pz;
+            if(dist < f1) { f2 = f1; f1 = dist; }
+            else if(dist < f2) f2 = dist;
+        }
+        this.f1 = Math.sqrt(f1);
+        this.f2 = Math.sqrt(f2);
+        return this.f1;
+    },
+
+    // Ridged multifractal: sharp crests, each octave weighted by the one before. -1..1
+    ridged: function(x, y, z, oct, per) {
+        let total = 0, amp = 1, freq = 1, max = 0, weight = 1;
+        for(let i=0; i<(oct||4); i++) {
+            let signal = 1 - Math.abs(this.simplex(x*freq, y*freq, z*freq));
+            signal *= signal * weight;
+            weight = Math.min(1, Math.max(0, signal * 2));
+            total += signal*amp;
+            max += amp; amp *= (per||0.5); freq *= 2;
+        }
+        return total/max * 2 - 1;
+    },
+
+    // Billow: folded octaves for puffy, rounded shapes. -1..1
+    billow: function(x, y, z, oct, per) {
+        let total = 0, amp = 1, freq = 1, max = 0;
+        for(let i=0; i<(oct||4); i++) {
+            total += (2*Math.abs(this.simplex(x*freq, y*freq, z*freq)) - 1)*amp;
+            max += amp; amp *= (per||0.5); freq *= 2;
+        }
+        return total/max;
+    }
+};
+Noise.seed(0);
+
+const Hash = {
+    seed: 0,
+    intHash: (x, z) => {
+        let h = 0x811c9dc5 ^ Hash.seed;
+        h = Math.imul(h, 0x01000193);
+        h ^= (x & 0xFFFFFFFF);
+        h = Math.imul(h, 0x01000193);
+        h ^= (z & 0xFFFFFFFF);
+        h = Math.imul(h, 0x01000193);
+        return (h >>> 0) / 4294967296;
+    },
+    val: (x, z) => {
+        const xi = Math.floor(x * 100);
+        const zi = Math.floor(z * 100);
+        return Hash.intHash(xi, zi);
+    }
+}
+
+// One seed drives everything random: noise permutation, rand() hashing, generator and names.
+function seedAll(seed) {
+    Noise.seed(seed);
+    Hash.seed = seed | 0;
+    Random.seed(seed);
+}
+
+const Ctx = {
+    _x: 0, _z: 0,
+    pi: Math.PI, 'π': Math.PI, e: Math.E, phi: 1.61803,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    abs: Math.abs, floor: Math.floor, ceil: Math.ceil, round: Math.round,
+    sqrt: Math.sqrt, pow: Math.pow, atan2: Math.atan2,
+    mod: (x, y) => ((x % y) + y) % y,
+    max: Math.max, min: Math.min,
+    csc: x => 1/Math.sin(x), sec: x => 1/Math.cos(x),
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
+    ln: Math.log, lg: Math.log10, exp: Math.exp,
+    rand: () => Hash.intHash(Ctx._x, Ctx._z),
+    randnormal: (mean=0, stdev=1) => {
+        let u = Hash.intHash(Ctx._x * 167, Ctx._z * 167);
+        let v = Hash.intHash(Ctx._x * 253, Ctx._z * 253);
+        if(u<=0) u=0.0001;
+        return (Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v)) * stdev + mean;
+    },
+    simplex: (x,y,z) => Noise.simplex(x,y,z),
+    perlin: (x,y,z) => Noise.perlin(x,y,z),
+    value: (x,y,z) => Noise.value(x,y,z),
+    worley: (x,y,z) => Noise.worley(x,y,z),
+    worley2: (x,y,z) => { Noise.worley(x,y,z); return Noise.f2; },
+    cellular: (x,y,z) => { Noise.worley(x,y,z); return Noise.f2 - Noise.f1; },
+    ridged: (x,y,z, oct, per) => Noise.ridged(x,y,z, oct, per),
+    billow: (x,y,z, oct, per) => Noise.billow(x,y,z, oct, per),
+    normal: (x,y,z) => Ctx.randnormal(0, 1),
+    blended: (x,y,z) => (Noise.simplex(x,y,z) + Math.sin(x)*Math.cos(z)) * 0.5,
+    // Slices the 3D simplex at y = 0, so it equals summed simplex(x*f, 0, z*f) terms
+    octaved: (x, z, oct, per) => {
+        let total = 0, amp = 1, freq = 1, max = 0;
+        for(let i=0; i<(oct||4); i++){
+            total += Noise.simplex(x*freq, 0, z*freq)*amp;
+            max += amp; amp *= (per||0.5); freq *= 2;
+        }
+        return total/max;
+    }
+};
+
+// ==========================================
+// 2. FORMULA PARSER & COMPILER
+// ==========================================
+
+class FormulaError extends Error {
+    constructor(message, pos) {
+        super(`${message} at col ${pos + 1}`);
+        this.name = 'FormulaError';
+        this.pos = pos;
+    }
+}
+
+const Formula = {
+    // t is the playback time in seconds, 0 unless the terrain is animating
+    vars: ['x', 'z', 't'],
+    // Density formulas f(x, y, z) also see the height
+    densityVars: ['x', 'y', 'z', 't'],
+    // Columns only, for secondary formulas such as biome moisture
+    columnVars: ['x', 'z'],
+    // Longest first so '**' wins over '*', '<=' over '<', etc.
+    symbols: ['**', '&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ',', '=', ';'],
+    // Binary operators from lowest to highest precedence. Power is handled in parsePower (right assoc).
+    binary: [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']],
+
+    tokenize: function(src) {
+        const tokens = [];
+        const ws = /\s+/y;
+        const num = /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy;
+        const id = /[\p{L}_][\p{L}\p{N}_]*/uy;
+        const param = /\$[\p{L}_][\p{L}\p{N}_]*/uy;
+        let pos = 0;
+        const match = (re) => { re.lastIndex = pos; const m = re.exec(src); return m ? m[0] : null; };
+
+        while(pos < src.length) {
+            let m;
+            if((m = match(ws))) { pos += m.length; continue; }
+            if((m = match(num))) {
+                tokens.push({ type: 'num', value: parseFloat(m), pos, end: pos + m.length });
+            } else if((m = match(id))) {
+                tokens.push({ type: 'id', value: m, pos, end: pos + m.length });
+            } else if((m = match(param))) {
+                tokens.push({ type: 'param', value: m, name: m.slice(1), pos, end: pos + m.length });
+            } else if((m = this.symbols.find(s => src.startsWith(s, pos)))) {
+                tokens.push({ type: 'op', value: m, pos, end: pos + m.length });
+            } else {
+                throw new FormulaError(`Unexpected character '${src[pos]}'`, pos);
+            }
+            pos += m.length;
+        }
+        tokens.push({ type: 'end', value: '', pos: src.length, end: src.length });
+        return tokens;
+    },
+
+    // Builds an AST. Every node keeps its source span (pos/end) for error reporting.
+    // A formula may start with definitions, each ended by ';':
+    //   h = octaved(x*0.01, z*0.01, 4, 0.5); ridge(v) = 1 - abs(v); h*40 + ridge(h)*10
+    // They become nested 'let'/'def' nodes around the final expression. library holds extra
+    // definitions (one per entry) that go in front; entries that don't parse here are skipped,
+    // unused ones are dropped, and the formula's own definitions may shadow them.
+    parse: function(src, vars = this.vars, library = []) {
+        const scope = new Map();
+        const counter = { n: 0 };
+        const defs = [];
+        library.forEach(text => {
+            const saved = new Map(scope);
+            try {
+                const { defs: parsed } = this.parseStatements(text, vars, scope, counter, false);
+                parsed.forEach(d => { d.lib = true; scope.get(d.name).lib = true; });
+                defs.push(...parsed);
+            } catch(e) {
+                if(!(e instanceof FormulaError)) throw e;
+                scope.clear();
+                saved.forEach((v, k) => scope.set(k, v));
+            }
+        });
+        const { defs: own, body } = this.parseStatements(src, vars, scope, counter, true);
+        defs.push(...own);
+
+        // Walking back from the body, keep what is referenced; library definitions nobody uses go
+        const needed = this.refs(body);
+        const kept = [];
+        for(let i = defs.length - 1; i >= 0; i--) {
+            const d = defs[i];
+            if(d.lib && !needed.has(d.key)) continue;
+            this.refs(d.value).forEach(k => needed.add(k));
+            kept.unshift(d);
+        }
+        return kept.reduceRight((inner, d) => ({ ...d, body: inner, end: inner.end }), body);
+    },
+
+    // Keys of the definitions an expression refers to
+    refs: function(node, out = new Set()) {
+        if(node.type === 'local' && !node.fn) out.add(node.key);
+        if(node.type === 'apply') out.add(node.key);
+        ['args', 'arg', 'left', 'right', 'test', 'then', 'else', 'value', 'body'].forEach(k => {
+            const child = node[k];
+            if(Array.isArray(child)) child.forEach(c => this.refs(c, out));
+            else if(child) this.refs(child, out);
+        });
+        return out;
+    },
+
+    // True when the variable appears anywhere in the tree, e.g. 't' in formulas that animate
+    uses: function(node, name) {
+        if(node.type === 'var' && node.name === name) return true;
+        return ['args', 'arg', 'left', 'right', 'test', 'then', 'else', 'value', 'body'].some(k => {
+            const child = node[k];
+            if(Array.isArray(child)) return child.some(c => this.uses(c, name));
+            return child ? this.uses(child, name) : false;
+        });
+    },
+
+    // Parses 'name = expr;' and 'name(a, b) = expr;' statements, registering each in scope,
+    // then the final expression when withBody is set. Returns { defs, body }.
+    parseStatements: function(src, vars, scope, counter, withBody) {
+        const tokens = this.tokenize(src);
+        let i = 0;
+        // Set while parsing a function body: the function's key and its parameter names
+        let fn = null;
+        // Tunable values marked '$name=value', by name
+        const tunables = new Map();
+        const peek = () => tokens[i];
+        const isOp = (v) => tokens[i].type === 'op' && tokens[i].value === v;
+        const opAt = (j, v) => tokens[j] && tokens[j].type === 'op' && tokens[j].value === v;
+        const describe = (t) => t.type === 'end' ? 'end of formula' : `'${t.value}'`;
+        const expect = (v) => {
+            if(!isOp(v)) throw new FormulaError(`Expected '${v}' but found ${describe(peek())}`, peek().pos);
+            return tokens[i++];
+        };
+
+        // Names a definition or parameter may take: not a variable, built-in or a name already in use.
+        // Library definitions are the exception, the formula's own ones replace them.
+        const checkName = (t, taken = []) => {
+            const name = t.value;
+            if(vars.includes(name) || this.densityVars.includes(name)) throw new FormulaError(`'${name}' is a variable and can't be redefined`, t.pos);
+            if(name[0] === '_' || Object.hasOwn(Ctx, name)) throw new FormulaError(`'${name}' is built in and can't be redefined`, t.pos);
+            const existing = scope.get(name);
+            if((existing && !existing.lib) || taken.includes(name)) throw new FormulaError(`'${name}' is already defined`, t.pos);
+        };
+
+        // At a statement start: { params, next } for 'name(a, b) =' (params null for 'name ='),
+        // where next is the index of '='. null when the statement is an expression.
+        const definitionAhead = () => {
+            if(peek().type !== 'id') return null;
+            if(opAt(i + 1, '=')) return { params: null, next: i + 1 };
+            if(!opAt(i + 1, '(')) return null;
+            const params = [];
+            let j = i + 2;
+            if(!opAt(j, ')')) {
+                while(tokens[j].type === 'id') {
+                    params.push(tokens[j]);
+                    j++;
+                    if(!opAt(j, ',')) break;
+                    j++;
+                }
+            }
+            return opAt(j, ')') && opAt(j + 1, '=') ? { params, next: j + 1 } : null;
+        };
+
+        const parseTernary = () => {
+            const test = parseBinary(0);
+            if(!isOp('?')) return test;
+            i++;
+            const then = parseTernary();
+            expect(':');
+            const other = parseTernary();
+            return { type: 'cond', test, then, else: other, pos: test.pos, end: other.end };
+        };
+
+        const parseBinary = (level) => {
+            if(level === this.binary.length) return parseUnary();
+            let left = parseBinary(level + 1);
+            while(peek().type === 'op' && this.binary[level].includes(peek().value)) {
+                const op = tokens[i++].value;
+                const right = parseBinary(level + 1);
+                left = { type: 'binary', op, left, right, pos: left.pos, end: right.end };
+            }
+            return left;
+        };
+
+        // Unary binds looser than power, so -x^2 is -(x^2) like in math notation.
+        const parseUnary = () => {
+            if(isOp('-') || isOp('+') || isOp('!')) {
+                const t = tokens[i++];
+                const arg = parseUnary();
+                return { type: 'unary', op: t.value, arg, pos: t.pos, end: arg.end };
+            }
+            return parsePower();
+        };
+
+        const parsePower = () => {
+            const base = parsePrimary();
+            if(!isOp('^') && !isOp('**')) return base;
+            i++;
+            const exp = parseUnary();
+            return { type: 'binary', op: '^', left: base, right: exp, pos: base.pos, end: exp.end };
+        };
+
+        const parsePrimary = () => {
+            const t = tokens[i++];
+            if(t.type === 'num') return { type: 'num', value: t.value, pos: t.pos, end: t.end };
+            if(t.type === 'op' && t.value === '(') {
+                const inner = parseTernary();
+                const close = expect(')');
+                return { ...inner, pos: t.pos, end: close.end };
+            }
+            if(t.type === 'id') return parseIdent(t);
+            if(t.type === 'param') return parseTunable(t);
+            throw new FormulaError(`Unexpected ${describe(t)}`, t.pos);
+        };
+
+        // '$name=value' is a number with a name for the parameter sliders; a later '$name' reuses the value
+        const parseTunable = (t) => {
+            if(isOp('=')) {
+                i++;
+                const negative = isOp('-');
+                if(negative) i++;
+                const v = tokens[i++];
+                if(v.type !== 'num') throw new FormulaError(`'${t.value}' needs a number, e.g. ${t.value}=1`, v.pos);
+                tunables.set(t.name, negative ? -v.value : v.value);
+                return { type: 'num', value: tunables.get(t.name), param: t.name, pos: t.pos, end: v.end };
+            }
+            if(!tunables.has(t.name)) throw new FormulaError(`'${t.value}' has no value yet, e.g. ${t.value}=1`, t.pos);
+            return { type: 'num', value: tunables.get(t.name), param: t.name, pos: t.pos, end: t.end };
+        };
+
+        const parseArgs = () => {
+            i++;
+            const args = [];
+            if(!isOp(')')) {
+                args.push(parseTernary());
+                while(isOp(',')) { i++; args.push(parseTernary()); }
+            }
+            return { args, close: expect(')') };
+        };
+
+        const parseIdent = (t) => {
+            const name = t.value;
+            const isCall = isOp('(');
+            if(fn && fn.params.includes(name)) {
+                if(isCall) throw new FormulaError(`'${name}' is a parameter, not a function`, t.pos);
+                return { type: 'local', name, fn: fn.key, pos: t.pos, end: t.end };
+            }
+            if(vars.includes(name)) {
+                if(isCall) throw new FormulaError(`'${name}' is a variable, not a function`, t.pos);
+                return { type: 'var', name, pos: t.pos, end: t.end };
+            }
+            if(name === 'y') throw new FormulaError(`'y' is only available in density mode`, t.pos);
+            const def = scope.get(name);
+            if(def && def.params) {
+                if(!isCall) throw new FormulaError(`Function '${name}' must be called, e.g. ${name}(...)`, t.pos);
+                const { args, close } = parseArgs();
+                if(args.length !== def.params.length) {
+                    throw new FormulaError(`'${name}' takes ${def.params.length} argument${def.params.length === 1 ? '' : 's'}, got ${args.length}`, t.pos);
+                }
+                return { type: 'apply', name, key: def.key, args, pos: t.pos, end: close.end };
+            }
+            if(def) {
+                if(isCall) throw new FormulaError(`'${name}' is a value, not a function`, t.pos);
+                return { type: 'local', name, key: def.key, pos: t.pos, end: t.end };
+            }
+            if(name[0] === '_' || !Object.hasOwn(Ctx, name)) {
+                throw new FormulaError(`Unknown ${isCall ? 'function' : 'identifier'} '${name}'`, t.pos);
+            }
+            if(typeof Ctx[name] !== 'function') {
+                if(isCall) throw new FormulaError(`'${name}' is a constant, not a function`, t.pos);
+                return { type: 'const', name, pos: t.pos, end: t.end };
+            }
+            if(!isCall) throw new FormulaError(`Function '${name}' must be called, e.g. ${name}(...)`, t.pos);
+            const { args, close } = parseArgs();
+            return { type: 'call', name, args, pos: t.pos, end: close.end };
+        };
+
+        const defs = [];
+        let ahead;
+        while((ahead = definitionAhead())) {
+            const t = tokens[i];
+            const names = ahead.params && ahead.params.map(p => p.value);
+            checkName(t);
+            if(ahead.params) ahead.params.forEach((p, n) => checkName(p, names.slice(0, n)));
+            i = ahead.next + 1;
+            const key = `${t.value}#${counter.n++}`;
+            fn = names ? { key, params: names } : null;
+            const value = parseTernary();
+            fn = null;
+            // A library entry may leave out the final ';'
+            if(withBody || peek().type !== 'end') expect(';');
+            defs.push(names
+                ? { type: 'def', name: t.value, key, params: names, value, pos: t.pos }
+                : { type: 'let', name: t.value, key, value, pos: t.pos });
+            scope.set(t.value, { key, params: names, lib: false });
+        }
+        if(!withBody) {
+            if(peek().type !== 'end') throw new FormulaError(`Expected a definition like 'name = ...;'`, peek().pos);
+            return { defs, body: null };
+        }
+        if(peek().type === 'end') throw new FormulaError(defs.length ? `Missing the final expression after the definitions` : `Unexpected end of formula`, peek().pos);
+        const body = parseTernary();
+        if(isOp(';')) i++;
+        if(peek().type !== 'end') throw new FormulaError(`Unexpected ${describe(peek())}`, peek().pos);
+        return { defs, body };
+    },
+
+    // Turns the AST into a tree of closures. Returns f(x, z, y); y is only read by density formulas.
+    compile: function(ast) {
+        const scope = { x: 0, y: 0, z: 0, t: 0 };
+        const root = this.emit(ast);
+        return (x, z, y = 0, t = 0) => { scope.x = x; scope.y = y; scope.z = z; scope.t = t; return root(scope); };
+    },
+
+    // Definitions live in the scope object too: values under their key, parameters under
+    // 'functionKey:param'. fns maps function keys to their compiled body.
+    emit: function(node, fns = {}) {
+        switch(node.type) {
+            case 'num': { const v = node.value; return () => v; }
+            case 'const': { const v = Ctx[node.name]; return () => v; }
+            case 'var': { const k = node.name; return s => s[k]; }
+            case 'local': { const k = node.fn ? `${node.fn}:${node.name}` : node.key; return s => s[k]; }
+            case 'let': {
+                const v = this.emit(node.value, fns), b = this.emit(node.body, fns), k = node.key;
+                return s => { s[k] = v(s); return b(s); };
+            }
+            case 'def': {
+                const body = this.emit(node.value, fns);
+                return this.emit(node.body, { ...fns, [node.key]: { body, keys: node.params.map(p => `${node.key}:${p}`) } });
+            }
+            case 'apply': {
+                const { body, keys } = fns[node.key];
+                const args = node.args.map(a => this.emit(a, fns));
+                // Arguments are all evaluated before any parameter is bound
+                if(args.length === 1) { const a = args[0], k = keys[0]; return s => { s[k] = a(s); return body(s); }; }
+                return s => {
+                    const vals = args.map(a => a(s));
+                    for(let n = 0; n < keys.length; n++) s[keys[n]] = vals[n];
+                    return body(s);
+                };
+            }
+            case 'call': {
+                const f = Ctx[node.name];
+                const args = node.args.map(a => this.emit(a, fns));
+                const [a, b, c, d] = args;
+                switch(args.length) {
+                    case 0: return () => f();
+                    case 1: return s => f(a(s));
+                    case 2: return s => f(a(s), b(s));
+                    case 3: return s => f(a(s), b(s), c(s));
+                    case 4: return s => f(a(s), b(s), c(s), d(s));
+                    default: return s => f(...args.map(g => g(s)));
+                }
+            }
+            case 'unary': {
+                const a = this.emit(node.arg, fns);
+                if(node.op === '-') return s => -a(s);
+                if(node.op === '!') return s => a(s) ? 0 : 1;
+                return a;
+            }
+            case 'cond': {
+                const t = this.emit(node.test, fns), a = this.emit(node.then, fns), b = this.emit(node.else, fns);
+                return s => t(s) ? a(s) : b(s);
+            }
+            case 'binary': {
+                const a = this.emit(node.left, fns), b = this.emit(node.right, fns);
+                // Comparisons and logic yield 1/0 so they can be mixed into arithmetic.
+                switch(node.op) {
+                    case '+': return s => a(s) + b(s);
+                    case '-': return s => a(s) - b(s);
+                    case '*': return s => a(s) * b(s);
+                    case '/': return s => a(s) / b(s);
+                    case '%': return s => a(s) % b(s);
+                    case '^': return s => Math.pow(a(s), b(s));
+                    case '<': return s => a(s) < b(s) ? 1 : 0;
+                    case '<=': return s => a(s) <= b(s) ? 1 : 0;
+                    case '>': return s => a(s) > b(s) ? 1 : 0;
+                    case '>=': return s => a(s) >= b(s) ? 1 : 0;
+                    case '==': return s => a(s) === b(s) ? 1 : 0;
+                    case '!=': return s => a(s) !== b(s) ? 1 : 0;
+                    case '&&': return s => (a(s) && b(s)) ? 1 : 0;
+                    case '||': return s => (a(s) || b(s)) ? 1 : 0;
+                }
+            }
+        }
+        throw new Error(`Cannot compile node '${node.type}'`);
+    },
+
+    // Evaluates the AST at one point the way compile() does, keeping every subexpression's value:
+    // a tree of { type, op, text, value, children }. Branches and right-hand sides the compiled code doesn't
+    // evaluate are listed with skipped set and no value; a node that throws gets error and NaN.
+    // A chain of definitions lists each value definition, then the final expression. A call to a
+    // definition lists its arguments, then the definition's body with them bound.
+    trace: function(ast, x, z, y = 0, t = 0) {
+        Ctx._x = x; Ctx._z = z;
+        return this.traceNode(ast, { x, y, z, t }, {});
+    },
+
+    traceNode: function(node, s, fns) {
+        const out = { type: node.type, op: node.op, text: this.print(node), value: NaN, children: [] };
+        const sub = (child, f = fns) => {
+            const traced = this.traceNode(child, s, f);
+            out.children.push(traced);
+            return traced.value;
+        };
+        const skip = (child) => out.children.push({ text: this.print(child), value: undefined, children: [], skipped: true });
+        try {
+            switch(node.type) {
+                case 'num': out.value = node.value; break;
+                case 'const': out.value = Ctx[node.name]; break;
+                case 'var': out.value = s[node.name]; break;
+                case 'local': out.value = s[node.fn ? `${node.fn}:${node.name}` : node.key]; break;
+                case 'let':
+                case 'def': {
+                    let n = node, f = fns;
+                    for(; n.type === 'let' || n.type === 'def'; n = n.body) {
+                        if(n.type === 'def') { f = { ...f, [n.key]: { def: n, fns: f } }; continue; }
+                        const traced = this.traceNode(n.value, s, f);
+                        s[n.key] = traced.value;
+                        out.children.push({ ...traced, text: this.printDefinition(n) });
+                    }
+                    out.value = sub(n, f);
+                    break;
+                }
+                case 'apply': {
+                    const { def, fns: outer } = fns[node.key];
+                    const vals = node.args.map(a => sub(a));
+                    def.params.forEach((p, n) => { s[`${def.key}:${p}`] = vals[n]; });
+                    const body = this.traceNode(def.value, s, outer);
+                    out.children.push({ ...body, text: this.printDefinition(def) });
+                    out.value = body.value;
+                    break;
+                }
+                case 'call': {
+                    const vals = node.args.map(a => sub(a));
+                    out.value = Ctx[node.name](...vals);
+                    break;
+                }
+                case 'unary': {
+                    const a = sub(node.arg);
+                    out.value = node.op === '-' ? -a : node.op === '!' ? (a ? 0 : 1) : a;
+                    break;
+                }
+                case 'cond': {
+                    const test = sub(node.test);
+                    if(test) { out.value = sub(node.then); skip(node.else); }
+                    else { skip(node.then); out.value = sub(node.else); }
+                    break;
+                }
+                case 'binary': {
+                    const a = sub(node.left);
+                    // && and || stop early like the compiled code
+                    if((node.op === '&&' && !a) || (node.op === '||' && a)) {
+                        skip(node.right);
+                        out.value = node.op === '||' ? 1 : 0;
+                        break;
+                    }
+                    out.value = this.binaryOps[node.op](a, sub(node.right));
+                    break;
+                }
+            }
+        } catch(e) {
+            out.value = NaN;
+            out.error = e.message;
+        }
+        return out;
+    },
+
+    binaryOps: {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => a / b,
+        '%': (a, b) => a % b,
+        '^': (a, b) => Math.pow(a, b),
+        '<': (a, b) => a < b ? 1 : 0,
+        '<=': (a, b) => a <= b ? 1 : 0,
+        '>': (a, b) => a > b ? 1 : 0,
+        '>=': (a, b) => a >= b ? 1 : 0,
+        '==': (a, b) => a === b ? 1 : 0,
+        '!=': (a, b) => a !== b ? 1 : 0,
+        '&&': (a, b) => (a && b) ? 1 : 0,
+        '||': (a, b) => (a || b) ? 1 : 0
+    },
+
+    // Binding strength per node/operator, used by print() to decide on parentheses
+    precedence: function(node) {
+        if(node.type === 'let' || node.type === 'def') return -1;
+        // A negative literal prints with its sign, so it binds like a unary minus
+        if(node.type === 'num' && !node.param && node.value < 0) return 7;
+        if(node.type === 'cond') return 0;
+        if(node.type === 'unary') return 7;
+        if(node.type !== 'binary') return 9;
+        if(node.op === '^') return 8;
+        return this.binary.findIndex(ops => ops.includes(node.op)) + 1;
+    },
+
+    // AST back to source with only the parentheses that are needed. compact drops all spaces.
+    print: function(node, compact = false) {
+        const print = (n) => this.print(n, compact);
+        const wrap = (child, min) => this.precedence(child) < min ? `(${print(child)})` : print(child);
+        const sp = compact ? '' : ' ';
+        switch(node.type) {
+            case 'num': return node.param ? `$${node.param}=${node.value}` : String(node.value);
+            case 'var':
+            case 'const':
+            case 'local': return node.name;
+            case 'call':
+            case 'apply': return `${node.name}(${node.args.map(print).join(',' + sp)})`;
+            case 'let':
+            case 'def': return `${this.printDefinition(node, compact)};${sp}${print(node.body)}`;
+            case 'unary': return node.op + (node.arg.type === 'unary' ? `(${print(node.arg)})` : wrap(node.arg, 7));
+            case 'cond': return `${wrap(node.test, 1)}${sp}?${sp}${print(node.then)}${sp}:${sp}${print(node.else)}`;
+            case 'binary': {
+                const [left, right] = this.operands(node, wrap);
+                const tight = compact || ['*', '/', '%', '^'].includes(node.op);
+                return tight ? `${left}${node.op}${right}` : `${left} ${node.op} ${right}`;
+            }
+        }
+        throw new Error(`Cannot print node '${node.type}'`);
+    },
+
+    // Both sides of a binary node, parenthesized where needed by wrap(child, minPrecedence)
+    operands: function(node, wrap) {
+        const p = this.precedence(node);
+        // '^' is right assoc and takes a unary exponent; the rest are left assoc
+        if(node.op === '^') return [wrap(node.left, 9), wrap(node.right, 7)];
+        return [wrap(node.left, p), wrap(node.right, p + 1)];
+    },
+
+    // Like print, but anything longer than width is broken over indented lines:
+    // one definition per line, sums one term per line, long calls one argument per line.
+    pretty: function(node, width = 60, indent = '') {
+        const inner = indent + '    ';
+        const flat = this.print(node);
+        if(node.type !== 'let' && node.type !== 'def' && indent.length + flat.length <= width) return flat;
+        const wrap = (child, min, at) => this.precedence(child) < min ? `(${this.pretty(child, width, at)})` : this.pretty(child, width, at);
+        switch(node.type) {
+            case 'let':
+            case 'def': {
+                const head = node.type === 'def' ? `${node.name}(${node.params.join(', ')})` : node.name;
+                return `${head} = ${this.pretty(node.value, width, inner)};\n${indent}${this.pretty(node.body, width, indent)}`;
+            }
+            case 'call':
+            case 'apply':
+                return `${node.name}(\n${node.args.map(a => inner + this.pretty(a, width, inner)).join(',\n')}\n${indent})`;
+            case 'cond':
+                return `${wrap(node.test, 1, indent)}\n${inner}? ${this.pretty(node.then, width, inner)}\n${inner}: ${this.pretty(node.else, width, inner)}`;
+            case 'binary': {
+                if(node.op !== '+' && node.op !== '-') break;
+                // a + b - c is ((a + b) - c); unroll it so every term gets its own line
+                const terms = [];
+                let n = node;
+                while(n.type === 'binary' && (n.op === '+' || n.op === '-')) {
+                    terms.unshift({ op: n.op, node: n.right });
+                    n = n.left;
+                }
+                const p = this.precedence(node);
+                return wrap(n, p, indent) + terms.map(t => `\n${inner}${t.op} ${wrap(t.node, p + 1, inner)}`).join('');
+            }
+        }
+        return flat;
+    },
+
+    // Substitutes every definition into its uses, leaving one plain expression.
+    // Values used twice are repeated, so the result can be much longer than the source.
+    inline: function(node, env = {}) {
+        switch(node.type) {
+            case 'let': return this.inline(node.body, { ...env, [node.key]: this.inline(node.value, env) });
+            case 'def': return this.inline(node.body, { ...env, [node.key]: { def: node, env } });
+            case 'local': return env[node.fn ? `${node.fn}:${node.name}` : node.key];
+            case 'apply': {
+                const { def, env: outer } = env[node.key];
+                const inner = { ...outer };
+                def.params.forEach((p, n) => { inner[`${def.key}:${p}`] = this.inline(node.args[n], env); });
+                return this.inline(def.value, inner);
+            }
+            case 'call': return { ...node, args: node.args.map(a => this.inline(a, env)) };
+            case 'unary': return { ...node, arg: this.inline(node.arg, env) };
+            case 'cond': return { ...node, test: this.inline(node.test, env), then: this.inline(node.then, env), else: this.inline(node.else, env) };
+            case 'binary': return { ...node, left: this.inline(node.left, env), right: this.inline(node.right, env) };
+            default: return node;
+        }
+    },
+
+    // The let/def nodes in front of the final expression, outermost first
+    definitions: function(ast) {
+        const defs = [];
+        for(let n = ast; n.type === 'let' || n.type === 'def'; n = n.body) defs.push(n);
+        return defs;
+    },
+
+    // One definition as source, e.g. 'ridge(v) = 1 - abs(v)'
+    printDefinition: function(def, compact = false) {
+        if(compact) return `${def.name}${def.type === 'def' ? `(${def.params.join(',')})` : ''}=${this.print(def.value, true)}`;
+        const head = def.type === 'def' ? `${def.name}(${def.params.join(', ')})` : def.name;
+        return `${head} = ${this.print(def.value)}`;
+    }
+};
+
+// Node builders for code that rewrites formulas
+const Ast = {
+    num: (value) => ({ type: 'num', value }),
+    call: (name, ...args) => ({ type: 'call', name, args }),
+    bin: (op, left, right) => ({ type: 'binary', op, left, right }),
+    neg: (arg) => ({ type: 'unary', op: '-', arg })
+};
+
+// ==========================================
+// 3. SIMPLIFIER
+// ==========================================
+
+// Rewrites an AST into a shorter formula with the same values: folds constant subtrees,
+// drops identities (x*1, x + 0, --x, ...) and floor/ceil/round around whole numbers.
+const Simplify = {
+    // No hidden inputs, so calls with constant arguments can be folded. Noise and rand() depend on seed or position.
+    pure: ['sin', 'cos', 'tan', 'abs', 'floor', 'ceil', 'round', 'sqrt', 'pow', 'atan2', 'mod', 'max', 'min',
+           'csc', 'sec', 'sinh', 'cosh', 'tanh', 'ln', 'lg', 'exp'],
+    rounding: ['floor', 'ceil', 'round'],
+
+    // roundConstants trims folded values to 12 significant digits, so 0.1 + 0.2 prints as 0.3
+    run: function(ast, roundConstants = true) {
+        const num = (value, from) => ({ type: 'num', value, pos: from.pos, end: from.end });
+        // '$name=value' parameters stay, so their sliders survive simplifying
+        const isNum = (n, v) => n.type === 'num' && !n.param && (v === undefined || n.value === v);
+        const isConst = (n) => isNum(n) || n.type === 'const';
+        const neg = (arg, from) => {
+            if(isNum(arg)) return num(-arg.value, from);
+            if(arg.type === 'unary' && arg.op === '-') return arg.arg;
+            return { type: 'unary', op: '-', arg, pos: from.pos, end: from.end };
+        };
+
+        // Evaluates a node whose operands are all constants; null if the result isn't a finite number
+        const fold = (n) => {
+            const v = Formula.compile(n)(0, 0, 0);
+            if(!Number.isFinite(v)) return null;
+            return num(roundConstants ? +v.toPrecision(12) : v, n);
+        };
+
+        const walk = (n) => {
+            switch(n.type) {
+                case 'let':
+                case 'def':
+                    return { ...n, value: walk(n.value), body: walk(n.body) };
+                case 'apply':
+                    return { ...n, args: n.args.map(walk) };
+                case 'call': {
+                    const args = n.args.map(walk);
+                    const out = { ...n, args };
+                    if(this.pure.includes(n.name) && args.every(isConst)) return fold(out) || out;
+                    if(this.rounding.includes(n.name) && args.length === 1 && this.isWhole(args[0])) return args[0];
+                    return out;
+                }
+                case 'unary': {
+                    const arg = walk(n.arg);
+                    if(n.op === '+') return arg;
+                    if(n.op === '-') return neg(arg, n);
+                    const out = { ...n, arg };
+                    return isConst(arg) ? fold(out) || out : out;
+                }
+                case 'cond': {
+                    const test = walk(n.test);
+                    if(isConst(test)) return walk(Formula.compile(test)(0, 0, 0) ? n.then : n.else);
+                    return { ...n, test, then: walk(n.then), else: walk(n.else) };
+                }
+                case 'binary': {
+                    const l = walk(n.left), r = walk(n.right);
+                    const out = { ...n, left: l, right: r };
+                    if(isConst(l) && isConst(r)) return fold(out) || out;
+                    switch(n.op) {
+                        case '+':
+                            if(isNum(r, 0)) return l;
+                            if(isNum(l, 0)) return r;
+                            if(r.type === 'unary' && r.op === '-') return { ...out, op: '-', right: r.arg };
+                            if(isNum(r) && r.value < 0) return { ...out, op: '-', right: num(-r.value, r) };
+                            break;
+                        case '-':
+                            if(isNum(r, 0)) return l;
+                            if(isNum(l, 0)) return neg(r, n);
+                            if(r.type === 'unary' && r.op === '-') return { ...out, op: '+', right: r.arg };
+                            if(isNum(r) && r.value < 0) return { ...out, op: '+', right: num(-r.value, r) };
+                            break;
+                        case '*':
+                            if(isNum(r, 1)) return l;
+                            if(isNum(l, 1)) return r;
+                            if(isNum(r, -1)) return neg(l, n);
+                            if(isNum(l, -1)) return neg(r, n);
+                            break;
+                        case '/':
+                            if(isNum(r, 1)) return l;
+                            if(isNum(r, -1)) return neg(l, n);
+                            break;
+                        case '^':
+                            if(isNum(r, 1)) return l;
+                            break;
+                    }
+                    return out;
+                }
+            }
+            return n;
+        };
+        return walk(ast);
+    },
+
+    // True when the node can only produce whole numbers
+    isWhole: function(n) {
+        switch(n.type) {
+            case 'num': return Number.isInteger(n.value);
+            case 'call':
+                if(this.rounding.includes(n.name)) return true;
+                return ['abs', 'max', 'min', 'mod'].includes(n.name) && n.args.length > 0 && n.args.every(a => this.isWhole(a));
+            case 'unary': return n.op === '!' || this.isWhole(n.arg);
+            case 'cond': return this.isWhole(n.then) && this.isWhole(n.else);
+            case 'binary':
+                if(['<', '<=', '>', '>=', '==', '!=', '&&', '||'].includes(n.op)) return true;
+                return ['+', '-', '*', '%'].includes(n.op) && this.isWhole(n.left) && this.isWhole(n.right);
+        }
+        return false;
+    },
+
+    // Compares two formulas on a grid of columns (and heights in density mode, and times when t is used).
+    // Returns { ok, samples, worst } with worst the largest difference found.
+    verify: function(a, b, vars = Formula.vars) {
+        const fa = Formula.compile(a), fb = Formula.compile(b);
+        const ys = vars.includes('y') ? [-24, 0, 16, 40] : [0];
+        const ts = Formula.uses(a, 't') || Formula.uses(b, 't') ? [0, 2.5] : [0];
+        let samples = 0, worst = 0;
+        for(let x = -250; x <= 250; x += 25) {
+            for(let z = -250; z <= 250; z += 25) {
+                for(const y of ys) {
+                    for(const t of ts) {
+                        const va = evaluate(fa, x, z, y, t), vb = evaluate(fb, x, z, y, t);
+                        worst = Math.max(worst, Math.abs(va - vb) / Math.max(1, Math.abs(va), Math.abs(vb)));
+                        samples++;
+                    }
+                }
+            }
+        }
+        return { ok: worst <= 1e-9, samples, worst };
+    },
+
+    // Simplifies and verifies, falling back to exact constants when rounded ones change values.
+    // Returns { ast, ok, samples }; ast is the input when no version checks out.
+    checked: function(ast, vars = Formula.vars) {
+        for(const roundConstants of [true, false]) {
+            const out = this.run(ast, roundConstants);
+            const check = this.verify(ast, out, vars);
+            if(check.ok) return { ast: out, ok: true, samples: check.samples };
+        }
+        return { ast, ok: false, samples: 0 };
+    }
+};
+
+// ==========================================
+// 4. CHUNK SAMPLING
+// ==========================================
+
+// Terrain is sampled in CHUNK_SIZE x CHUNK_SIZE column chunks, so workers and caches share one layout
+const CHUNK_SIZE = 32;
+// Vertical range evaluated in density mode
+const DENSITY_MIN_Y = -32;
+const DENSITY_MAX_Y = 64;
+
+// Why a sample fell back to 0
+const FAULT_NONE = 0, FAULT_NAN = 1, FAULT_INFINITY = 2, FAULT_ERROR = 3;
+
+// Formula value at a column (density mode: at a block) at time t, with failures and NaN/Infinity as 0.
+// When faults is given, the reason for a fallback is written to faults[at] unless one is already there.
+function evaluate(fn, wx, wz, wy = 0, t = 0, faults = null, at = 0) {
+    Ctx._x = wx; Ctx._z = wz;
+    let v = 0, fault = FAULT_NONE;
+    try { v = fn(wx, wz, wy, t); } catch(e) { fault = FAULT_ERROR; }
+    if(!fault && !Number.isFinite(v)) fault = Number.isNaN(v) ? FAULT_NAN : FAULT_INFINITY;
+    if(!fault) return v;
+    if(faults && !faults[at]) faults[at] = fault;
+    return 0;
+}
+
+// Samples chunk (cx, cz). Heightmap: Float32Array of heights indexed lz * CHUNK_SIZE + lx.
+// Density: Uint8Array of solid flags indexed (lz * CHUNK_SIZE + lx) * height + ly.
+// faults, if given, is a Uint8Array per column (lz * CHUNK_SIZE + lx) that gets the first fault of each column.
+// With step > 1 only every step-th column is sampled, so a chunk covers CHUNK_SIZE * step blocks (for maps).
+function sampleChunk(fn, mode, cx, cz, faults = null, t = 0, step = 1) {
+    const x0 = cx * CHUNK_SIZE, z0 = cz * CHUNK_SIZE;
+    if(mode === 'density') {
+        const H = DENSITY_MAX_Y - DENSITY_MIN_Y;
+        const solid = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE * H);
+        for(let lz = 0; lz < CHUNK_SIZE; lz++) {
+            for(let lx = 0; lx < CHUNK_SIZE; lx++) {
+                const base = (lz * CHUNK_SIZE + lx) * H;
+                for(let ly = 0; ly < H; ly++) {
+                    solid[base + ly] = evaluate(fn, (x0 + lx) * step, (z0 + lz) * step, DENSITY_MIN_Y + ly, t, faults, lz * CHUNK_SIZE + lx) > 0 ? 1 : 0;
+                }
+            }
+        }
+        return solid;
+    }
+    const heights = new Float32Array(CHUNK_SIZE * CHUNK_SIZE);
+    for(let lz = 0; lz < CHUNK_SIZE; lz++) {
+        for(let lx = 0; lx < CHUNK_SIZE; lx++) {
+            heights[lz * CHUNK_SIZE + lx] = evaluate(fn, (x0 + lx) * step, (z0 + lz) * step, 0, t, faults, lz * CHUNK_SIZE + lx);
+        }
+    }
+    return heights;
+}
+
+// Height of the top solid block of each column of a density chunk; DENSITY_MIN_Y - 1 for all air
+function columnTops(solid) {
+    const H = DENSITY_MAX_Y - DENSITY_MIN_Y;
+    const tops = new Float32Array(CHUNK_SIZE * CHUNK_SIZE);
+    for(let col = 0; col < tops.length; col++) {
+        let k = H - 1;
+        while(k >= 0 && !solid[col * H + k]) k--;
+        tops[col] = DENSITY_MIN_Y + k;
+    }
+    return tops;
+}
+
+export {
+    Random, Noise, Hash, seedAll, Ctx,
+    FormulaError, Formula, Ast, Simplify,
+    CHUNK_SIZE, DENSITY_MIN_Y, DENSITY_MAX_Y, FAULT_NONE, FAULT_NAN, FAULT_INFINITY, FAULT_ERROR,
+    evaluate, sampleChunk, columnTops
+};
@@ -1,282 +1,382 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import {
+    Random, Noise, Hash, seedAll, Ctx,
+    FormulaError, Formula, Ast, Simplify,
+    CHUNK_SIZE, DENSITY_MIN_Y, DENSITY_MAX_Y, FAULT_NONE, FAULT_NAN, FAULT_INFINITY, FAULT_ERROR,
+    evaluate, sampleChunk, columnTops,
+    NameGen, THEMES, Generator, compile, columnTop, Constraints, Post,
+    compressBytes, byteWriter, Png, heightmapPng
+} from './core.js';
 
 // ==========================================
-// 1. MATH ENGINE & CONTEXT
+// 1. TERRAMATH DIALECT
 // ==========================================
 
-const Noise = {
-    perm: new Uint8Array(512),
-    seed: function() {
-        const p = new Uint8Array(256);
-        for(let i=0; i<256; i++) p[i] = i;
-        for(let i=0; i<256; i++) {
-            let r = Math.floor(Math.random()*256);
-            let t = p[i]; p[i] = p[r]; p[r] = t;
-        }
-        for(let i=0; i<512; i++) this.perm[i] = p[i & 255];
-    },
-    grad3: [[1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],[1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],[0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]],
-    dot: (g, x, y) => g[0]*x + g[1]*y,
-    simplex: function(x, y) {
-        const F2 = 0.5*(Math.sqrt(3.0)-1.0);
-        const G2 = (3.0-Math.sqrt(3.0))/6.0;
-        let n0, n1, n2;
-        let s = (x+y)*F2; 
-        let i = Math.floor(x+s); let j = Math.floor(y+s);
-        let t = (i+j)*G2;
-        let X0 = i-t; let Y0 = j-t;
-        let x0 = x-X0; let y0 = y-Y0;
-        let i1, j1;
-        if(x0>y0){i1=1; j1=0;}else{i1=0; j1=1;}
-        let x1 = x0 - i1 + G2; let y1 = y0 - j1 + G2;
-        let x2 = x0 - 1.0 + 2.0 * G2; let y2 = y0 - 1.0 + 2.0 * G2;
-        let ii = i & 255; let jj = j & 255;
-        let gi0 = this.perm[ii+this.perm[jj]] % 12;
-        let gi1 = this.perm[ii+i1+this.perm[jj+j1]] % 12;
-        let gi2 = this.perm[ii+1+this.perm[jj+1]] % 12;
-        let t0 = 0.5 - x0*x0 - y0*y0;
-        if(t0<0) n0 = 0.0; else {t0 *= t0; n0 = t0 * t0 * this.dot(this.grad3[gi0], x0, y0);}
-        let t1 = 0.5 - x1*x1 - y1*y1;
-        if(t1<0) n1 = 0.0; else {t1 *= t1; n1 = t1 * t1 * this.dot(this.grad3[gi1], x1, y1);}
-        let t2 = 0.5 - x2*x2 - y2*y2;
-        if(t2<0) n2 = 0.0; else {t2 *= t2; n2 = t2 * t2 * this.dot(this.grad3[gi2], x2, y2);}
-        return 70.0 * (n0 + n1 + n2);
-    }
-};
-Noise.seed();
-
-const Hash = {
-    intHash: (x, z) => {
-        let h = 0x811c9dc5;
-        h ^= (x & 0xFFFFFFFF);
-        h = Math.imul(h, 0x01000193);
-        h ^= (z & 0xFFFFFFFF);
-        h = Math.imul(h, 0x01000193);
-        return (h >>> 0) / 4294967296;
-    },
-    val: (x, z) => {
-        const xi = Math.floor(x * 100);
-        const zi = Math.floor(z * 100);
-        return Hash.intHash(xi, zi);
-    }
-}
-
-const Ctx = {
-    _x: 0, _z: 0,
-    pi: Math.PI, 'π': Math.PI, e: Math.E, phi: 1.61803,
-    sin: Math.sin, cos: Math.cos, tan: Math.tan,
-    abs: Math.abs, floor: Math.floor, ceil: Math.ceil, round: Math.round,
-    sqrt: Math.sqrt, pow: Math.pow,
-    mod: (x, y) => ((x % y) + y) % y,
-    max: Math.max, min: Math.min,
-    csc: x => 1/Math.sin(x), sec: x => 1/Math.cos(x),
-    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh,
-    ln: Math.log, lg: Math.log10, exp: Math.exp,
-    rand: () => Hash.intHash(Ctx._x, Ctx._z),
-    randnormal: (mean=0, stdev=1) => {
-        let u = Hash.intHash(Ctx._x * 167, Ctx._z * 167);
-        let v = Hash.intHash(Ctx._x * 253, Ctx._z * 253);
-        if(u<=0) u=0.0001;
-        return (Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v)) * stdev + mean;
-    },
-    simplex: (x,y,z) => Noise.simplex(x,z),
-    perlin: (x,y,z) => Noise.simplex(x,z),
-    normal: (x,y,z) => Ctx.randnormal(0, 1),
-    blended: (x,y,z) => (Noise.simplex(x,z) + Math.sin(x)*Math.cos(z)) * 0.5,
-    octaved: (x, z, oct, per) => {
-        let total = 0, amp = 1, freq = 1, max = 0;
-        for(let i=0; i<(oct||4); i++){
-            total += Noise.simplex(x*freq, z*freq)*amp;
-            max += amp; amp *= (per||0.5); freq *= 2;
-        }
-        return total/max;
+// What the TerraMath side accepts. Everything else is rewritten where possible or reported.
+const TerraMath = {
+    funcs: ['sin', 'cos', 'tan', 'csc', 'sec', 'sinh', 'cosh', 'tanh', 'abs', 'floor', 'ceil', 'round',
+            'sqrt', 'pow', 'mod', 'max', 'min', 'ln', 'lg', 'exp', 'rand', 'randnormal',
+            'perlin', 'simplex', 'normal', 'blended'],
+    ops: ['+', '-', '*', '/', '^'],
+    vars: ['x', 'z'],
+
+    // Returns { ast, issues } where ast only uses supported constructs unless an issue is unfixable
+    convert: function(ast) {
+        const issues = [];
+        const report = (node, construct, fix, note) => issues.push({ pos: node.pos, construct, fix, note });
+        const one = Ast.num(1), zero = Ast.num(0);
+        // a > b as 0/1 without comparisons: min(1, a-b) is in (0, 1] exactly when a > b
+        const gt = (a, b) => Ast.call('ceil', Ast.call('max', zero, Ast.call('min', one, Ast.bin('-', a, b))));
+        const not = (v) => Ast.bin('-', one, v);
+        const isBool = (n) => n.bool === true;
+        // Any value to 0/1, skipped when the operand is already a 0/1 result
+        const truthy = (v) => isBool(v) ? v : Ast.call('ceil', Ast.call('min', one, Ast.call('abs', v)));
+        const bool = (n) => ({ ...n, bool: true });
+
+        const walk = (node) => {
+            switch(node.type) {
+                case 'var':
+                    if(!this.vars.includes(node.name)) report(node, node.name, null, node.name === 't' ? 'TerraMath has no time variable' : 'TerraMath formulas are heightmaps');
+                    return node;
+                case 'num':
+                    // Slider parameters are plain numbers to TerraMath
+                    return node.param ? { type: 'num', value: node.value, pos: node.pos, end: node.end } : node;
+                case 'const':
+                    return node;
+                case 'call': {
+                    const args = node.args.map(walk);
+                    if(this.funcs.includes(node.name)) return { ...node, args };
+                    if(node.name === 'octaved') return this.expandOctaves(node, args, report);
+                    report(node, `${node.name}()`, null, 'no TerraMath equivalent');
+                    return { ...node, args };
+                }
+                case 'unary': {
+                    const arg = walk(node.arg);
+                    if(node.op !== '!') return { ...node, arg };
+                    report(node, '!', 'rewritten', '1 - step');
+                    return bool(not(truthy(arg)));
+                }
+                case 'cond': {
+                    const test = truthy(walk(node.test));
+                    const a = walk(node.then), b = walk(node.else);
+                    report(node, '? :', 'approx', 'blend by 0/1 step, NaN if the unused branch is NaN/∞');
+                    const isZero = (n) => n.type === 'num' && n.value === 0;
+                    if(isZero(b)) return Ast.bin('*', test, a);
+                    if(isZero(a)) return Ast.bin('*', not(test), b);
+                    return Ast.bin('+', Ast.bin('*', test, a), Ast.bin('*', not(test), b));
+                }
+                case 'binary': {
+                    const l = walk(node.left), r = walk(node.right);
+                    if(this.ops.includes(node.op)) return { ...node, left: l, right: r };
+                    switch(node.op) {
+                        case '%':
+                            report(node, '%', 'approx', 'mod(), same result for non-negative operands');
+                            return Ast.call('mod', l, r);
+                        case '>': report(node, '>', 'rewritten', 'step arithmetic'); return bool(gt(l, r));
+                        case '<': report(node, '<', 'rewritten', 'step arithmetic'); return bool(gt(r, l));
+                        case '>=': report(node, '>=', 'rewritten', 'step arithmetic'); return bool(not(gt(r, l)));
+                        case '<=': report(node, '<=', 'rewritten', 'step arithmetic'); return bool(not(gt(l, r)));
+                        case '!=':
+                            report(node, '!=', 'rewritten', 'step arithmetic');
+                            return bool(Ast.bin('+', gt(l, r), gt(r, l)));
+                        case '==':
+                            report(node, '==', 'rewritten', 'step arithmetic');
+                            return bool(not(Ast.bin('+', gt(l, r), gt(r, l))));
+                        case '&&':
+                            report(node, '&&', 'rewritten', 'product of 0/1 steps');
+                            return bool(Ast.bin('*', truthy(l), truthy(r)));
+                        case '||':
+                            report(node, '||', 'rewritten', 'max of 0/1 steps');
+                            return bool(Ast.call('max', truthy(l), truthy(r)));
+                    }
+                }
+            }
+            throw new Error(`Cannot convert node '${node.type}'`);
+        };
+
+        const out = walk(ast);
+        issues.sort((a, b) => a.pos - b.pos);
+        return { ast: out, issues };
+    },
+
+    // octaved(x, z, oct, per) is a plain sum of simplex octaves when oct and per are literals
+    expandOctaves: function(node, args, report) {
+        const [x, z, oct = Ast.num(4), per = Ast.num(0.5)] = args;
+        const isNum = (n) => n && n.type === 'num';
+        const octaves = isNum(oct) ? (oct.value || 4) : 0;
+        if(!x || !z || !isNum(per) || octaves < 1 || octaves > 8) {
+            report(node, 'octaved()', null, 'needs literal octaves (1-8) and persistence to expand');
+            return { ...node, args };
+        }
+        let sum = null, amp = 1, freq = 1, max = 0;
+        for(let i = 0; i < octaves; i++) {
+            const scale = (v) => freq === 1 ? v : Ast.bin('*', v, Ast.num(freq));
+            let term = Ast.call('simplex', scale(x), Ast.num(0), scale(z));
+            if(amp !== 1) term = Ast.bin('*', term, Ast.num(+amp.toPrecision(6)));
+            sum = sum ? Ast.bin('+', sum, term) : term;
+            max += amp; amp *= (per.value || 0.5); freq *= 2;
+        }
+        report(node, 'octaved()', 'rewritten', `expanded into ${Math.ceil(octaves)} simplex() octaves`);
+        return Ast.bin('/', sum, Ast.num(+max.toPrecision(6)));
     }
 };
 
 // ==========================================
-// 2. NAME GEN
+// 2. ADVANCED GENERATOR
 // ==========================================
 
-const NameGen = {
-    adj: ['Cosmic','Quantum','Voxel','Hyper','Cyber','Glitch','Floating','Lost','Neon','Dark','Solar','Lunar','Infinite','Fractal','Recursive','Broken','Twisted','Hollow','Solid'],
-    noun: ['Lands','Waves','Mountains','Valley','Spire','Grid','Matrix','Core','Void','Peaks','Dunes','Ocean','Maze','Labyrinth','Citadel','Expanse','Realm','Sector','Zone'],
-    get: function() { return this.pick(this.adj) + ' ' + this.pick(this.noun); },
-    pick: (arr) => arr[Math.floor(Math.random() * arr.length)]
-};
+// Generator filter from the theme picker: '' for any, 'category:<name>' or 'theme:<name>'
+let themeFilter = '';
+// 'height': f(x, z) is the surface. 'density': f(x, y, z) > 0 is solid.
+let terrainMode = 'height';
 
-// ==========================================
-// 3. ADVANCED GENERATOR
-// ==========================================
+// Built-in themes and their template format are in core.js; custom themes and per-theme
+// weights live here.
+const Themes = {
+    storageKey: 'mathgen.themes',
+    version: 1,
+    builtin: THEMES,
+    custom: [],
+    // Per-theme { enabled, weight } set by the user; applies to built-in and custom themes alike
+    overrides: {},
 
-let isRealisticOnly = false;
+    // Every theme with its defaults and overrides filled in
+    all: function() {
+        return this.builtin.map(t => ({ ...t, builtin: true })).concat(this.custom).map(t => ({
+            mode: 'height', noises: null, noneTemplate: '', weight: 1, enabled: true,
+            ...t,
+            ...this.overrides[t.name]
+        }));
+    },
 
-const Generator = {
-    ops: ['+','-','*'],
-    funcs: ['sin','cos','abs','floor','round','sqrt'],
-    // Added None here
-    noiseTypes: ['Perlin', 'Simplex', 'Normal', 'Blended', 'None'],
-    
-    themes: [
-        'Blocky', 'Smooth', 'Upwards', 'Downward', 'Reverse', 'Forward', 
-        'FlipX', 'FlipY', 'FlipZ', 'Void', 'Tower', 'Skyscraper', 
-        'Holes', 'Cavern', 'Fantasy', 'Underwater', 'Hell', 'Realistic', 
-        'One Block', 'X-Ray', 'Sphere', 'Cubes', 'Pyramid', 'Torus', 
-        'Star', 'Notch', 'Underworld', 'Floating', 'Floating Island', 
-        'Upside Down', 'Digital', 'Modern', 'Cyberpunk2077', 
-        'Maze', 'Giant Maze', 'Auto Maze'
-    ],
-    
-    levels: ['Hardcoded', 'Expert', 'Unreal', 'Long Math', 'Intermediate'],
+    get: function(name) {
+        return this.all().find(t => t.name === name) || null;
+    },
 
-    pick: arr => arr[Math.floor(Math.random()*arr.length)],
-    
-    genExpr: function(depth, noiseKey) {
-        // Recursion Termination
-        if(depth <= 0) {
-            const r = Math.random();
-            if(r < 0.6) return (Math.random() < 0.5 ? 'x' : 'z') + '*' + (Math.random()*0.15 + 0.01).toFixed(3);
-            return (Math.random()*15).toFixed(1);
-        }
-
-        // Logic Branch: NO NOISE if 'None'
-        if (noiseKey === 'None') {
-            const type = Math.random();
-            // 50% Op, 50% Func. 0% Noise.
-            if(type < 0.5) return `(${this.genExpr(depth-1, noiseKey)} ${this.pick(this.ops)} ${this.genExpr(depth-1, noiseKey)})`;
-            return `${this.pick(this.funcs)}(${this.genExpr(depth-1, noiseKey)})`;
-        }
-
-        // Standard Random Logic with Noise
-        const type = Math.random();
-        if(type < 0.3) return `(${this.genExpr(depth-1, noiseKey)} ${this.pick(this.ops)} ${this.genExpr(depth-1, noiseKey)})`;
-        if(type < 0.6) return `${this.pick(this.funcs)}(${this.genExpr(depth-1, noiseKey)})`;
-        
-        return `${noiseKey.toLowerCase()}(x*${(Math.random()*0.1).toFixed(3)}, 0, z*${(Math.random()*0.1).toFixed(3)}) * ${(Math.random()*20+5).toFixed(0)}`;
+    categories: function(mode) {
+        return [...new Set(this.all().filter(t => t.mode === mode).map(t => t.category))];
     },
 
-    create: function() {
-        let theme, level, noise;
-        
-        if (isRealisticOnly) {
-            theme = 'Realistic'; 
-            level = 'Intermediate';
-            noise = this.pick(this.noiseTypes);
-        } else {
-            theme = this.pick(this.themes);
-            level = this.pick(this.levels);
-            noise = this.pick(this.noiseTypes);
+    // Themes the generator may pick from for the mode and filter, for Generator.pickTheme.
+    // A forced theme is used even when disabled; an empty category falls back to the whole mode.
+    candidates: function(mode, filter) {
+        const themes = this.all().filter(t => t.mode === mode);
+        if(filter.startsWith('theme:')) {
+            const forced = themes.filter(t => t.name === filter.slice(6));
+            if(forced.length) return forced;
         }
-        
-        let formula = this.getFormulaForTheme(theme, noise, level);
+        const scoped = filter.startsWith('category:') ? themes.filter(t => t.category === filter.slice(9)) : themes;
+        return scoped.length ? scoped : themes;
+    },
 
-        return {
-            formula: formula,
-            noise: noise,
-            type: theme,
-            level: level
+    // Returns a clean custom theme, or throws with what is wrong
+    normalize: function(raw) {
+        if(!raw || typeof raw !== 'object') throw new Error("Not a theme");
+        const name = String(raw.name || '').trim().slice(0, 40);
+        if(!name) throw new Error("Theme needs a name");
+        const theme = {
+            name,
+            category: String(raw.category || 'Custom').trim().slice(0, 40) || 'Custom',
+            mode: raw.mode === 'density' ? 'density' : 'height',
+            template: String(raw.template || '').trim(),
+            noneTemplate: String(raw.noneTemplate || '').trim(),
+            noises: Array.isArray(raw.noises) ? raw.noises.filter(n => Generator.noiseTypes.includes(n)) : null
         };
+        if(theme.noises && !theme.noises.length) theme.noises = null;
+        this.validate(theme);
+        return theme;
     },
 
-    getFormulaForTheme: function(theme, noiseKey, level) {
-        // Define baseNoise depending on type
-        // If None, we use a Trig Interference pattern as the "Base"
-        // This ensures structure exists without random noise
-        let baseNoise;
-        if (noiseKey === 'None') {
-            baseNoise = `(sin(x*0.05) + cos(z*0.05))`;
-        } else {
-            baseNoise = `${noiseKey.toLowerCase()}(x*0.05, 0, z*0.05)`;
+    // Fills the templates with every noise type and parses the results against the definition
+    // library, so a theme can't produce formulas the parser rejects. Throws FormulaError or Error.
+    validate: function(theme) {
+        if(!theme.template) throw new Error("Template is empty");
+        const vars = theme.mode === 'density' ? Formula.densityVars : Formula.vars;
+        (theme.noises || Generator.noiseTypes).forEach(noise => {
+            Formula.parse(Generator.fill(theme, noise, 'Intermediate'), vars, Defs.list);
+        });
+    },
+
+    // Adds or replaces a custom theme; renaming drops the old entry
+    save: function(raw, previousName = null) {
+        const theme = this.normalize(raw);
+        if(this.builtin.some(t => t.name === theme.name)) throw new Error(`"${theme.name}" is a built-in theme`);
+        if(theme.name !== previousName && this.custom.some(t => t.name === theme.name)) throw new Error(`"${theme.name}" already exists`);
+        const i = this.custom.findIndex(t => t.name === previousName);
+        if(i >= 0) this.custom[i] = theme;
+        else this.custom.push(theme);
+        if(previousName && previousName !== theme.name && this.overrides[previousName]) {
+            this.overrides[theme.name] = this.overrides[previousName];
+            delete this.overrides[previousName];
+        }
+        this.persist();
+        return theme;
+    },
+
+    remove: function(name) {
+        this.custom = this.custom.filter(t => t.name !== name);
+        delete this.overrides[name];
+        this.persist();
+    },
+
+    setOverride: function(name, changes) {
+        this.overrides[name] = { ...this.overrides[name], ...changes };
+        this.persist();
+    },
+
+    persist: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: this.version, custom: this.custom, overrides: this.overrides }));
+        } catch(e) {
+            showToast("STORAGE FULL - NOT SAVED");
         }
+    },
 
-        // Handle Realistic Mode Special Logic
-        if (theme === 'Realistic' && isRealisticOnly) {
-            // If None picked in Realistic Mode, fallback to smooth hills
-            if (noiseKey === 'None') {
-                return `(sin(x*0.02) * 15 + cos(z*0.02) * 15 + sin(x*0.05 + z*0.05) * 5)`;
-            }
-            // Standard Realistic with Noise
-            const scale = (Math.random() * 0.02 + 0.005).toFixed(4);
-            const height = (Math.random() * 30 + 15).toFixed(0);
-            return `octaved(x*${scale}, z*${scale}, 4, 0.5) * ${height}`;
-        }
-
-        let depth = 3;
-        if(level === 'Expert') depth = 4;
-        if(level === 'Long Math') depth = 5;
-        if(level === 'Hardcoded') depth = 1;
-
-        const randExpr = this.genExpr(depth, noiseKey);
-
-        switch(theme) {
-            // DIRECTIONAL / TRANSFORM
-            case 'Upwards': return `abs(${randExpr}) + (x + z) * 0.1`;
-            case 'Downward': return `abs(${randExpr}) - (x + z) * 0.1`;
-            case 'Reverse': return `-1 * (${randExpr})`;
-            case 'Forward': return `(${randExpr}) + z * 0.5`;
-            case 'FlipX': return `sin(-x*0.1) * 10 + ${baseNoise}*10`;
-            case 'FlipY': return `-1 * abs(${randExpr})`;
-            case 'FlipZ': return `cos(-z*0.1) * 10 + ${baseNoise}*10`;
-            case 'Upside Down': return `-1 * (${randExpr} + 20)`;
-            
-            // VOXEL / GRID
-            case 'Blocky': return `floor(${baseNoise} * 15) * 2`;
-            case 'Cubes': return `floor(x/4)*4 + floor(z/4)*4 + ${baseNoise}*5`;
-            case 'Digital': return `round(${baseNoise} * 10) * 2 + mod(x, 2)`;
-            case 'Modern': return `max(abs(x%10), abs(z%10)) + ${baseNoise}*5`;
-            case 'Cyberpunk2077': return `mod(floor(x), 5) * mod(floor(z), 5) * 5 + ${baseNoise}*10`;
-            case 'One Block': return `(abs(x)<1 && abs(z)<1) ? 10 : 0`;
-            case 'X-Ray': return `(mod(x, 2) > 1 && mod(z, 2) > 1) ? ${baseNoise}*20 : 0`;
-            
-            // GEOMETRIC
-            case 'Sphere': return `sqrt(max(0, 900 - x*x - z*z))`;
-            case 'Torus': return `sqrt(max(0, 100 - pow(sqrt(x*x+z*z) - 30, 2)))`;
-            case 'Pyramid': return `max(0, 40 - max(abs(x), abs(z)))`;
-            case 'Star': return `max(0, 30 - sqrt(x*x+z*z) + sin(atan2(z,x)*5)*10)`;
-            case 'Tower': return `max(0, 50 - sqrt(x*x+z*z)*2)`;
-            
-            // ORGANIC
-            case 'Smooth': return `sin(x*0.05)*10 + cos(z*0.05)*10 + ${baseNoise}*5`;
-            case 'Realistic': 
-                // Non-forced realistic logic
-                if (noiseKey === 'None') return `sin(x*0.03)*20 + cos(z*0.03)*20`;
-                return `octaved(x*0.01, z*0.01, 4, 0.5) * 40`;
-                
-            case 'Fantasy': return `sin(x*0.1)*cos(z*0.1)*10 + pow(abs(${baseNoise}), 3)*15`;
-            case 'Underwater': return `min(-2, ${baseNoise} * 20)`;
-            case 'Cavern': return `abs(${baseNoise}*20) * -1 + 10`;
-            case 'Holes': return `10 - max(0, sin(x*0.2)*sin(z*0.2)*20)`;
-            case 'Notch': 
-                // Notch usually uses rand(), which is distinct from perlin.
-                // If None, use simple math pseudo-random
-                if (noiseKey === 'None') return `${baseNoise} * 20 + (sin(x*5)*cos(z*5) > 0.9 ? 10 : 0)`;
-                return `${baseNoise} * 20 + (rand() > 0.9 ? 10 : 0)`;
-            
-            // MAZE
-            case 'Maze': return `floor(sin(x*0.2) + cos(z*0.2) + 1.5) * 10`;
-            case 'Giant Maze': return `floor(sin(x*0.05) + cos(z*0.05) + 1.2) * 20`;
-            case 'Auto Maze': 
-                // Auto maze usually uses Perlin threshold.
-                // If None, use Trig threshold.
-                if (noiseKey === 'None') return `(sin(x*0.1)*cos(z*0.1) > 0.2) ? 10 : 0`;
-                return `(perlin(x*0.1,0,z*0.1) > 0.2) ? 10 : 0`;
-            
-            case 'Skyscraper': return `(mod(x, 10) < 3 && mod(z, 10) < 3) ? ${randExpr} + 20 : 0`;
-            
-            // ABSTRACT
-            case 'Void': return `(sqrt(x*x+z*z) > 20) ? ${randExpr} : -50`;
-            case 'Floating': return `${baseNoise}*10 + 30`;
-            case 'Floating Island': return `max(0, 30 - sqrt(x*x+z*z)) + ${baseNoise}*5 + 20`;
-            case 'Hell': return `abs(tan(x*0.05 + z*0.05)) * 10 + ${baseNoise}*5`;
-            case 'Underworld': return `${baseNoise} * 10 - 30`;
-            
-            default: return randExpr;
+    // Stored themes that no longer validate are dropped rather than breaking generation
+    restore: function() {
+        let data = null;
+        try { data = JSON.parse(localStorage.getItem(this.storageKey)); } catch(e) { data = null; }
+        if(!data || data.version > this.version) return;
+        this.custom = [];
+        (Array.isArray(data.custom) ? data.custom : []).forEach(raw => {
+            try {
+                const theme = this.normalize(raw);
+                if(!this.builtin.some(t => t.name === theme.name)) this.custom.push(theme);
+            } catch(e) { /* skip */ }
+        });
+        this.overrides = {};
+        Object.entries(data.overrides || {}).forEach(([name, o]) => {
+            const weight = Number(o && o.weight);
+            this.overrides[name] = {
+                enabled: !(o && o.enabled === false),
+                weight: Number.isFinite(weight) && weight >= 0 ? weight : 1
+            };
+        });
+    }
+};
+
+
+// Variations on an existing formula for the Evolve dialog. mutate() changes one thing, breed()
+// grafts a branch of a second formula in. Both rewrite the parsed tree, so definitions survive.
+// Throw FormulaError when a formula doesn't parse.
+const Evolve = {
+    children: ['args', 'arg', 'left', 'right', 'test', 'then', 'else', 'value', 'body'],
+    noiseFuncs: Generator.noiseTypes.filter(n => n !== 'None').map(n => n.toLowerCase()),
+
+    // Expression nodes of the formula's own code; library definitions are printed away, so they are skipped
+    nodes: function(node, out = []) {
+        if(node.lib) return this.nodes(node.body, out);
+        if(node.type !== 'let' && node.type !== 'def') out.push(node);
+        this.children.forEach(k => {
+            const child = node[k];
+            if(Array.isArray(child)) child.forEach(c => this.nodes(c, out));
+            else if(child && typeof child === 'object') this.nodes(child, out);
+        });
+        return out;
+    },
+
+    // Copy of the tree where fn(node) may return a replacement for any node
+    rewrite: function(node, fn) {
+        const by = fn(node);
+        if(by) return by;
+        const copy = { ...node };
+        this.children.forEach(k => {
+            const child = node[k];
+            if(Array.isArray(child)) copy[k] = child.map(c => this.rewrite(c, fn));
+            // A num's value is a number, a definition's is a node
+            else if(child && typeof child === 'object') copy[k] = this.rewrite(child, fn);
+        });
+        return copy;
+    },
+
+    // Nodes a branch may replace: anything but the final expression as a whole, unless that's all there is
+    targets: function(ast) {
+        let root = ast;
+        while(root.type === 'let' || root.type === 'def') root = root.body;
+        const nodes = this.nodes(ast);
+        return nodes.length > 1 ? nodes.filter(n => n !== root) : nodes;
+    },
+
+    // Up to 30% either way, to 3 significant digits; whole numbers stay whole
+    nudge: function(v) {
+        if(v === 0) return Number((Random.next() - 0.5).toFixed(2));
+        const n = v * (1 + (Random.next() * 2 - 1) * 0.3);
+        return Number.isInteger(v) && Math.abs(v) >= 2 ? Math.round(n) : Number(n.toPrecision(3));
+    },
+
+    // noise is the entry's noise tag, in any case. Returns { formula, noise, change }.
+    mutate: function(src, vars, noise) {
+        const ast = Formula.parse(src, vars, Defs.list);
+        const nodes = this.nodes(ast);
+        const nums = nodes.filter(n => n.type === 'num' && !n.param);
+        const funcs = nodes.filter(n => n.type === 'call' && Generator.funcs.includes(n.name));
+        const noises = nodes.filter(n => n.type === 'call' && this.noiseFuncs.includes(n.name));
+        noise = Generator.noiseTypes.find(n => n.toLowerCase() === String(noise).toLowerCase()) || noise;
+
+        const kinds = ['branch'];
+        if(nums.length) kinds.push('constants');
+        if(funcs.length) kinds.push('function');
+        if(noises.length) kinds.push('noise');
+        const kind = Generator.pick(kinds);
+
+        let out, change;
+        if(kind === 'constants') {
+            // About half of them, at least one; $name=value parameters are the user's and stay put
+            const picked = new Set(nums.filter(() => Random.next() < 0.5));
+            if(!picked.size) picked.add(Generator.pick(nums));
+            out = this.rewrite(ast, n => picked.has(n) ? { ...n, value: this.nudge(n.value) } : null);
+            change = `${picked.size} constant${picked.size > 1 ? 's' : ''}`;
+        } else if(kind === 'function') {
+            const target = Generator.pick(funcs);
+            const name = Generator.pick(Generator.funcs.filter(f => f !== target.name));
+            out = this.rewrite(ast, n => n === target ? { ...n, name } : null);
+            change = `${target.name} → ${name}`;
+        } else if(kind === 'noise') {
+            const from = Generator.pick(noises).name;
+            noise = Generator.pick(Generator.noiseTypes.filter(n => n !== 'None' && n.toLowerCase() !== from));
+            out = this.rewrite(ast, n => n.type === 'call' && n.name === from ? { ...n, name: noise.toLowerCase() } : null);
+            change = `${from} → ${noise.toLowerCase()}`;
+        } else {
+            const target = Generator.pick(this.targets(ast));
+            const key = Generator.noiseTypes.includes(noise) ? noise : Generator.pick(Generator.noiseTypes);
+            const branch = Formula.parse(Generator.genExpr(1 + Math.floor(Random.next() * 2), key), vars);
+            out = this.rewrite(ast, n => n === target ? branch : null);
+            change = 'new branch';
         }
+        return { formula: formatFormula(out, 'plain'), noise, change };
+    },
+
+    // A branch of b, with its definitions substituted, takes the place of one in a. Returns { formula, change }.
+    breed: function(a, b, vars) {
+        const ast = Formula.parse(a, vars, Defs.list);
+        const donors = this.nodes(Formula.inline(Formula.parse(b, vars, Defs.list)));
+        // Leaves make dull grafts, so branches go first
+        const branches = donors.filter(n => n.type !== 'num' && n.type !== 'var' && n.type !== 'const');
+        // b's $name=value parameters come over as plain numbers, so they can't clash with a's
+        const graft = this.rewrite(Generator.pick(branches.length ? branches : donors), n => n.type === 'num' && n.param ? Ast.num(n.value) : null);
+        const target = Generator.pick(this.targets(ast));
+        return { formula: formatFormula(this.rewrite(ast, n => n === target ? graft : null), 'plain'), change: 'crossover' };
+    },
+
+    // Stored lineage, or null: { op, change, generation, parents: [{ name, formula }] }
+    normalizeLineage: function(raw) {
+        if(!raw || typeof raw !== 'object' || !Array.isArray(raw.parents)) return null;
+        const parents = raw.parents.filter(p => p && typeof p.formula === 'string').slice(0, 2)
+            .map(p => ({ name: String(p.name || 'Unnamed'), formula: p.formula }));
+        if(!parents.length) return null;
+        const generation = Number(raw.generation);
+        return {
+            op: raw.op === 'breed' ? 'breed' : 'mutate',
+            change: String(raw.change || ''),
+            generation: Number.isInteger(generation) && generation > 0 ? generation : 1,
+            parents
+        };
     }
 };
 
 // ==========================================
-// 4. THREE.JS SCENE
+// 3. THREE.JS SCENE
 // ==========================================
 
 const container = document.getElementById('viewport');
@@ -318,21 +418,66 @@ dirLight.position.set(200, 400, 200);
 dirLight.castShadow = true;
 dirLight.shadow.mapSize.width = 4096;
 dirLight.shadow.mapSize.height = 4096;
-const d = 300; 
-dirLight.shadow.camera.left = -d;
-dirLight.shadow.camera.right = d;
-dirLight.shadow.camera.top = d;
-dirLight.shadow.camera.bottom = -d;
-dirLight.shadow.camera.far = 1000;
 scene.add(dirLight);
 
+// The shadow camera covers the terrain window around the light's target; larger render distances widen it
+function fitShadow(size) {
+    const half = Math.max(300, Math.ceil(size * 0.8));
+    const cam = dirLight.shadow.camera;
+    if(cam.right === half) return;
+    cam.left = -half;
+    cam.right = half;
+    cam.top = half;
+    cam.bottom = -half;
+    cam.far = Math.max(1000, 500 + 2 * half);
+    cam.updateProjectionMatrix();
+}
+fitShadow(0);
+
 // ==========================================
-// 5. INFINITE VOXEL SYSTEM
+// 4. INFINITE VOXEL SYSTEM
 // ==========================================
 
-const GRID = 200; 
-const LAYERS = 4;
-const TOTAL_INSTANCES = GRID * GRID * LAYERS;
+const GRID = 200;           // default render distance, in columns across
+const LAYERS = 4;           // blocks under the surface of a heightmap column
+const FILL_LIMIT = 256;     // deepest a filled column reaches below its surface
+const BLOCK_BUDGET = 2000000;   // most blocks a heightmap view draws; fill gives way first, then layers
+// Heightmap surfaces are clamped to this range, so huge values can't blow up block counts
+const BUILD_MIN_Y = -1024, BUILD_MAX_Y = 1024;
+const clampHeight = (h) => Math.min(BUILD_MAX_Y, Math.max(BUILD_MIN_Y, h));
+const DENSITY_BLOCKS = GRID * GRID * LAYERS;    // most blocks a density view draws
+
+// View settings, kept in localStorage
+const Render = {
+    storageKey: 'mathgen.render',
+    distances: [100, 200, 400, 800],
+    distance: GRID,     // columns across the heightmap view
+    fill: true,         // columns reach down to their lowest neighbour, so cliffs are solid
+    greedy: false,      // one merged mesh per chunk instead of a cube instance per block
+    limited: false,     // the last heightmap view needed more than BLOCK_BUDGET blocks
+
+    load: function() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey));
+            if(!data) return;
+            if(this.distances.includes(data.distance)) this.distance = data.distance;
+            this.fill = data.fill !== false;
+            this.greedy = data.greedy === true;
+        } catch(e) { /* storage blocked or unreadable */ }
+    },
+
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ distance: this.distance, fill: this.fill, greedy: this.greedy }));
+        } catch(e) { /* storage blocked */ }
+    },
+
+    // Columns across the view in a mode
+    size: function(mode) {
+        return mode === 'density' ? DENSITY_GRID : this.distance;
+    }
+};
+Render.load();
 
 const geometry = new THREE.BoxGeometry(1, 1, 1);
 const material = new THREE.MeshStandardMaterial({ 
@@ -340,183 +485,1479 @@ const material = new THREE.MeshStandardMaterial({
     roughness: 0.8,
     metalness: 0.2
 });
+// Greedy meshes carry their colors per vertex
+const greedyMaterial = material.clone();
+greedyMaterial.vertexColors = true;
+
+// A terrain on screen: instanced cubes, or greedy meshes per chunk-sized tile ('cx,cz' -> { sig, mesh })
+function makeTerrainLayer() {
+    const group = new THREE.Group();
+    scene.add(group);
+    return { group, mesh: null, tiles: new Map() };
+}
+const terrainLayer = makeTerrainLayer();
+// Formula B in compare mode's split view; only drawn into the right half
+const compareLayer = makeTerrainLayer();
+compareLayer.group.visible = false;
+
+// The layer's instanced mesh, replaced by a larger one when a build needs more instances
+function instancesFor(layer, count) {
+    if(layer.mesh && layer.mesh.instanceMatrix.count >= count) return layer.mesh;
+    const capacity = Math.max(count, layer.mesh ? Math.min(BLOCK_BUDGET, Math.ceil(layer.mesh.instanceMatrix.count * 1.5)) : GRID * GRID * LAYERS);
+    dropInstances(layer);
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.frustumCulled = false;
+    layer.group.add(mesh);
+    layer.mesh = mesh;
+    return mesh;
+}
+
+function dropInstances(layer) {
+    if(!layer.mesh) return;
+    layer.group.remove(layer.mesh);
+    layer.mesh.dispose();
+    layer.mesh = null;
+}
+
+function dropTiles(layer, keep = null) {
+    layer.tiles.forEach((tile, tk) => {
+        if(keep && keep.has(tk)) return;
+        if(tile.mesh) {
+            layer.group.remove(tile.mesh);
+            tile.mesh.geometry.dispose();
+        }
+        layer.tiles.delete(tk);
+    });
+}
+
+function clearLayer(layer) {
+    dropInstances(layer);
+    dropTiles(layer);
+}
+
+// Biomes are ordered rules; the first one whose bounds all hold paints the block.
+// Bounds left null are open. Y is the floored block height, slope the largest step to a
+// neighbouring column, and moisture the value of an optional second formula of x and z.
+// top/sub are the surface and subsurface colors, block/subBlock the matching exported states.
+const Biomes = {
+    presets: {
+        temperate: {
+            label: 'Temperate',
+            moisture: 'simplex(x*0.006, 0, z*0.006)',
+            rules: [
+                { name: 'Lava', maxY: -31, top: '#ff5722', sub: '#808080', block: 'minecraft:lava[level=0]', subBlock: 'minecraft:stone' },
+                { name: 'Water', maxY: -3, top: '#3273a8', sub: '#808080', block: 'minecraft:water[level=0]', subBlock: 'minecraft:stone' },
+                { name: 'Beach', maxY: 1, top: '#dec28a', sub: '#808080', block: 'minecraft:sand', subBlock: 'minecraft:stone' },
+                { name: 'Cliff', minY: 2, maxY: 39, minSlope: 4, top: '#808080', sub: '#808080', block: 'minecraft:stone', subBlock: 'minecraft:stone' },
+                { name: 'Meadow', maxY: 14, minMoisture: -0.35, top: '#56a34c', sub: '#795548', block: 'minecraft:grass_block[snowy=false]', subBlock: 'minecraft:dirt' },
+                { name: 'Dry Grass', maxY: 14, top: '#9c9a4a', sub: '#795548', block: 'minecraft:coarse_dirt', subBlock: 'minecraft:dirt' },
+                { name: 'Mountain', maxY: 39, top: '#808080', sub: '#808080', block: 'minecraft:stone', subBlock: 'minecraft:stone' },
+                { name: 'Alien', minY: 61, top: '#9c27b0', sub: '#808080', block: 'minecraft:purpur_block', subBlock: 'minecraft:stone' },
+                { name: 'Snow', top: '#ffffff', sub: '#808080', block: 'minecraft:snow_block', subBlock: 'minecraft:stone' }
+            ]
+        },
+        desert: {
+            label: 'Desert',
+            moisture: 'simplex(x*0.01, 0, z*0.01)',
+            rules: [
+                { name: 'Oasis', maxY: -3, minMoisture: 0.3, top: '#2f8fa8', sub: '#d8c08a', block: 'minecraft:water[level=0]', subBlock: 'minecraft:sand' },
+                { name: 'Salt Flat', maxY: -3, top: '#eee8dc', sub: '#d8c08a', block: 'minecraft:white_concrete_powder', subBlock: 'minecraft:sand' },
+                { name: 'Scrub', maxY: 6, minMoisture: 0.45, top: '#7d8c3c', sub: '#c9a66b', block: 'minecraft:moss_block', subBlock: 'minecraft:sand' },
+                { name: 'Mesa Wall', minSlope: 3, top: '#b5653b', sub: '#9c4f2e', block: 'minecraft:terracotta', subBlock: 'minecraft:red_terracotta' },
+                { name: 'Dunes', maxY: 20, top: '#e6cc8c', sub: '#d8c08a', block: 'minecraft:sand', subBlock: 'minecraft:sandstone' },
+                { name: 'Red Sand', maxY: 40, top: '#c56a34', sub: '#b5653b', block: 'minecraft:red_sand', subBlock: 'minecraft:terracotta' },
+                { name: 'Mesa Top', top: '#d99a5b', sub: '#b5653b', block: 'minecraft:orange_terracotta', subBlock: 'minecraft:terracotta' }
+            ]
+        },
+        nether: {
+            label: 'Nether',
+            moisture: 'worley(x*0.02, 0, z*0.02)',
+            rules: [
+                { name: 'Lava Sea', maxY: -3, top: '#ff6a00', sub: '#6b2222', block: 'minecraft:lava[level=0]', subBlock: 'minecraft:netherrack' },
+                { name: 'Basalt Cliff', minSlope: 3, top: '#4a4a52', sub: '#3a3a40', block: 'minecraft:basalt[axis=y]', subBlock: 'minecraft:blackstone' },
+                { name: 'Soul Valley', maxY: 10, minMoisture: 0.6, top: '#5b4536', sub: '#4a3a2e', block: 'minecraft:soul_sand', subBlock: 'minecraft:soul_soil' },
+                { name: 'Crimson', maxY: 30, maxMoisture: 0.3, top: '#9e2b2b', sub: '#6b2222', block: 'minecraft:crimson_nylium', subBlock: 'minecraft:netherrack' },
+                { name: 'Netherrack', maxY: 45, top: '#7a2e2e', sub: '#6b2222', block: 'minecraft:netherrack', subBlock: 'minecraft:netherrack' },
+                { name: 'Glowstone', top: '#f5d36b', sub: '#7a2e2e', block: 'minecraft:glowstone', subBlock: 'minecraft:netherrack' }
+            ]
+        },
+        neon: {
+            label: 'Neon',
+            moisture: '',
+            rules: [
+                { name: 'Grid Sea', maxY: -3, top: '#0d0221', sub: '#1a0b3a', block: 'minecraft:black_stained_glass', subBlock: 'minecraft:obsidian' },
+                { name: 'Edge', minSlope: 2, top: '#ff2a6d', sub: '#1a0b3a', block: 'minecraft:magenta_concrete', subBlock: 'minecraft:obsidian' },
+                { name: 'Low', maxY: 15, top: '#00e5ff', sub: '#1a0b3a', block: 'minecraft:cyan_concrete', subBlock: 'minecraft:obsidian' },
+                { name: 'High', maxY: 40, top: '#d300c5', sub: '#1a0b3a', block: 'minecraft:purple_concrete', subBlock: 'minecraft:obsidian' },
+                { name: 'Peak', top: '#f9f871', sub: '#1a0b3a', block: 'minecraft:yellow_concrete', subBlock: 'minecraft:obsidian' }
+            ]
+        }
+    },
+    bounds: ['minY', 'maxY', 'minSlope', 'maxSlope', 'minMoisture', 'maxMoisture'],
+    maxRules: 32,
+
+    current: null,      // { moisture, rules }
+    colors: [],         // per rule { top, sub } THREE.Colors, sub already shaded
+    moistureFn: null,
+    moistureError: '',
+
+    // Returns a clean biome set, or null if raw has no usable rules
+    normalize: function(raw) {
+        if(!raw || typeof raw !== 'object' || !Array.isArray(raw.rules) || !raw.rules.length) return null;
+        const hex = (v, fallback) => /^#[0-9a-f]{6}$/i.test(v) ? v.toLowerCase() : fallback;
+        const state = (v, fallback) => typeof v === 'string' && /^[a-z0-9_.:-]+(\[[a-z0-9_=,]*\])?$/.test(v) ? v : fallback;
+        const rules = raw.rules.slice(0, this.maxRules).filter(r => r && typeof r === 'object').map(r => {
+            const rule = {
+                name: String(r.name || 'Biome').slice(0, 40),
+                top: hex(r.top, '#808080'),
+                sub: hex(r.sub, '#808080'),
+                block: state(r.block, 'minecraft:stone'),
+                subBlock: state(r.subBlock, 'minecraft:stone')
+            };
+            this.bounds.forEach(k => {
+                const v = r[k];
+                if(v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v))) rule[k] = Number(v);
+            });
+            return rule;
+        });
+        if(!rules.length) return null;
+        return { moisture: typeof raw.moisture === 'string' ? raw.moisture : '', rules };
+    },
+
+    toJSON: function() {
+        return JSON.parse(JSON.stringify(this.current));
+    },
+
+    // Key of the preset the current set equals, or null once it has been edited
+    presetName: function() {
+        const json = JSON.stringify(this.current);
+        return Object.keys(this.presets).find(k => JSON.stringify(this.normalize(this.presets[k])) === json) || null;
+    },
+
+    // Accepts a preset key or a biome set. Returns whether the moisture formula changed,
+    // since only that needs new samples; everything else is a repaint.
+    load: function(set) {
+        const next = this.normalize(typeof set === 'string' ? this.presets[set] : set) || this.normalize(this.presets.temperate);
+        const moistureChanged = !this.current || next.moisture !== this.current.moisture;
+        this.current = next;
+        this.refreshColors();
+        if(moistureChanged) this.compileMoisture();
+        return moistureChanged;
+    },
 
-const instMesh = new THREE.InstancedMesh(geometry, material, TOTAL_INSTANCES);
-instMesh.castShadow = true;
-instMesh.receiveShadow = true;
-instMesh.frustumCulled = false; 
-scene.add(instMesh);
-
-const dummy = new THREE.Object3D();
-const color = new THREE.Color();
-const colors = {
-    water: new THREE.Color(0x3273a8),
-    sand: new THREE.Color(0xdec28a),
-    grass: new THREE.Color(0x56a34c),
-    dirt: new THREE.Color(0x795548),
-    stone: new THREE.Color(0x808080),
-    snow: new THREE.Color(0xffffff),
-    alien: new THREE.Color(0x9c27b0),
-    lava: new THREE.Color(0xff5722),
-    neon: new THREE.Color(0x00e5ff)
+    refreshColors: function() {
+        this.colors = this.current.rules.map(r => ({
+            top: new THREE.Color(r.top),
+            sub: new THREE.Color(r.sub).multiplyScalar(0.85)
+        }));
+    },
+
+    compileMoisture: function() {
+        const src = this.current.moisture.trim();
+        this.moistureFn = null;
+        this.moistureError = '';
+        if(!src) return;
+        try {
+            this.moistureFn = Formula.compile(Formula.parse(src, Formula.columnVars));
+            this.moistureFn.source = src;
+        } catch(e) {
+            if(!(e instanceof FormulaError)) throw e;
+            this.moistureError = e.message;
+        }
+    },
+
+    // Index of the first matching rule; the last rule catches everything else
+    match: function(y, slope, moisture) {
+        const rules = this.current.rules;
+        for(let i = 0; i < rules.length; i++) {
+            const r = rules[i];
+            if(r.minY !== undefined && y < r.minY) continue;
+            if(r.maxY !== undefined && y > r.maxY) continue;
+            if(r.minSlope !== undefined && slope < r.minSlope) continue;
+            if(r.maxSlope !== undefined && slope > r.maxSlope) continue;
+            if(r.minMoisture !== undefined && moisture < r.minMoisture) continue;
+            if(r.maxMoisture !== undefined && moisture > r.maxMoisture) continue;
+            return i;
+        }
+        return rules.length - 1;
+    }
 };
+Biomes.load('temperate');
+
+// Largest floored height step from column (i, j) to a loaded neighbour in a size x size grid
+function slopeAt(heights, loaded, size, i, j) {
+    const h = Math.floor(heights[j * size + i]);
+    let slope = 0;
+    if(i > 0 && loaded[j * size + i - 1]) slope = Math.max(slope, Math.abs(h - Math.floor(heights[j * size + i - 1])));
+    if(i < size - 1 && loaded[j * size + i + 1]) slope = Math.max(slope, Math.abs(h - Math.floor(heights[j * size + i + 1])));
+    if(j > 0 && loaded[(j - 1) * size + i]) slope = Math.max(slope, Math.abs(h - Math.floor(heights[(j - 1) * size + i])));
+    if(j < size - 1 && loaded[(j + 1) * size + i]) slope = Math.max(slope, Math.abs(h - Math.floor(heights[(j + 1) * size + i])));
+    return slope;
+}
 
 let compiledFunc = null;
 let lastUpdateX = -999999;
 let lastUpdateZ = -999999;
 
-function compileFormula(str) {
+// Compiles a formula for the current mode and library. Throws FormulaError.
+function compileSource(str, ast) {
+    return compile(str, terrainMode, Defs.list, ast);
+}
+
+// merge: part of a run of edits that undo takes back together
+function compileFormula(str, merge = false) {
+    Editor.record(merge);
     try {
-        let safeStr = str.replace(/\^/g, '**');
-        const f = new Function('C', 'x', 'z', `with(C){return ${safeStr};}`);
-        f(Ctx, 0, 0); 
+        const ast = Formula.parse(str, terrainMode === 'density' ? Formula.densityVars : Formula.vars, Defs.list);
+        const f = compileSource(str, ast);
         document.getElementById('error-msg').classList.add('error-hidden');
+        Editor.setError(null);
+        updateCompat(ast);
+        updateSimplify(ast);
+        Compare.refresh(f);
+        updateCompareBar();
+        updateParams(str);
         return f;
     } catch(e) {
+        if(!(e instanceof FormulaError)) throw e;
         document.getElementById('error-msg').textContent = "⚠ " + e.message;
         document.getElementById('error-msg').classList.remove('error-hidden');
+        Editor.setError(e.pos);
+        updateCompat(null);
+        updateSimplify(null);
+        Compare.refresh(null);
+        updateCompareBar();
+        updateParams(null);
         return null;
     }
 }
 
+// TerraMath report under the input, plus the rewritten formula for copying
+let terraMathFormula = '';
+
+function updateCompat(ast) {
+    const panel = document.getElementById('compat-panel');
+    if(!ast) { panel.hidden = true; return; }
+    // TerraMath has no definitions, so it sees the flattened formula
+    const { ast: converted, issues } = TerraMath.convert(Formula.inline(ast));
+    const blocking = issues.filter(i => !i.fix).length;
+    terraMathFormula = Formula.print(converted);
+
+    panel.hidden = false;
+    panel.classList.toggle('ok', issues.length === 0);
+    panel.classList.toggle('blocked', blocking > 0);
+    panel.querySelector('summary').textContent = issues.length === 0
+        ? 'TerraMath: compatible'
+        : `TerraMath: ${issues.length} issue${issues.length > 1 ? 's' : ''}` + (blocking ? `, ${blocking} unsupported` : ', all rewritable');
+    panel.querySelector('ul').innerHTML = issues.map(i => `
+        <li class="${i.fix ? 'fix-' + i.fix : 'fix-none'}">
+            <code>${escapeHtml(i.construct)}</code> col ${i.pos + 1}:
+            ${i.fix ? escapeHtml(i.fix) + ' - ' : 'unsupported - '}${escapeHtml(i.note)}
+        </li>`).join('');
+    panel.querySelector('.compat-copy').disabled = issues.length === 0;
+}
+
+// Simplifier report under the input; its buttons rewrite the formula in place
+let simplified = null;
+
+function updateSimplify(ast) {
+    const panel = document.getElementById('simplify-panel');
+    simplified = null;
+    if(!ast) { panel.hidden = true; return; }
+    simplified = Simplify.checked(ast, terrainMode === 'density' ? Formula.densityVars : Formula.vars);
+    const before = formatFormula(ast, 'compact').length;
+    const after = formatFormula(simplified.ast, 'compact').length;
+
+    panel.hidden = false;
+    panel.classList.toggle('blocked', !simplified.ok);
+    panel.querySelector('summary').textContent = !simplified.ok
+        ? 'Simplify: result changed values, left as is'
+        : after < before
+            ? `Simplify: ${before} → ${after} chars, same on ${simplified.samples} samples`
+            : 'Simplify: nothing to fold';
+}
+
+// Formula text for an AST: 'plain', 'pretty' (indented lines) or 'compact' (no spaces).
+// Library definitions are left out since the library supplies them.
+function formatFormula(ast, style) {
+    const strip = (n) => (n.type === 'let' || n.type === 'def') ? (n.lib ? strip(n.body) : { ...n, body: strip(n.body) }) : n;
+    if(style === 'pretty') return Formula.pretty(strip(ast));
+    return Formula.print(strip(ast), style === 'compact');
+}
+
+// Generated formulas go through the simplifier when the toggle is on and the values check out
+function simplifySource(src, vars) {
+    try {
+        const result = Simplify.checked(Formula.parse(src, vars, Defs.list), vars);
+        return result.ok ? formatFormula(result.ast, 'plain') : src;
+    } catch(e) {
+        if(!(e instanceof FormulaError)) throw e;
+        return src;
+    }
+}
+
+// Density mode shows a smaller box so it stays interactive
+const DENSITY_GRID = 80;
+const DENSITY_H = DENSITY_MAX_Y - DENSITY_MIN_Y;
+
+// Main-thread sampling for the exporter and for browsers without module workers
+const sampleAt = (wx, wz, wy) => evaluate(compiledFunc, wx, wz, wy, Clock.t);
+
+// Instances are unscaled cubes, so writing the translation straight into the matrix is enough
+function placeBlock(mesh, idx, x, y, z) {
+    const m = mesh.instanceMatrix.array;
+    const o = idx * 16;
+    m.fill(0, o, o + 16);
+    m[o] = 1; m[o + 5] = 1; m[o + 10] = 1; m[o + 15] = 1;
+    m[o + 12] = x; m[o + 13] = y; m[o + 14] = z;
+}
+
+// depth 0 is the exposed top block, anything deeper gets the rule's subsurface color
+function paintBlock(mesh, idx, rule, depth) {
+    const c = Biomes.colors[rule];
+    mesh.setColorAt(idx, depth === 0 ? c.top : c.sub);
+}
+
+// Columns where the formula threw or gave NaN/Infinity stand out instead of passing for flat ground
+const FAULT_COLOR = new THREE.Color(0xff00ff);
+
+// Sampled chunks, cached per terrain key (mode|seed|formula|moisture|library) and filled by a pool of workers.
+// Without module worker support the same chunks are sampled on the main thread, one per tick.
+const Chunks = {
+    caches: new Map(),      // terrain key -> Map('cx,cz' -> { data, moisture, faults }), least recently used first
+    maxCaches: 6,           // room for A, B and a few morph steps
+    maxChunks: { height: 1024, density: 64, map: 1024 },
+    queue: [],              // jobs waiting for a worker, nearest first
+    inFlight: new Map(),    // job id -> job
+    pending: new Set(),     // 'key#cx,cz' of queued and in-flight jobs
+    workers: [],
+    idle: [],
+    nextJob: 1,
+    mainTimer: null,
+    dirty: false,
+
+    init: function() {
+        if(typeof Worker === 'undefined') return;
+        const count = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        try {
+            for(let i = 0; i < count; i++) {
+                const w = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+                w.onmessage = (e) => this.onResult(w, e.data);
+                w.onerror = () => this.disableWorkers();
+                this.workers.push(w);
+                this.idle.push(w);
+            }
+        } catch(e) {
+            this.disableWorkers();
+        }
+    },
+
+    // A worker that fails to load takes the pool down; its jobs go back to the queue
+    disableWorkers: function() {
+        this.workers.forEach(w => w.terminate());
+        this.workers = [];
+        this.idle = [];
+        this.queue.unshift(...this.inFlight.values());
+        this.inFlight.clear();
+        this.pump();
+    },
+
+    cacheFor: function(key) {
+        let cache = this.caches.get(key);
+        if(cache) {
+            this.caches.delete(key);
+        } else {
+            cache = new Map();
+        }
+        this.caches.set(key, cache);
+        while(this.caches.size > this.maxCaches) this.caches.delete(this.caches.keys().next().value);
+        return cache;
+    },
+
+    // Asks for chunks of one or more terrains, each { key, spec, coords } with spec
+    // { fn, source, library, moisture, mode, seed, t, center } and, for maps, { step, tops }.
+    // Coords of all terrains are interleaved so they fill in together. Queued work for anything else is dropped.
+    request: function(terrains) {
+        const caches = terrains.map(t => this.cacheFor(t.key));
+        this.queue.forEach(job => this.pending.delete(`${job.key}#${job.ck}`));
+        this.queue = [];
+        const longest = Math.max(0, ...terrains.map(t => t.coords.length));
+        for(let c = 0; c < longest; c++) {
+            terrains.forEach(({ key, spec, coords }, t) => {
+                if(c >= coords.length) return;
+                const [cx, cz] = coords[c];
+                const ck = `${cx},${cz}`;
+                if(caches[t].has(ck) || this.pending.has(`${key}#${ck}`)) return;
+                this.pending.add(`${key}#${ck}`);
+                this.queue.push({ ...spec, key, ck, cx, cz });
+            });
+        }
+        this.pump();
+    },
+
+    pump: function() {
+        if(!this.workers.length) {
+            if(this.queue.length && !this.mainTimer) this.mainTimer = setTimeout(() => this.runOnMain(), 0);
+            return;
+        }
+        while(this.idle.length && this.queue.length) {
+            const w = this.idle.pop();
+            const job = this.queue.shift();
+            job.id = this.nextJob++;
+            job.worker = w;
+            this.inFlight.set(job.id, job);
+            w.postMessage({
+                job: job.id, key: job.key, formula: job.source, library: job.library, moisture: job.moisture,
+                seed: job.seed, mode: job.mode, t: job.t, step: job.step, tops: job.tops, cx: job.cx, cz: job.cz
+            });
+        }
+    },
+
+    runOnMain: function() {
+        this.mainTimer = null;
+        const job = this.queue.shift();
+        if(!job) return;
+        const moisture = Biomes.moistureFn ? sampleChunk(Biomes.moistureFn, 'height', job.cx, job.cz, null, 0, job.step) : null;
+        const faults = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+        const data = sampleChunk(job.fn, job.mode, job.cx, job.cz, faults, job.t, job.step);
+        this.store(job, job.tops ? columnTops(data) : data, moisture, faults);
+        this.pump();
+    },
+
+    onResult: function(worker, msg) {
+        const job = this.inFlight.get(msg.job);
+        this.idle.push(worker);
+        if(job) {
+            this.inFlight.delete(msg.job);
+            // A chunk that fails in the worker is stored flat, and flagged, instead of being retried forever
+            const size = CHUNK_SIZE * CHUNK_SIZE;
+            if(msg.error) {
+                const data = job.mode === 'density' && !job.tops ? new Uint8Array(size * DENSITY_H) : new Float32Array(size);
+                this.store(job, data, null, new Uint8Array(size).fill(FAULT_ERROR));
+            } else {
+                this.store(job, msg.data, msg.moisture, msg.faults);
+            }
+        }
+        this.pump();
+    },
+
+    // True while any requested chunk is still queued or being sampled
+    busy: function() {
+        return this.pending.size > 0;
+    },
+
+    store: function(job, data, moisture, faults) {
+        this.pending.delete(`${job.key}#${job.ck}`);
+        const cache = this.caches.get(job.key);
+        if(!cache) return;
+        cache.set(job.ck, { data, moisture, faults });
+        if(job.key === terrainView.key || job.key === compareView.key || job.key === MapView.key) this.dirty = true;
+        this.evict(cache, this.maxChunks[job.step ? 'map' : job.mode], job.center);
+    },
+
+    // Drops the chunks farthest from the requested window once a cache is over budget
+    evict: function(cache, max, [ccx, ccz]) {
+        if(cache.size <= max) return;
+        const dist = (ck) => { const [x, z] = ck.split(',').map(Number); return Math.max(Math.abs(x - ccx), Math.abs(z - ccz)); };
+        [...cache.keys()].sort((a, b) => dist(b) - dist(a)).slice(0, cache.size - max).forEach(ck => cache.delete(ck));
+    }
+};
+Chunks.init();
+
+// What is on screen: the terrain key and the window of columns around the camera.
+// terrainView holds formula A; compareView holds B or the morph in compare mode.
+function makeView() {
+    return {
+        key: '',
+        mode: 'height',
+        x0: 0, z0: 0, size: GRID,
+        // Filled by rebuildTerrain from cached chunks; loaded is 0 for columns still being sampled.
+        // In density mode heights holds the top solid block of each column.
+        heights: new Float32Array(GRID * GRID),
+        moisture: new Float32Array(GRID * GRID),
+        loaded: new Uint8Array(GRID * GRID),
+        faults: new Uint8Array(GRID * GRID),      // FAULT_* of the first bad sample in each column
+        solid: new Uint8Array(DENSITY_GRID * DENSITY_GRID * DENSITY_H),
+        // Post-processed heights of the window, { key, heights }, and the key of what is shown now
+        post: null,
+        postKey: ''
+    };
+}
+const terrainView = makeView();
+const compareView = makeView();
+
+// Grows a view's column arrays for a larger render distance
+function sizeView(v, size) {
+    v.size = size;
+    if(v.heights.length >= size * size) return;
+    v.heights = new Float32Array(size * size);
+    v.moisture = new Float32Array(size * size);
+    v.loaded = new Uint8Array(size * size);
+    v.faults = new Uint8Array(size * size);
+}
+let lastRebuild = 0;
+
+// Playback time t. Formulas that use it get their own chunks for every value of t.
+const Clock = {
+    t: 0,
+    playing: false,
+    speed: 1,
+    last: 0     // performance.now() of the previous advance
+};
+
+// Compare mode: formula B split beside A, the morph (1 - t)*A + t*B, or A colored by how far B differs
+const Compare = {
+    mode: null,         // null (off) | 'split' | 'morph' | 'diff'
+    source: '',         // formula B
+    t: 0.5,
+    fn: null,           // compiled B, or the morph formula in morph mode; null while B doesn't parse
+    error: '',
+    maxDiff: 0,
+
+    // Recompiles B (and the morph) against formula A, compiled for the current mode
+    refresh: function(a = compiledFunc) {
+        this.fn = null;
+        this.error = '';
+        if(!this.mode || !a) return;
+        const vars = terrainMode === 'density' ? Formula.densityVars : Formula.vars;
+        try {
+            const b = Formula.parse(this.source, vars, Defs.list);
+            if(this.mode !== 'morph' || this.t === 1) { this.fn = compileSource(this.source, b); return; }
+            if(this.t === 0) { this.fn = a; return; }
+            // Both sides are flattened, since their definitions could clash
+            const ast = Formula.parse(a.source, vars, Defs.list);
+            const morph = Ast.bin('+',
+                Ast.bin('*', Ast.num(+(1 - this.t).toFixed(4)), Formula.inline(ast)),
+                Ast.bin('*', Ast.num(this.t), Formula.inline(b)));
+            this.fn = compileSource(Formula.print(morph));
+        } catch(e) {
+            if(!(e instanceof FormulaError)) throw e;
+            this.error = e.message;
+        }
+    },
+
+    // Shown in the whole viewport instead of A
+    morphing: function() { return this.mode === 'morph' && this.fn !== null; },
+    splitting: function() { return this.mode === 'split' && this.fn !== null; }
+};
+
+// The view whose terrain fills the main mesh
+const shownView = () => Compare.morphing() ? compareView : terrainView;
+
+// Views to keep filled, each with the formula it shows
+function terrainSources() {
+    const sources = [];
+    if(!Compare.morphing()) sources.push([terrainView, compiledFunc]);
+    if(Compare.fn) sources.push([compareView, Compare.fn]);
+    return sources;
+}
+
+// Everything a terrain's samples depend on
+function terrainKey(fn, moisture) {
+    return `${fn.mode}|${currentSeed}|${fn.source}|${moisture}|${fn.libraryKey}` + (fn.usesTime ? `|${Clock.t}` : '');
+}
+
 function updateTerrain(force = false) {
     if(!compiledFunc) return;
+    // The map replaces the 3D view and pans on its own, so camera moves leave it alone
+    if(MapView.active) {
+        if(force) MapView.update();
+        return;
+    }
 
     const cx = Math.floor(controls.target.x);
     const cz = Math.floor(controls.target.z);
 
-    if (!force && Math.abs(cx - lastUpdateX) < 2 && Math.abs(cz - lastUpdateZ) < 2) return;
+    // Density boxes are far more expensive, so they only follow larger camera moves
+    const minMove = terrainMode === 'density' ? 8 : 2;
+    if (!force && Math.abs(cx - lastUpdateX) < minMove && Math.abs(cz - lastUpdateZ) < minMove) return;
     lastUpdateX = cx;
     lastUpdateZ = cz;
     
+    const mode = compiledFunc.mode;
+    const size = Render.size(mode);
+
     dirLight.position.set(cx + 200, 400, cz + 200);
     dirLight.target.position.set(cx, 0, cz);
     dirLight.target.updateMatrixWorld();
+    fitShadow(size);
 
-    let idx = 0;
-    const offset = Math.floor(GRID / 2);
-    
-    for(let i = 0; i < GRID; i++) {
-        for(let j = 0; j < GRID; j++) {
-            const wx = cx - offset + i;
-            const wz = cz - offset + j;
-            
-            Ctx._x = wx; Ctx._z = wz;
-
-            let y = 0;
-            try { y = compiledFunc(Ctx, wx, wz); } catch(e) { y = 0; }
-            if(!Number.isFinite(y)) y = 0;
-            const surfaceY = Math.floor(y);
-            
-            let biome = 'GRASS';
-            if (surfaceY < -2) biome = 'WATER';
-            else if (surfaceY < 2) biome = 'SAND';
-            else if (surfaceY < 15) biome = 'GRASS';
-            else if (surfaceY < 40) biome = 'STONE';
-            else biome = 'SNOW';
-            
-            if(y > 60) biome = 'ALIEN';
-            if(y < -30) biome = 'LAVA';
-
-            for (let d = 0; d < LAYERS; d++) {
-                dummy.position.set(wx, surfaceY - d, wz);
-                dummy.updateMatrix();
-                instMesh.setMatrixAt(idx, dummy.matrix);
-
-                let c = color;
-                if(d === 0) {
-                    if(biome==='WATER') c.copy(colors.water);
-                    else if(biome==='SAND') c.copy(colors.sand);
-                    else if(biome==='GRASS') c.copy(colors.grass);
-                    else if(biome==='STONE') c.copy(colors.stone);
-                    else if(biome==='SNOW') c.copy(colors.snow);
-                    else if(biome==='ALIEN') c.copy(colors.alien);
-                    else if(biome==='LAVA') c.copy(colors.lava);
-                } else {
-                    c.copy(biome==='GRASS'?colors.dirt:colors.stone);
+    const x0 = cx - Math.floor(size / 2), z0 = cz - Math.floor(size / 2);
+
+    // Chunks under the window, nearest to the camera first
+    const coords = [];
+    const c0x = Math.floor(x0 / CHUNK_SIZE), c1x = Math.floor((x0 + size - 1) / CHUNK_SIZE);
+    const c0z = Math.floor(z0 / CHUNK_SIZE), c1z = Math.floor((z0 + size - 1) / CHUNK_SIZE);
+    for(let x = c0x; x <= c1x; x++) for(let z = c0z; z <= c1z; z++) coords.push([x, z]);
+    const ccx = cx / CHUNK_SIZE - 0.5, ccz = cz / CHUNK_SIZE - 0.5;
+    coords.sort((a, b) => Math.hypot(a[0] - ccx, a[1] - ccz) - Math.hypot(b[0] - ccx, b[1] - ccz));
+
+    const moisture = Biomes.moistureFn ? Biomes.moistureFn.source : '';
+    const terrains = terrainSources().map(([v, fn]) => {
+        const t = fn.usesTime ? Clock.t : 0;
+        sizeView(v, size);
+        Object.assign(v, { key: terrainKey(fn, moisture), mode, x0, z0 });
+        const spec = { fn, source: fn.source, library: fn.library, moisture, mode, seed: currentSeed, t, center: [ccx, ccz] };
+        return { key: v.key, spec, coords };
+    });
+    Chunks.request(terrains);
+    // A brand new terrain keeps the old one on screen until its first chunk lands
+    if(terrains.some(t => Chunks.caches.get(t.key).size)) rebuildTerrain();
+}
+
+// Copies cached chunks into the views and rewrites the instances. Runs again as chunks arrive.
+function rebuildTerrain() {
+    Chunks.dirty = false;
+    lastRebuild = performance.now();
+    if(MapView.active) return MapView.draw();
+    terrainSources().forEach(([v]) => { fillView(v); postProcess(v); });
+
+    const tint = Compare.mode === 'diff' && Compare.fn ? differenceTint(terrainView, compareView) : null;
+    buildInto(terrainLayer, shownView(), tint);
+    if(Compare.splitting()) buildInto(compareLayer, compareView, null);
+    if(tint) ui.compareMax.textContent = Compare.maxDiff;
+    updateStats();
+    Probe.render();
+}
+
+function fillView(v) {
+    const cache = Chunks.caches.get(v.key) || new Map();
+    const c0x = Math.floor(v.x0 / CHUNK_SIZE), c1x = Math.floor((v.x0 + v.size - 1) / CHUNK_SIZE);
+    const c0z = Math.floor(v.z0 / CHUNK_SIZE), c1z = Math.floor((v.z0 + v.size - 1) / CHUNK_SIZE);
+
+    v.loaded.fill(0);
+    for(let ccx = c0x; ccx <= c1x; ccx++) {
+        for(let ccz = c0z; ccz <= c1z; ccz++) {
+            const entry = cache.get(`${ccx},${ccz}`);
+            if(!entry) continue;
+            const { data, moisture, faults } = entry;
+            for(let lz = 0; lz < CHUNK_SIZE; lz++) {
+                const j = ccz * CHUNK_SIZE + lz - v.z0;
+                if(j < 0 || j >= v.size) continue;
+                for(let lx = 0; lx < CHUNK_SIZE; lx++) {
+                    const i = ccx * CHUNK_SIZE + lx - v.x0;
+                    if(i < 0 || i >= v.size) continue;
+                    const col = j * v.size + i;
+                    v.loaded[col] = 1;
+                    v.moisture[col] = moisture ? moisture[lz * CHUNK_SIZE + lx] : 0;
+                    v.faults[col] = faults[lz * CHUNK_SIZE + lx];
+                    if(v.mode === 'density') {
+                        const src = (lz * CHUNK_SIZE + lx) * DENSITY_H;
+                        v.solid.set(data.subarray(src, src + DENSITY_H), col * DENSITY_H);
+                    } else {
+                        v.heights[col] = clampHeight(data[lz * CHUNK_SIZE + lx]);
+                    }
                 }
-                if(d>0) c.multiplyScalar(0.85);
-                instMesh.setColorAt(idx, c);
-                idx++;
             }
         }
     }
-    instMesh.instanceMatrix.needsUpdate = true;
-    instMesh.instanceColor.needsUpdate = true;
+    if(v.mode !== 'density') return;
+
+    // Slope, stats and the difference view use the top solid block of each column
+    for(let col = 0; col < v.size * v.size; col++) {
+        let k = DENSITY_H - 1;
+        while(k >= 0 && !v.solid[col * DENSITY_H + k]) k--;
+        v.heights[col] = DENSITY_MIN_Y + k;
+    }
 }
 
-// ==========================================
-// 6. UI, HISTORY & TABS
-// ==========================================
+// Runs the post-processing pipeline over a heightmap view. Erosion carries material across the
+// whole window, so it waits until every column has loaded and the raw heights show until then.
+// The result is kept until the terrain, the window or the pipeline changes.
+function postProcess(v) {
+    v.postKey = '';
+    if(v.mode === 'density' || !Post.active(postStages)) return;
+    const n = v.size * v.size;
+    if(v.loaded.subarray(0, n).includes(0)) return;
+    const key = `${v.key}|${v.x0},${v.z0},${v.size}|${JSON.stringify(postStages)}`;
+    if(!v.post || v.post.key !== key) {
+        const usable = Uint8Array.from(v.faults.subarray(0, n), f => f === FAULT_NONE ? 1 : 0);
+        const heights = Post.apply(postStages, v.heights.slice(0, n), v.size, v.size, { usable, x0: v.x0, z0: v.z0 }).map(clampHeight);
+        v.post = { key, heights };
+    }
+    v.heights.set(v.post.heights);
+    v.postKey = key;
+}
 
-const ui = {
-    input: document.getElementById('formula-input'),
-    btnGen: document.getElementById('gen-btn'),
-    btnCopy: document.getElementById('copy-btn'),
-    btnSave: document.getElementById('save-btn'),
-    btnHist: document.getElementById('history-btn'),
-    btnCloseHist: document.getElementById('close-history'),
-    btnToggleRealistic: document.getElementById('toggle-realistic'),
-    zoomSlider: document.getElementById('zoom-slider'),
-    sidebar: document.getElementById('sidebar'),
-    sidebarContent: document.getElementById('sidebar-content'),
-    tabHistory: document.getElementById('tab-history'),
-    tabSaved: document.getElementById('tab-saved'),
-    tagNoise: document.getElementById('tag-noise'),
-    tagGen: document.getElementById('tag-gen'),
-    genName: document.getElementById('gen-name')
-};
+// tint(col) may return a color that replaces the biome colors of a column
+function buildInto(layer, v, tint) {
+    if(Render.greedy) {
+        dropInstances(layer);
+        buildTiles(layer, v, tint);
+        return;
+    }
+    dropTiles(layer);
+    const count = v.mode === 'density' ? buildDensity(v, layer, tint) : buildHeightmap(v, layer, tint);
+    const mesh = layer.mesh;
+    mesh.count = count;
+    mesh.instanceMatrix.needsUpdate = true;
+    if(mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+}
 
-// DATA STORES
-let historyList = [];
-let savedList = [];
-let currentTab = 'history';
+// Blue where A and B agree, through green and yellow to red where they differ the most on screen
+function differenceTint(a, b) {
+    const diff = new Float32Array(a.size * a.size).fill(-1);
+    let max = 0;
+    for(let col = 0; col < a.size * a.size; col++) {
+        if(!a.loaded[col] || !b.loaded[col] || a.faults[col] || b.faults[col]) continue;
+        diff[col] = Math.abs(Math.floor(a.heights[col]) - Math.floor(b.heights[col]));
+        max = Math.max(max, diff[col]);
+    }
+    Compare.maxDiff = max;
+    const color = new THREE.Color();
+    return (col) => diff[col] < 0 ? null : color.setHSL(0.66 * (1 - (max ? diff[col] / max : 0)), 0.85, 0.5);
+}
 
-// 1. GENERATION LOGIC
-function initGen() {
-    Noise.seed(); // New Seed
-    
-    // Create new data
-    const data = Generator.create();
-    const name = NameGen.get();
+// Lowest block of each heightmap column: LAYERS under the surface, or with fill on, down to
+// just above the lowest neighbour so no gaps show between steep columns. Past BLOCK_BUDGET blocks
+// in total, columns go LAYERS deep without fill, or shallower if even that is too many.
+// Returns { bottoms, depth }, depth being 'fill' or the number of layers drawn.
+function columnBottoms(v) {
+    const N = v.size, bottoms = new Int32Array(N * N);
+    let columns = 0, blocks = 0;
+    for(let j = 0; j < N; j++) {
+        for(let i = 0; i < N; i++) {
+            const col = j * N + i;
+            if(!v.loaded[col]) continue;
+            const top = Math.floor(v.heights[col]);
+            let bottom = top - LAYERS + 1;
+            if(Render.fill && !v.faults[col]) {
+                for(const [ni, nj] of [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]]) {
+                    if(ni < 0 || nj < 0 || ni >= N || nj >= N) continue;
+                    const n = nj * N + ni;
+                    if(v.loaded[n] && !v.faults[n]) bottom = Math.min(bottom, Math.floor(v.heights[n]) + 1);
+                }
+                bottom = Math.max(bottom, top - FILL_LIMIT + 1);
+            }
+            bottoms[col] = bottom;
+            columns++;
+            blocks += top - bottom + 1;
+        }
+    }
+    if(blocks <= BLOCK_BUDGET) return { bottoms, depth: Render.fill ? 'fill' : LAYERS };
 
-    // Update UI
-    ui.input.value = data.formula;
-    ui.tagNoise.textContent = data.noise.toUpperCase();
-    ui.tagGen.textContent = data.type.toUpperCase();
-    ui.genName.textContent = name;
+    const layers = Math.max(1, Math.min(LAYERS, Math.floor(BLOCK_BUDGET / columns)));
+    for(let col = 0; col < N * N; col++) {
+        if(v.loaded[col]) bottoms[col] = Math.floor(v.heights[col]) - layers + 1;
+    }
+    return { bottoms, depth: layers };
+}
 
-    // Render
-    compiledFunc = compileFormula(data.formula);
-    updateTerrain(true);
+// Tells once when a view needs more blocks than BLOCK_BUDGET and is drawn shallower
+function noteDepth(depth) {
+    const limited = depth !== 'fill' && !(depth === LAYERS && !Render.fill);
+    if(limited && !Render.limited) showToast(`TOO MANY BLOCKS: ${depth === LAYERS ? 'FILL OFF' : depth + ' LAYER' + (depth > 1 ? 'S' : '')} IN THIS VIEW`);
+    Render.limited = limited;
+}
 
-    // LOG TO HISTORY
-    addToHistory({
-        formula: data.formula,
-        noise: data.noise,
-        type: data.type,
-        name: name
-    });
+// { top, sub } colors of a column: its biome's, or the fault or tint color all the way down
+function columnColors(v, col, tint) {
+    const color = v.faults[col] ? FAULT_COLOR : tint && tint(col);
+    if(color) return { top: color, sub: color };
+    const i = col % v.size, j = (col - i) / v.size;
+    return Biomes.colors[Biomes.match(Math.floor(v.heights[col]), slopeAt(v.heights, v.loaded, v.size, i, j), v.moisture[col])];
 }
 
-// 2. HISTORY & SAVED LOGIC
-function addToHistory(item) {
-    historyList.unshift(item);
-    if(historyList.length > 50) historyList.pop();
-    if(currentTab === 'history') renderSidebar();
+// Each column as a stack of cubes from its surface down to columnBottoms. Returns the instance count.
+function buildHeightmap(v, layer, tint) {
+    const { bottoms, depth } = columnBottoms(v);
+    noteDepth(depth);
+    let count = 0;
+    for(let col = 0; col < v.size * v.size; col++) {
+        if(v.loaded[col]) count += Math.floor(v.heights[col]) - bottoms[col] + 1;
+    }
+    const mesh = instancesFor(layer, count);
+
+    let idx = 0;
+    for(let j = 0; j < v.size; j++) {
+        for(let i = 0; i < v.size; i++) {
+            const col = j * v.size + i;
+            if(!v.loaded[col]) continue;
+            const top = Math.floor(v.heights[col]);
+            const colors = columnColors(v, col, tint);
+            for(let y = top; y >= bottoms[col]; y--) {
+                placeBlock(mesh, idx, v.x0 + i, y, v.z0 + j);
+                mesh.setColorAt(idx, y === top ? colors.top : colors.sub);
+                idx++;
+            }
+        }
+    }
+    return idx;
 }
 
+// Box sides and top count as air so the cut-away shows the inside. The bottom is assumed solid,
+// and so are columns still being sampled, so no walls flash up along their edges.
+function densityAir(v) {
+    const N = v.size, H = DENSITY_H;
+    return (i, j, k) => i < 0 || j < 0 || i >= N || j >= N || k >= H
+        || (k >= 0 && v.loaded[j * N + i] === 1 && !v.solid[(j * N + i) * H + k]);
+}
+
+// Only blocks touching air become instances. Returns the instance count.
+function buildDensity(v, layer, tint) {
+    const N = v.size;
+    const H = DENSITY_H;
+    const solid = v.solid;
+    const at = (i, j, k) => (j * N + i) * H + k;
+    const isAir = densityAir(v);
+    const mesh = instancesFor(layer, DENSITY_BLOCKS);
+
+    let idx = 0;
+    for(let j = 0; j < N; j++) {
+        for(let i = 0; i < N; i++) {
+            const col = j * N + i;
+            if(!v.loaded[col]) continue;
+            const slope = slopeAt(v.heights, v.loaded, N, i, j);
+            const color = v.faults[col] ? FAULT_COLOR : tint && tint(col);
+            for(let k = 0; k < H; k++) {
+                if(!solid[at(i, j, k)]) continue;
+                const airAbove = isAir(i, j, k + 1);
+                if(!airAbove && !isAir(i, j, k - 1) && !isAir(i - 1, j, k) && !isAir(i + 1, j, k)
+                    && !isAir(i, j - 1, k) && !isAir(i, j + 1, k)) continue;
+                if(idx >= DENSITY_BLOCKS) return idx;
+
+                const wy = DENSITY_MIN_Y + k;
+                placeBlock(mesh, idx, v.x0 + i, wy, v.z0 + j);
+                if(color) mesh.setColorAt(idx, color);
+                else paintBlock(mesh, idx, Biomes.match(wy, slope, v.moisture[col]), airAbove ? 0 : 1);
+                idx++;
+            }
+        }
+    }
+    return idx;
+}
+
+// Greedy meshing. The faces of a tile are bucketed by side and plane, and each plane is covered with
+// the largest same-colored rectangles. Blocks are unit cubes centred on whole coordinates, like the instances.
+const FACES = [     // axis the face looks along (0 x, 1 y, 2 z), which way, the plane's u and v axes,
+    { axis: 1, dir: 1, u: 0, v: 2, flip: true },    // and whether u × v points against the normal
+    { axis: 1, dir: -1, u: 0, v: 2, flip: false },
+    { axis: 0, dir: 1, u: 2, v: 1, flip: true },
+    { axis: 0, dir: -1, u: 2, v: 1, flip: false },
+    { axis: 2, dir: 1, u: 0, v: 1, flip: false },
+    { axis: 2, dir: -1, u: 0, v: 1, flip: true }
+];
+// Offset [x, y, z] to the block each face looks at
+const FACE_STEPS = FACES.map(F => { const d = [0, 0, 0]; d[F.axis] = F.dir; return d; });
+const FACE_ROW = 64;        // cell key stride per v; u stays below CHUNK_SIZE
+
+// Cells are plane -> Map(v * FACE_ROW + u -> color key), colors holds the rgb of each color key
+function makeFaceSet() {
+    return { planes: FACES.map(() => new Map()), colors: new Map() };
+}
+
+// x and z are local to the tile, y is the world height
+function addFace(set, f, x, y, z, color) {
+    const F = FACES[f], c = [x, y, z];
+    let cells = set.planes[f].get(c[F.axis]);
+    if(!cells) set.planes[f].set(c[F.axis], cells = new Map());
+    const key = (Math.round(color.r * 255) << 16) | (Math.round(color.g * 255) << 8) | Math.round(color.b * 255);
+    if(!set.colors.has(key)) set.colors.set(key, [color.r, color.g, color.b]);
+    cells.set(c[F.v] * FACE_ROW + c[F.u], key);
+}
+
+// Merged quads as a mesh in tile coordinates, or null without faces
+function faceMesh(set) {
+    const position = [], normal = [], color = [], index = [];
+    set.planes.forEach((planes, f) => {
+        const F = FACES[f];
+        planes.forEach((cells, plane) => {
+            // Row by row from the lowest cell, so rectangles grow right and then up
+            for(const key of [...cells.keys()].sort((a, b) => a - b)) {
+                const c = cells.get(key);
+                if(c === undefined) continue;
+                let w = 1, h = 1;
+                while(cells.get(key + w) === c) w++;
+                grow: for(;;) {
+                    for(let k = 0; k < w; k++) if(cells.get(key + h * FACE_ROW + k) !== c) break grow;
+                    h++;
+                }
+                for(let r = 0; r < h; r++) for(let k = 0; k < w; k++) cells.delete(key + r * FACE_ROW + k);
+
+                const v0 = Math.floor(key / FACE_ROW), u0 = key - v0 * FACE_ROW;
+                const corners = [[u0, v0], [u0 + w, v0], [u0 + w, v0 + h], [u0, v0 + h]];
+                if(F.flip) corners.reverse();
+                const base = position.length / 3, rgb = set.colors.get(c);
+                corners.forEach(([u, v]) => {
+                    const p = [0, 0, 0], n = [0, 0, 0];
+                    p[F.axis] = plane + F.dir * 0.5;
+                    p[F.u] = u - 0.5;
+                    p[F.v] = v - 0.5;
+                    n[F.axis] = F.dir;
+                    position.push(...p);
+                    normal.push(...n);
+                    color.push(...rgb);
+                });
+                index.push(base, base + 1, base + 2, base, base + 2, base + 3);
+            }
+        });
+    });
+    if(!index.length) return null;
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(position, 3));
+    geo.setAttribute('normal', new THREE.Float32BufferAttribute(normal, 3));
+    geo.setAttribute('color', new THREE.Float32BufferAttribute(color, 3));
+    geo.setIndex(index);
+    const mesh = new THREE.Mesh(geo, greedyMaterial);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+// Faces of the heightmap columns i0..i1, j0..j1 (view indices, end exclusive) that aren't against another column
+function heightmapFaces(set, v, tint, bottoms, i0, j0, i1, j1, tx, tz) {
+    const N = v.size;
+    for(let j = j0; j < j1; j++) {
+        for(let i = i0; i < i1; i++) {
+            const col = j * N + i;
+            if(!v.loaded[col]) continue;
+            const top = Math.floor(v.heights[col]), bottom = bottoms[col];
+            const colors = columnColors(v, col, tint);
+            const x = v.x0 + i - tx, z = v.z0 + j - tz;
+            addFace(set, 0, x, top, z, colors.top);
+            addFace(set, 1, x, bottom, z, bottom === top ? colors.top : colors.sub);
+            for(let f = 2; f < 6; f++) {
+                const ni = i + FACE_STEPS[f][0], nj = j + FACE_STEPS[f][2];
+                const n = nj * N + ni;
+                const inside = ni >= 0 && nj >= 0 && ni < N && nj < N && v.loaded[n];
+                const nTop = inside ? Math.floor(v.heights[n]) : -Infinity, nBottom = inside ? bottoms[n] : Infinity;
+                for(let y = bottom; y <= top; y++) {
+                    if(y >= nBottom && y <= nTop) continue;
+                    addFace(set, f, x, y, z, y === top ? colors.top : colors.sub);
+                }
+            }
+        }
+    }
+}
+
+function densityFaces(set, v, tint, i0, j0, i1, j1, tx, tz) {
+    const N = v.size, H = DENSITY_H;
+    const isAir = densityAir(v);
+    for(let j = j0; j < j1; j++) {
+        for(let i = i0; i < i1; i++) {
+            const col = j * N + i;
+            if(!v.loaded[col]) continue;
+            const slope = slopeAt(v.heights, v.loaded, N, i, j);
+            const color = v.faults[col] ? FAULT_COLOR : tint && tint(col);
+            const x = v.x0 + i - tx, z = v.z0 + j - tz;
+            for(let k = 0; k < H; k++) {
+                if(!v.solid[col * H + k]) continue;
+                const air = FACE_STEPS.map(([dx, dy, dz]) => isAir(i + dx, j + dz, k + dy));
+                if(!air.includes(true)) continue;
+                const wy = DENSITY_MIN_Y + k;
+                // air[0] is the block above
+                const c = color || Biomes.colors[Biomes.match(wy, slope, v.moisture[col])][air[0] ? 'top' : 'sub'];
+                air.forEach((open, f) => { if(open) addFace(set, f, x, wy, z, c); });
+            }
+        }
+    }
+}
+
+// One greedy mesh per chunk-sized tile of the view. A tile is rebuilt only when something it shows
+// changed: the terrain, settings or biomes, its part of the window, or which chunks around it are loaded.
+function buildTiles(layer, v, tint) {
+    const N = v.size;
+    const cache = Chunks.caches.get(v.key) || new Map();
+    const { bottoms, depth } = v.mode === 'density' ? { bottoms: null, depth: 0 } : columnBottoms(v);
+    if(bottoms) noteDepth(depth);
+    // Post-processed heights depend on the whole window, so they change every tile
+    const style = `${v.key}|${v.postKey || ''}|${depth}|${JSON.stringify(Biomes.current)}`;
+    const keep = new Set();
+    const c0x = Math.floor(v.x0 / CHUNK_SIZE), c1x = Math.floor((v.x0 + N - 1) / CHUNK_SIZE);
+    const c0z = Math.floor(v.z0 / CHUNK_SIZE), c1z = Math.floor((v.z0 + N - 1) / CHUNK_SIZE);
+    for(let cx = c0x; cx <= c1x; cx++) {
+        for(let cz = c0z; cz <= c1z; cz++) {
+            const tk = `${cx},${cz}`;
+            keep.add(tk);
+            const tx = cx * CHUNK_SIZE, tz = cz * CHUNK_SIZE;
+            const i0 = Math.max(0, tx - v.x0), i1 = Math.min(N, tx + CHUNK_SIZE - v.x0);
+            const j0 = Math.max(0, tz - v.z0), j1 = Math.min(N, tz + CHUNK_SIZE - v.z0);
+
+            // Fill depth looks two columns out: at the neighbours, and at their neighbours
+            const seen = [Math.max(0, i0 - 2), Math.max(0, j0 - 2), Math.min(N, i1 + 2), Math.min(N, j1 + 2)];
+            let near = '';
+            for(let dx = -1; dx <= 1; dx++) for(let dz = -1; dz <= 1; dz++) near += cache.has(`${cx + dx},${cz + dz}`) ? 1 : 0;
+            // Tints change with the other view, so tinted tiles are always rebuilt
+            const sig = tint ? null : `${style}|${seen[0] + v.x0},${seen[1] + v.z0},${seen[2] + v.x0},${seen[3] + v.z0}|${near}`;
+            const old = layer.tiles.get(tk);
+            if(old && sig !== null && old.sig === sig) continue;
+            if(old && old.mesh) {
+                layer.group.remove(old.mesh);
+                old.mesh.geometry.dispose();
+            }
+
+            const set = makeFaceSet();
+            if(bottoms) heightmapFaces(set, v, tint, bottoms, i0, j0, i1, j1, tx, tz);
+            else densityFaces(set, v, tint, i0, j0, i1, j1, tx, tz);
+            const mesh = faceMesh(set);
+            if(mesh) {
+                mesh.position.set(tx, 0, tz);
+                layer.group.add(mesh);
+            }
+            layer.tiles.set(tk, { sig, mesh });
+        }
+    }
+    dropTiles(layer, keep);
+}
+
+// Summary of the columns on screen. Columns with bad samples only count towards faults,
+// since their fallback height of 0 says nothing about the terrain.
+const HISTOGRAM_BINS = 32;
+
+function terrainStats(v) {
+    const stats = {
+        columns: 0, min: Infinity, max: -Infinity, mean: 0,
+        histogram: new Array(HISTOGRAM_BINS).fill(0),
+        biomes: new Array(Biomes.current.rules.length).fill(0),
+        slopeMean: 0, slopeMax: 0,
+        faults: { [FAULT_NAN]: 0, [FAULT_INFINITY]: 0, [FAULT_ERROR]: 0 },
+        faultColumns: []    // { x, z, fault }
+    };
+    for(let j = 0; j < v.size; j++) {
+        for(let i = 0; i < v.size; i++) {
+            const col = j * v.size + i;
+            if(!v.loaded[col]) continue;
+            if(v.faults[col]) {
+                stats.faults[v.faults[col]]++;
+                stats.faultColumns.push({ x: v.x0 + i, z: v.z0 + j, fault: v.faults[col] });
+                continue;
+            }
+            const h = Math.floor(v.heights[col]);
+            const slope = slopeAt(v.heights, v.loaded, v.size, i, j);
+            stats.columns++;
+            stats.min = Math.min(stats.min, h);
+            stats.max = Math.max(stats.max, h);
+            stats.mean += h;
+            stats.slopeMean += slope;
+            stats.slopeMax = Math.max(stats.slopeMax, slope);
+            stats.biomes[Biomes.match(h, slope, v.moisture[col])]++;
+        }
+    }
+    if(!stats.columns) return stats;
+    stats.mean /= stats.columns;
+    stats.slopeMean /= stats.columns;
+
+    const span = stats.max - stats.min + 1;
+    for(let col = 0; col < v.size * v.size; col++) {
+        if(!v.loaded[col] || v.faults[col]) continue;
+        stats.histogram[Math.floor((Math.floor(v.heights[col]) - stats.min) / span * HISTOGRAM_BINS)]++;
+    }
+    return stats;
+}
+
+// Top-down map of formula A. A map pixel stands for `step` blocks, so its tiles are chunks sampled
+// with that stride; they go through the same workers and caches as the 3D view, keyed per step.
+const MAP_SCALE = 2;        // screen pixels per map pixel
+const MAP_RAMP = [          // [height, rgb], interpolated in between
+    [-64, [8, 24, 72]], [-1, [40, 110, 200]], [0, [214, 200, 140]], [3, [96, 168, 72]],
+    [30, [52, 116, 48]], [55, [136, 116, 88]], [80, [236, 236, 240]]
+];
+
+function mapColor(h) {
+    let i = 0;
+    while(i < MAP_RAMP.length - 1 && h > MAP_RAMP[i + 1][0]) i++;
+    if(i === MAP_RAMP.length - 1 || h <= MAP_RAMP[0][0]) return MAP_RAMP[i][1];
+    const [h0, c0] = MAP_RAMP[i], [h1, c1] = MAP_RAMP[i + 1];
+    const f = (h - h0) / (h1 - h0);
+    return c0.map((c, k) => c + (c1[k] - c) * f);
+}
+
+// Round spacing (1, 2 or 5 times a power of ten) of at least `rough`
+function niceStep(rough) {
+    const p = Math.pow(10, Math.floor(Math.log10(Math.max(rough, 1))));
+    return [1, 2, 5, 10].map(m => m * p).find(s => s >= rough);
+}
+
+// Paints heights (NaN while sampling) into RGBA pixels with the map colors. Each pixel stands
+// for `step` blocks. Returns the contour spacing used, about a dozen lines over the heights in view.
+function paintRelief(px, heights, faults, w, h, step, { contours = false, hillshade = true } = {}) {
+    let min = Infinity, max = -Infinity;
+    for(let p = 0; p < heights.length; p++) {
+        if(Number.isNaN(heights[p]) || faults[p]) continue;
+        min = Math.min(min, heights[p]);
+        max = Math.max(max, heights[p]);
+    }
+    const interval = niceStep((max - min) / 12);
+
+    for(let j = 0; j < h; j++) {
+        for(let i = 0; i < w; i++) {
+            const p = j * w + i, o = p * 4;
+            const y = heights[p];
+            px[o + 3] = 255;
+            if(Number.isNaN(y)) { px[o] = px[o + 1] = px[o + 2] = 34; continue; }
+            if(faults[p]) { px[o] = 255; px[o + 1] = 0; px[o + 2] = 255; continue; }
+            // Neighbours still sampling or broken count as level ground
+            const at = (q, ok) => ok && !Number.isNaN(heights[q]) && !faults[q] ? heights[q] : y;
+            let shade = 1;
+            if(hillshade) {
+                // Lit from the north-west, and 1 for flat ground
+                const gx = (at(p + 1, i < w - 1) - at(p - 1, i > 0)) / (2 * step);
+                const gz = (at(p + w, j < h - 1) - at(p - w, j > 0)) / (2 * step);
+                shade = Math.min(1.4, Math.max(0.35, (1 + gx + gz) / Math.sqrt(1 + gx * gx + gz * gz)));
+            }
+            if(contours) {
+                const band = Math.floor(y / interval);
+                if(band !== Math.floor(at(p + 1, i < w - 1) / interval)
+                    || band !== Math.floor(at(p + w, j < h - 1) / interval)) shade *= 0.55;
+            }
+            const c = mapColor(y);
+            px[o] = Math.min(255, c[0] * shade);
+            px[o + 1] = Math.min(255, c[1] * shade);
+            px[o + 2] = Math.min(255, c[2] * shade);
+        }
+    }
+    return interval;
+}
+
+const MapView = {
+    active: false,
+    x: 0, z: 0,             // world column at the centre of the canvas
+    step: 4,                // blocks per map pixel, a power of two
+    maxStep: 512,
+    contours: true,
+    hillshade: true,
+    key: '',
+    canvas: document.getElementById('map-view'),
+    image: null,
+    heights: null,          // map pixels as last drawn, NaN while sampling
+    faults: null,
+    interval: 0,            // contour spacing in blocks
+
+    // Canvas size and the map pixel in its top left corner
+    bounds: function() {
+        const w = this.canvas.width, h = this.canvas.height;
+        return { w, h, px0: Math.floor(this.x / this.step) - (w >> 1), pz0: Math.floor(this.z / this.step) - (h >> 1) };
+    },
+
+    resize: function() {
+        this.canvas.width = Math.max(1, Math.ceil(this.canvas.clientWidth / MAP_SCALE));
+        this.canvas.height = Math.max(1, Math.ceil(this.canvas.clientHeight / MAP_SCALE));
+    },
+
+    // Map pixel under a point of the canvas element, as a world column
+    worldAt: function(offsetX, offsetY) {
+        const { px0, pz0 } = this.bounds();
+        return {
+            x: (px0 + Math.floor(offsetX / MAP_SCALE)) * this.step,
+            z: (pz0 + Math.floor(offsetY / MAP_SCALE)) * this.step
+        };
+    },
+
+    update: function() {
+        const fn = compiledFunc;
+        if(!fn) return;
+        const { w, h, px0, pz0 } = this.bounds();
+        const coords = [];
+        const c0x = Math.floor(px0 / CHUNK_SIZE), c1x = Math.floor((px0 + w - 1) / CHUNK_SIZE);
+        const c0z = Math.floor(pz0 / CHUNK_SIZE), c1z = Math.floor((pz0 + h - 1) / CHUNK_SIZE);
+        for(let x = c0x; x <= c1x; x++) for(let z = c0z; z <= c1z; z++) coords.push([x, z]);
+        const ccx = (px0 + w / 2) / CHUNK_SIZE - 0.5, ccz = (pz0 + h / 2) / CHUNK_SIZE - 0.5;
+        coords.sort((a, b) => Math.hypot(a[0] - ccx, a[1] - ccz) - Math.hypot(b[0] - ccx, b[1] - ccz));
+
+        const moisture = Biomes.moistureFn ? Biomes.moistureFn.source : '';
+        this.key = terrainKey(fn, moisture) + `|map${this.step}`;
+        const spec = {
+            fn, source: fn.source, library: fn.library, moisture, mode: fn.mode, seed: currentSeed,
+            t: fn.usesTime ? Clock.t : 0, center: [ccx, ccz], step: this.step, tops: fn.mode === 'density'
+        };
+        Chunks.request([{ key: this.key, spec, coords }]);
+        this.draw();
+    },
+
+    draw: function() {
+        const { w, h, px0, pz0 } = this.bounds();
+        const ctx = this.canvas.getContext('2d');
+        if(!ctx) return;
+        if(!this.image || this.image.width !== w || this.image.height !== h) {
+            this.image = ctx.createImageData(w, h);
+            this.heights = new Float32Array(w * h);
+            this.faults = new Uint8Array(w * h);
+        }
+        const H = this.heights, F = this.faults;
+        H.fill(NaN);
+        F.fill(0);
+        const cache = Chunks.caches.get(this.key) || new Map();
+        for(const [ck, { data, faults }] of cache) {
+            const [ccx, ccz] = ck.split(',').map(Number);
+            for(let lz = 0; lz < CHUNK_SIZE; lz++) {
+                const j = ccz * CHUNK_SIZE + lz - pz0;
+                if(j < 0 || j >= h) continue;
+                for(let lx = 0; lx < CHUNK_SIZE; lx++) {
+                    const i = ccx * CHUNK_SIZE + lx - px0;
+                    if(i < 0 || i >= w) continue;
+                    H[j * w + i] = data[lz * CHUNK_SIZE + lx];
+                    F[j * w + i] = faults[lz * CHUNK_SIZE + lx];
+                }
+            }
+        }
+
+        this.interval = paintRelief(this.image.data, H, F, w, h, this.step, { contours: this.contours, hillshade: this.hillshade });
+        ctx.putImageData(this.image, 0, 0);
+
+        // The window the 3D view shows, around its camera target
+        const size = Render.size(compiledFunc ? compiledFunc.mode : terrainMode);
+        const tx = Math.floor(controls.target.x) / this.step - px0, tz = Math.floor(controls.target.z) / this.step - pz0;
+        const half = size / 2 / this.step;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(Math.round(tx - half) + 0.5, Math.round(tz - half) + 0.5, Math.max(1, Math.round(2 * half)), Math.max(1, Math.round(2 * half)));
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(Math.round(tx) - 2, Math.round(tz), 5, 1);
+        ctx.fillRect(Math.round(tx), Math.round(tz) - 2, 1, 5);
+        ui.mapScale.textContent = `1px = ${this.step} block${this.step > 1 ? 's' : ''}` + (this.contours ? `, lines every ${this.interval}` : '');
+    },
+
+    // The exact column at (x, z), sampled on the spot rather than read from the strided tiles
+    probe: function(x, z) {
+        const fn = compiledFunc;
+        const t = fn.usesTime ? Clock.t : 0;
+        const faults = new Uint8Array(1);
+        const height = columnTop(fn, x, z, t, faults);
+        const h = Math.floor(height);
+        const slope = Math.max(...[[1, 0], [-1, 0], [0, 1], [0, -1]].map(([dx, dz]) => Math.abs(h - Math.floor(columnTop(fn, x + dx, z + dz, t)))));
+        const moisture = Biomes.moistureFn ? evaluate(Biomes.moistureFn, x, z) : 0;
+        return { height, fault: faults[0], biome: Biomes.current.rules[Biomes.match(h, slope, moisture)] };
+    }
+};
+
+// ==========================================
+// 5. UI, HISTORY & TABS
+// ==========================================
+
+const ui = {
+    input: document.getElementById('formula-input'),
+    editorHighlight: document.querySelector('.editor-highlight'),
+    editorComplete: document.querySelector('.editor-complete'),
+    editorHint: document.querySelector('.editor-hint'),
+    btnUndo: document.getElementById('undo-btn'),
+    btnRedo: document.getElementById('redo-btn'),
+    btnGen: document.getElementById('gen-btn'),
+    btnCopy: document.getElementById('copy-btn'),
+    btnLink: document.getElementById('link-btn'),
+    btnExport: document.getElementById('export-btn'),
+    exportDialog: document.getElementById('export-dialog'),
+    exportFormat: document.getElementById('export-format'),
+    exportX: document.getElementById('export-x'),
+    exportZ: document.getElementById('export-z'),
+    exportSize: document.getElementById('export-size'),
+    exportRun: document.getElementById('export-run'),
+    exportCancel: document.getElementById('export-cancel'),
+    btnCopyTerraMath: document.querySelector('#compat-panel .compat-copy'),
+    simplifyButtons: document.querySelectorAll('#simplify-panel [data-style]'),
+    autoSimplify: document.getElementById('auto-simplify'),
+    paramsPanel: document.getElementById('params-panel'),
+    presetSelect: document.querySelector('#params-panel .preset-select'),
+    presetName: document.querySelector('#params-panel .preset-name'),
+    presetSave: document.querySelector('#params-panel .preset-save'),
+    presetDelete: document.querySelector('#params-panel .preset-delete'),
+    postPanel: document.getElementById('post-panel'),
+    postList: document.querySelector('#post-panel .post-list'),
+    btnSave: document.getElementById('save-btn'),
+    btnHist: document.getElementById('history-btn'),
+    btnCloseHist: document.getElementById('close-history'),
+    themePicker: document.getElementById('theme-picker'),
+    btnRotate: document.getElementById('toggle-rotate'),
+    renderDistance: document.getElementById('render-distance'),
+    btnFill: document.getElementById('toggle-fill'),
+    btnGreedy: document.getElementById('toggle-greedy'),
+    btnStats: document.getElementById('toggle-stats'),
+    btnPlay: document.getElementById('toggle-play'),
+    playSpeed: document.getElementById('play-speed'),
+    btnTime: document.getElementById('time-reset'),
+    btnRecord: document.getElementById('record-btn'),
+    recordDialog: document.getElementById('record-dialog'),
+    recordFormat: document.getElementById('record-format'),
+    recordSeconds: document.getElementById('record-seconds'),
+    recordFps: document.getElementById('record-fps'),
+    recordRun: document.getElementById('record-run'),
+    recordCancel: document.getElementById('record-cancel'),
+    btnCompare: document.getElementById('toggle-compare'),
+    compareBar: document.getElementById('compare-bar'),
+    compareLabels: document.getElementById('compare-labels'),
+    compareInput: document.getElementById('compare-input'),
+    compareMode: document.getElementById('compare-mode'),
+    compareMorph: document.getElementById('compare-morph'),
+    compareT: document.getElementById('compare-t'),
+    compareTValue: document.getElementById('compare-t-value'),
+    compareLegend: document.getElementById('compare-legend'),
+    compareError: document.getElementById('compare-error'),
+    compareMax: document.getElementById('compare-max'),
+    btnCompareSwap: document.getElementById('compare-swap'),
+    statsPanel: document.getElementById('stats-panel'),
+    probePanel: document.getElementById('probe-panel'),
+    btnMap: document.getElementById('toggle-map'),
+    mapBar: document.getElementById('map-bar'),
+    mapScale: document.getElementById('map-scale'),
+    mapReadout: document.getElementById('map-readout'),
+    mapContours: document.getElementById('map-contours'),
+    mapHillshade: document.getElementById('map-hillshade'),
+    mapZoomIn: document.getElementById('map-zoom-in'),
+    mapZoomOut: document.getElementById('map-zoom-out'),
+    zoomContainer: document.querySelector('.zoom-container'),
+    btnEvolve: document.getElementById('evolve-btn'),
+    evolveDialog: document.getElementById('evolve-dialog'),
+    evolveOp: document.getElementById('evolve-op'),
+    evolvePartnerField: document.getElementById('evolve-partner-field'),
+    evolvePartner: document.getElementById('evolve-partner'),
+    evolveGrid: document.getElementById('evolve-grid'),
+    evolveRun: document.getElementById('evolve-run'),
+    evolveClose: document.getElementById('evolve-close'),
+    btnMode: document.getElementById('toggle-mode'),
+    btnConstraints: document.getElementById('constraints-btn'),
+    constraintsDialog: document.getElementById('constraints-dialog'),
+    constraintsOn: document.getElementById('constraints-on'),
+    constraintsMinY: document.getElementById('constraints-min-y'),
+    constraintsMaxY: document.getElementById('constraints-max-y'),
+    constraintsMinWater: document.getElementById('constraints-min-water'),
+    constraintsMaxWater: document.getElementById('constraints-max-water'),
+    constraintsSea: document.getElementById('constraints-sea'),
+    constraintsRoughness: document.getElementById('constraints-roughness'),
+    constraintsTries: document.getElementById('constraints-tries'),
+    constraintsValid: document.getElementById('constraints-valid'),
+    constraintsReport: document.getElementById('constraints-report'),
+    constraintsRun: document.getElementById('constraints-run'),
+    constraintsClose: document.getElementById('constraints-close'),
+    zoomSlider: document.getElementById('zoom-slider'),
+    sidebar: document.getElementById('sidebar'),
+    sidebarContent: document.getElementById('sidebar-content'),
+    tabHistory: document.getElementById('tab-history'),
+    tabSaved: document.getElementById('tab-saved'),
+    tabBiomes: document.getElementById('tab-biomes'),
+    tabThemes: document.getElementById('tab-themes'),
+    tabDefs: document.getElementById('tab-defs'),
+    btnInline: document.getElementById('inline-btn'),
+    sidebarFooter: document.querySelector('.sidebar-footer'),
+    btnExportLib: document.getElementById('export-lib'),
+    btnImportLib: document.getElementById('import-lib'),
+    importFile: document.getElementById('import-file'),
+    tagNoise: document.getElementById('tag-noise'),
+    tagGen: document.getElementById('tag-gen'),
+    genName: document.getElementById('gen-name'),
+    seedInput: document.getElementById('seed-input')
+};
+
+// DATA STORES
+let historyList = [];
+let savedList = [];
+let currentTab = 'history';
+let currentSeed = 0;
+// Where the current formula came from in the Evolve dialog; null for generated and typed ones
+let currentLineage = null;
+// Heightmap post-processing of the current formula, saved with it
+let postStages = Post.defaults();
+
+function setSeed(seed) {
+    currentSeed = seed >>> 0;
+    seedAll(currentSeed);
+    ui.seedInput.value = currentSeed;
+}
+
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Shows a history/saved/linked entry and renders it with its own seed
+function loadEntry(item) {
+    setMode(item.mode);
+    Editor.set(item.formula);
+    ui.tagNoise.textContent = item.noise;
+    ui.tagGen.textContent = item.type;
+    ui.genName.textContent = item.name;
+    currentLineage = item.lineage || null;
+    postStages = Post.normalize(item.post);
+    renderPostPanel();
+    setSeed(item.seed);
+    // Entries from before biomes were saved get the default set
+    Biomes.load(item.biomes || 'temperate');
+    if(currentTab === 'biomes') renderSidebar();
+    compiledFunc = compileFormula(item.formula);
+    updateTerrain(true);
+    scheduleUrlUpdate();
+}
+
+// 1. GENERATION LOGIC
+// theme forces one theme, e.g. a draft being tested in the theme editor
+function initGen(theme = null) {
+    // New seed, then everything below is reproducible from it
+    setSeed(Random.newSeed());
+    
+    // Create new data, retrying against the constraints when they are on
+    const pickTheme = () => theme || Generator.pickTheme(Themes.candidates(terrainMode, themeFilter));
+    let data;
+    const constrained = Constrained.on && Constraints.active(Constrained.settings)
+        && Constraints.generate(pickTheme, Constrained.settings, { library: Defs.list });
+    if(constrained) {
+        data = constrained.data;
+        Constrained.last = { misses: constrained.misses, tries: constrained.tries };
+        showToast(constrained.misses.length
+            ? `BEST OF ${constrained.tries} MISSED: ${constrained.misses.map(m => m.key.toUpperCase()).join(', ')}`
+            : `CONSTRAINTS MET IN ${constrained.tries} ${constrained.tries === 1 ? 'TRY' : 'TRIES'}`);
+        if(!ui.constraintsDialog.hidden) renderConstraints();
+    } else {
+        data = Generator.create(pickTheme());
+    }
+    const name = NameGen.get();
+    if(ui.autoSimplify.checked) {
+        data.formula = simplifySource(data.formula, terrainMode === 'density' ? Formula.densityVars : Formula.vars);
+    }
+
+    // Update UI
+    Editor.set(data.formula);
+    ui.tagNoise.textContent = data.noise.toUpperCase();
+    ui.tagGen.textContent = data.type.toUpperCase();
+    ui.genName.textContent = name;
+    currentLineage = null;
+
+    // Render
+    compiledFunc = compileFormula(data.formula);
+    updateTerrain(true);
+    scheduleUrlUpdate();
+
+    // LOG TO HISTORY
+    addToHistory({
+        formula: data.formula,
+        noise: data.noise,
+        type: data.type,
+        name: name,
+        seed: currentSeed,
+        mode: terrainMode,
+        biomes: Biomes.toJSON(),
+        post: Post.toJSON(postStages)
+    });
+}
+
+// 2. HISTORY & SAVED LOGIC
+const HISTORY_LIMIT = 50;
+
+function addToHistory(item) {
+    historyList.unshift({ ...item, created: item.created || Date.now() });
+    if(historyList.length > HISTORY_LIMIT) historyList.pop();
+    Library.persist();
+    if(currentTab === 'history') renderSidebar();
+}
+
+// Duplicate rule shared by Save and Import: one entry per formula
+const hasFormula = (list, formula) => list.some(s => s.formula === formula);
+
 function saveCurrent() {
     const item = {
         formula: ui.input.value,
         noise: ui.tagNoise.textContent,
         type: ui.tagGen.textContent,
-        name: ui.genName.textContent
+        name: ui.genName.textContent,
+        seed: currentSeed,
+        mode: terrainMode,
+        biomes: Biomes.toJSON(),
+        post: Post.toJSON(postStages),
+        lineage: currentLineage,
+        created: Date.now()
     };
     
     // Avoid duplicates
-    if(!savedList.some(s => s.formula === item.formula)) {
+    if(!hasFormula(savedList, item.formula)) {
         savedList.unshift(item);
+        Library.persist();
         showToast("SAVED!");
         if(currentTab === 'saved') renderSidebar();
     } else {
@@ -524,70 +1965,1792 @@ function saveCurrent() {
     }
 }
 
-// 3. RENDER SIDEBAR
-function renderSidebar() {
-    ui.sidebarContent.innerHTML = '';
-    const list = currentTab === 'history' ? historyList : savedList;
+// Local persistence plus a versioned JSON file format for sharing collections
+const Library = {
+    storageKey: 'mathgen.library',
+    version: 1,
+
+    toJSON: function() {
+        return {
+            app: 'math-function-formula-generator',
+            version: this.version,
+            exported: new Date().toISOString(),
+            history: historyList,
+            saved: savedList,
+            definitions: Defs.list
+        };
+    },
+
+    persist: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch(e) {
+            showToast("STORAGE FULL - NOT SAVED");
+        }
+    },
+
+    restore: function() {
+        let data = null;
+        try { data = JSON.parse(localStorage.getItem(this.storageKey)); } catch(e) { data = null; }
+        if(!data || data.version > this.version) return;
+        historyList = (data.history || []).map(this.normalize).filter(Boolean).slice(0, HISTORY_LIMIT);
+        savedList = (data.saved || []).map(this.normalize).filter(Boolean);
+    },
+
+    // Returns a clean entry, or null if it has no usable formula
+    normalize: (raw) => {
+        if(!raw || typeof raw.formula !== 'string' || !raw.formula.trim()) return null;
+        const seed = Number(raw.seed);
+        const created = Number(raw.created);
+        return {
+            formula: raw.formula,
+            noise: String(raw.noise || 'USER'),
+            type: String(raw.type || 'CUSTOM'),
+            name: String(raw.name || 'Imported Formula'),
+            seed: Number.isFinite(seed) ? seed >>> 0 : 0,
+            mode: raw.mode === 'density' ? 'density' : 'height',
+            biomes: Biomes.normalize(raw.biomes),
+            post: Post.toJSON(Post.normalize(raw.post)),
+            presets: Params.normalizePresets(raw.presets),
+            lineage: Evolve.normalizeLineage(raw.lineage),
+            created: Number.isFinite(created) && created > 0 ? created : Date.now()
+        };
+    },
+
+    // Merges a parsed export into both lists. Returns { added, skipped }.
+    merge: function(data) {
+        if(!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+            throw new Error("Not a formula library file");
+        }
+        if(data.version > this.version) throw new Error(`Library version ${data.version} is newer than this app`);
+
+        let added = 0, skipped = 0;
+        const mergeList = (target, incoming) => {
+            const items = [];
+            (Array.isArray(incoming) ? incoming : []).forEach(raw => {
+                const item = this.normalize(raw);
+                if(!item || hasFormula(target, item.formula)) { skipped++; return; }
+                target.push(item);
+                items.push(item);
+            });
+            target.sort((a, b) => b.created - a.created);
+            return items;
+        };
+        const history = mergeList(historyList, data.history);
+        added += mergeList(savedList, data.saved).length;
+        // Imported history older than the newest HISTORY_LIMIT entries is trimmed, so it counts as skipped
+        historyList.length = Math.min(historyList.length, HISTORY_LIMIT);
+        const kept = new Set(historyList);
+        history.forEach(item => { if(kept.has(item)) added++; else skipped++; });
+        this.persist();
+
+        // Definitions whose name is already taken keep the local version
+        (Array.isArray(data.definitions) ? data.definitions : []).forEach(text => {
+            if(typeof text !== 'string' || Defs.has(Defs.nameOf(text))) { skipped++; return; }
+            try { Defs.add(text); added++; } catch(e) { skipped++; }
+        });
+        return { added, skipped };
+    },
+
+    export: function() {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`math-formulas-${date}.json`, JSON.stringify(this.toJSON(), null, 2), 'application/json');
+    }
+};
+
+// The user's library of named functions and constants, e.g. 'ridge(v) = 1 - abs(v)'.
+// Every formula can use them; a formula's own definitions take precedence.
+const Defs = {
+    storageKey: 'mathgen.defs',
+    version: 1,
+    list: [],
+
+    nameOf: (text) => (String(text).match(/^\s*([\p{L}_][\p{L}\p{N}_]*)/u) || [])[1] || '',
+    has: function(name) { return this.list.some(d => this.nameOf(d) === name); },
+
+    // Checks one definition against the rest of the library and returns it reprinted.
+    // Density variables are allowed; such entries are skipped by heightmap formulas.
+    check: function(text) {
+        const src = String(text).trim().replace(/;\s*$/, '');
+        if(!/^[\p{L}_][\p{L}\p{N}_]*\s*(\([^)]*\))?\s*=(?!=)/u.test(src)) {
+            throw new FormulaError("Expected one definition, like ridge(v) = 1 - abs(v)", 0);
+        }
+        const others = this.list.filter(d => this.nameOf(d) !== this.nameOf(src));
+        const own = Formula.definitions(Formula.parse(`${src}; 0`, Formula.densityVars, others)).filter(d => !d.lib);
+        if(own.length !== 1) throw new FormulaError("Expected one definition, like ridge(v) = 1 - abs(v)", 0);
+        return Formula.printDefinition(own[0]);
+    },
+
+    // Adds or replaces by name. Throws FormulaError for a bad definition.
+    add: function(text) {
+        const def = this.check(text);
+        const name = this.nameOf(def);
+        const i = this.list.findIndex(d => this.nameOf(d) === name);
+        if(i >= 0) this.list[i] = def;
+        else this.list.push(def);
+        this.persist();
+        return def;
+    },
+
+    remove: function(name) {
+        this.list = this.list.filter(d => this.nameOf(d) !== name);
+        this.persist();
+    },
+
+    // Library definitions the formula uses, written in front of it so a link works for anyone.
+    // Ones the formula redefines itself are left out.
+    share: function(src, vars) {
+        let ast;
+        try { ast = Formula.parse(src, vars, this.list); } catch(e) { return src; }
+        const defs = Formula.definitions(ast);
+        const own = defs.filter(d => !d.lib).map(d => d.name);
+        const used = defs.filter(d => d.lib && !own.includes(d.name));
+        return used.length ? used.map(d => Formula.printDefinition(d) + '; ').join('') + src : src;
+    },
+
+    persist: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: this.version, definitions: this.list }));
+        } catch(e) {
+            showToast("STORAGE FULL - NOT SAVED");
+        }
+    },
+
+    restore: function() {
+        let data = null;
+        try { data = JSON.parse(localStorage.getItem(this.storageKey)); } catch(e) { data = null; }
+        if(!data || data.version > this.version || !Array.isArray(data.definitions)) return;
+        this.list = data.definitions.filter(d => typeof d === 'string' && this.nameOf(d));
+    }
+};
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 3. RENDER SIDEBAR
+function renderSidebar() {
+    ui.sidebarContent.innerHTML = '';
+    ui.sidebarFooter.hidden = currentTab === 'biomes' || currentTab === 'themes' || currentTab === 'defs';
+    if(currentTab === 'biomes') { renderBiomeEditor(); return; }
+    if(currentTab === 'defs') { renderDefsEditor(); return; }
+    if(currentTab === 'themes') { renderThemeEditor(); return; }
+    const list = currentTab === 'history' ? historyList : savedList;
+
+    if(list.length === 0) {
+        ui.sidebarContent.innerHTML = `<div style="padding:20px; text-align:center; color:#666;">No ${currentTab} items.</div>`;
+        return;
+    }
+
+    list.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'history-item';
+        
+        row.innerHTML = `
+            <div class="history-content">
+                <div class="h-tags">
+                    <span class="h-badge n">${escapeHtml(item.noise)}</span>
+                    <span class="h-badge t">${escapeHtml(item.type)}</span>
+                    <span class="h-name">${escapeHtml(item.name)}</span>
+                    ${item.mode === 'density' ? '<span class="h-badge d">3D</span>' : ''}
+                    ${item.presets && item.presets.length ? `<span class="h-badge p">${item.presets.length} PRESET${item.presets.length > 1 ? 'S' : ''}</span>` : ''}
+                    ${item.lineage ? `<span class="h-badge g" title="Generation ${item.lineage.generation}">G${item.lineage.generation}</span>` : ''}
+                    <span class="h-seed">#${item.seed}</span>
+                    <span class="h-time">${new Date(item.created).toLocaleString()}</span>
+                </div>
+                ${item.lineage ? `<span class="h-lineage">⤷ ${item.lineage.op === 'breed' ? 'bred from' : 'mutated from'} ${item.lineage.parents.map(p => escapeHtml(p.name)).join(' × ')}${item.lineage.change ? ` (${escapeHtml(item.lineage.change)})` : ''}</span>` : ''}
+                <span class="h-code">${escapeHtml(item.formula)}</span>
+            </div>
+            <button class="history-compare" title="Compare with the current formula">⇆</button>
+            <button class="history-delete">×</button>
+        `;
+
+        // Load Logic
+        row.querySelector('.history-content').onclick = () => loadEntry(item);
+
+        row.querySelector('.history-compare').onclick = (e) => {
+            e.stopPropagation();
+            compareWith(item.formula);
+            showToast(`COMPARING WITH ${item.name.toUpperCase()}`);
+        };
+
+        // Delete Logic
+        row.querySelector('.history-delete').onclick = (e) => {
+            e.stopPropagation();
+            list.splice(index, 1);
+            Library.persist();
+            renderSidebar();
+        };
+
+        ui.sidebarContent.appendChild(row);
+    });
+}
+
+// 4. TAB SWITCHING
+function switchTab(tab) {
+    currentTab = tab;
+    ui.tabHistory.classList.toggle('active', tab === 'history');
+    ui.tabSaved.classList.toggle('active', tab === 'saved');
+    ui.tabBiomes.classList.toggle('active', tab === 'biomes');
+    ui.tabThemes.classList.toggle('active', tab === 'themes');
+    ui.tabDefs.classList.toggle('active', tab === 'defs');
+    renderSidebar();
+}
+
+ui.tabHistory.onclick = () => switchTab('history');
+ui.tabSaved.onclick = () => switchTab('saved');
+ui.tabBiomes.onclick = () => switchTab('biomes');
+ui.tabThemes.onclick = () => switchTab('themes');
+ui.tabDefs.onclick = () => switchTab('defs');
+
+// 5. IMPORT / EXPORT
+ui.btnExportLib.onclick = () => Library.export();
+ui.btnImportLib.onclick = () => ui.importFile.click();
+ui.importFile.onchange = async () => {
+    const file = ui.importFile.files[0];
+    ui.importFile.value = '';
+    if(!file) return;
+    try {
+        const { added, skipped } = Library.merge(JSON.parse(await file.text()));
+        showToast(`IMPORTED ${added}, SKIPPED ${skipped}`);
+        renderSidebar();
+    } catch(e) {
+        showToast("IMPORT FAILED: " + e.message);
+    }
+};
+
+// 6. BIOME EDITOR
+// Takes a preset key or a biome set. Only a new moisture formula needs resampling.
+function applyBiomes(set) {
+    if(Biomes.load(set)) updateTerrain(true);
+    else Chunks.dirty = true;
+    scheduleUrlUpdate();
+}
+
+const biomeBounds = [['Y', 'minY', 'maxY'], ['Slope', 'minSlope', 'maxSlope'], ['Moisture', 'minMoisture', 'maxMoisture']];
+
+function renderBiomeEditor() {
+    const preset = Biomes.presetName();
+    const bound = (v) => v === undefined ? '' : v;
+    ui.sidebarContent.innerHTML = `
+        <div class="biome-editor">
+            <label class="biome-field">Preset
+                <select class="biome-preset">
+                    ${preset ? '' : '<option value="" selected>Custom</option>'}
+                    ${Object.entries(Biomes.presets).map(([key, p]) =>
+                        `<option value="${key}" ${key === preset ? 'selected' : ''}>${p.label}</option>`).join('')}
+                </select>
+            </label>
+            <label class="biome-field">Moisture f(x, z)
+                <input class="biome-moisture" spellcheck="false" placeholder="none" value="${escapeHtml(Biomes.current.moisture)}">
+            </label>
+            <div class="biome-error">${escapeHtml(Biomes.moistureError)}</div>
+            <p class="biome-note">First matching rule wins. Empty bounds are open.</p>
+            ${Biomes.current.rules.map((r, i) => `
+                <div class="biome-rule" data-index="${i}">
+                    <div class="biome-row">
+                        <input type="color" data-field="top" value="${r.top}" title="Top color">
+                        <input type="color" data-field="sub" value="${r.sub}" title="Subsurface color">
+                        <input class="biome-name" data-field="name" value="${escapeHtml(r.name)}">
+                        <button data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                        <button data-action="down" title="Move down" ${i === Biomes.current.rules.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button data-action="delete" title="Delete" ${Biomes.current.rules.length === 1 ? 'disabled' : ''}>×</button>
+                    </div>
+                    <div class="biome-bounds">
+                        ${biomeBounds.map(([label, lo, hi]) => `
+                            <span>${label}</span>
+                            <input type="number" step="any" data-field="${lo}" value="${bound(r[lo])}" placeholder="min">
+                            <input type="number" step="any" data-field="${hi}" value="${bound(r[hi])}" placeholder="max">
+                        `).join('')}
+                    </div>
+                    <div class="biome-row">
+                        <input data-field="block" spellcheck="false" value="${escapeHtml(r.block)}" title="Exported top block">
+                        <input data-field="subBlock" spellcheck="false" value="${escapeHtml(r.subBlock)}" title="Exported subsurface block">
+                    </div>
+                </div>`).join('')}
+            <button class="btn-secondary biome-add">+ Add Rule</button>
+        </div>`;
+
+    const root = ui.sidebarContent.querySelector('.biome-editor');
+    root.querySelector('.biome-preset').onchange = (e) => {
+        if(!e.target.value) return;
+        applyBiomes(e.target.value);
+        renderSidebar();
+    };
+    root.querySelector('.biome-moisture').oninput = (e) => {
+        applyBiomes({ ...Biomes.toJSON(), moisture: e.target.value });
+        root.querySelector('.biome-error').textContent = Biomes.moistureError;
+    };
+
+    // Edits apply live; the list is only redrawn on commit so the focused input survives
+    root.oninput = (e) => {
+        const field = e.target.dataset.field;
+        const rule = e.target.closest('.biome-rule');
+        if(!field || !rule) return;
+        const set = Biomes.toJSON();
+        const r = set.rules[rule.dataset.index];
+        if(Biomes.bounds.includes(field) && e.target.value === '') delete r[field];
+        else r[field] = e.target.value;
+        applyBiomes(set);
+    };
+    root.onchange = (e) => {
+        if(e.target.dataset.field) renderSidebar();
+    };
+    root.onclick = (e) => {
+        const set = Biomes.toJSON();
+        if(e.target.classList.contains('biome-add')) {
+            set.rules.splice(set.rules.length - 1, 0, { name: 'New Biome', top: '#56a34c', sub: '#795548', block: 'minecraft:grass_block[snowy=false]', subBlock: 'minecraft:dirt' });
+            if(set.rules.length > Biomes.maxRules) { showToast(`MAX ${Biomes.maxRules} RULES`); return; }
+        } else {
+            const action = e.target.dataset.action;
+            const rule = e.target.closest('.biome-rule');
+            if(!action || !rule) return;
+            const i = Number(rule.dataset.index);
+            if(action === 'delete') set.rules.splice(i, 1);
+            else {
+                const j = action === 'up' ? i - 1 : i + 1;
+                [set.rules[i], set.rules[j]] = [set.rules[j], set.rules[i]];
+            }
+        }
+        applyBiomes(set);
+        renderSidebar();
+    };
+}
+
+// 7. THEME EDITOR
+// null while browsing the list; { previous, draft } while the form is open
+let editingTheme = null;
+
+function renderThemeEditor() {
+    if(editingTheme) { renderThemeForm(); return; }
+    const themes = Themes.all();
+    const categories = [...new Set(themes.map(t => t.category))];
+
+    ui.sidebarContent.innerHTML = `
+        <div class="theme-editor">
+            <button class="btn-secondary theme-new">+ New Theme</button>
+            <p class="biome-note">Unchecked themes are skipped by GENERATE NEW. Weight sets how often a theme is picked.</p>
+            ${categories.map(cat => `
+                <div class="theme-category">${escapeHtml(cat)}</div>
+                ${themes.filter(t => t.category === cat).map(t => `
+                    <div class="theme-row" data-name="${escapeHtml(t.name)}">
+                        <input type="checkbox" class="theme-enabled" ${t.enabled ? 'checked' : ''} title="Include in GENERATE NEW">
+                        <span class="theme-name">${escapeHtml(t.name)}</span>
+                        ${t.mode === 'density' ? '<span class="h-badge d">3D</span>' : ''}
+                        ${t.builtin ? '' : '<span class="h-badge t">MINE</span>'}
+                        <input type="number" class="theme-weight" min="0" step="0.5" value="${t.weight}" title="Pick weight">
+                        <button data-action="use" title="Generate with this theme">▶</button>
+                        <button data-action="edit" title="${t.builtin ? 'Copy into a new theme' : 'Edit'}">${t.builtin ? '⧉' : '✎'}</button>
+                        ${t.builtin ? '' : '<button data-action="delete" title="Delete">×</button>'}
+                    </div>`).join('')}
+            `).join('')}
+        </div>`;
+
+    const root = ui.sidebarContent.querySelector('.theme-editor');
+    root.querySelector('.theme-new').onclick = () => {
+        editingTheme = { previous: null, draft: { name: '', category: 'Custom', mode: terrainMode, template: '', noneTemplate: '', noises: null } };
+        renderSidebar();
+    };
+    root.onchange = (e) => {
+        const row = e.target.closest('.theme-row');
+        if(!row) return;
+        if(e.target.classList.contains('theme-enabled')) Themes.setOverride(row.dataset.name, { enabled: e.target.checked });
+        if(e.target.classList.contains('theme-weight')) {
+            const weight = Number(e.target.value);
+            if(!Number.isFinite(weight) || weight < 0) { renderSidebar(); return; }
+            Themes.setOverride(row.dataset.name, { weight });
+        }
+    };
+    root.onclick = (e) => {
+        const action = e.target.dataset.action;
+        const row = e.target.closest('.theme-row');
+        if(!action || !row) return;
+        const theme = Themes.get(row.dataset.name);
+        if(action === 'use') {
+            if(theme.mode !== terrainMode) setMode(theme.mode);
+            initGen(theme);
+        } else if(action === 'edit') {
+            const draft = { ...theme, noises: theme.noises ? [...theme.noises] : null };
+            if(theme.builtin) draft.name = `${theme.name} Copy`;
+            editingTheme = { previous: theme.builtin ? null : theme.name, draft };
+            renderSidebar();
+        } else if(action === 'delete') {
+            Themes.remove(theme.name);
+            renderThemePicker();
+            renderSidebar();
+        }
+    };
+}
+
+function renderThemeForm() {
+    const d = editingTheme.draft;
+    ui.sidebarContent.innerHTML = `
+        <div class="theme-editor theme-form">
+            <label class="biome-field">Name <input class="tf-name" value="${escapeHtml(d.name)}"></label>
+            <div class="biome-row">
+                <label class="biome-field">Category <input class="tf-category" value="${escapeHtml(d.category)}"></label>
+                <label class="biome-field">Mode
+                    <select class="tf-mode">
+                        <option value="height" ${d.mode === 'height' ? 'selected' : ''}>Heightmap</option>
+                        <option value="density" ${d.mode === 'density' ? 'selected' : ''}>Density 3D</option>
+                    </select>
+                </label>
+            </div>
+            <label class="biome-field">Template <textarea class="tf-template" spellcheck="false">${escapeHtml(d.template)}</textarea></label>
+            <label class="biome-field">Template without noise (optional) <textarea class="tf-none" spellcheck="false">${escapeHtml(d.noneTemplate)}</textarea></label>
+            <p class="biome-note">{expr} random expression · {base} picked noise · {noise} its name · {rand:0:1:3} · {int:1:9} · {a=int:1:9} then {a}</p>
+            <div class="biome-field">Noise types</div>
+            <div class="theme-noises">
+                ${Generator.noiseTypes.map(n => `
+                    <label><input type="checkbox" value="${n}" ${!d.noises || d.noises.includes(n) ? 'checked' : ''}> ${n}</label>`).join('')}
+            </div>
+            <div class="biome-error tf-error"></div>
+            <div class="btn-row">
+                <button class="btn-secondary tf-cancel">Cancel</button>
+                <button class="btn-secondary tf-test">Test</button>
+                <button class="btn-primary tf-save">Save</button>
+            </div>
+        </div>`;
+
+    const root = ui.sidebarContent.querySelector('.theme-form');
+    const read = () => {
+        const noises = [...root.querySelectorAll('.theme-noises input:checked')].map(i => i.value);
+        editingTheme.draft = {
+            name: root.querySelector('.tf-name').value,
+            category: root.querySelector('.tf-category').value,
+            mode: root.querySelector('.tf-mode').value,
+            template: root.querySelector('.tf-template').value,
+            noneTemplate: root.querySelector('.tf-none').value,
+            noises: noises.length === Generator.noiseTypes.length ? null : noises
+        };
+        return editingTheme.draft;
+    };
+    const fail = (e) => { root.querySelector('.tf-error').textContent = e.message; };
+
+    root.querySelector('.tf-cancel').onclick = () => { editingTheme = null; renderSidebar(); };
+    root.querySelector('.tf-test').onclick = () => {
+        try {
+            const theme = Themes.normalize(read());
+            root.querySelector('.tf-error').textContent = '';
+            if(theme.mode !== terrainMode) setMode(theme.mode);
+            initGen(theme);
+        } catch(e) { fail(e); }
+    };
+    root.querySelector('.tf-save').onclick = () => {
+        try {
+            const theme = Themes.save(read(), editingTheme.previous);
+            editingTheme = null;
+            renderThemePicker();
+            renderSidebar();
+            showToast(`THEME "${theme.name.toUpperCase()}" SAVED`);
+        } catch(e) { fail(e); }
+    };
+}
+
+// 8. FUNCTION LIBRARY
+// Library edits change what formulas mean, so the current one is recompiled
+function refreshFormula() {
+    compiledFunc = compileFormula(ui.input.value);
+    updateTerrain(true);
+}
+
+function renderDefsEditor() {
+    ui.sidebarContent.innerHTML = `
+        <div class="theme-editor">
+            <p class="biome-note">Functions and constants here work in every formula. A formula's own definitions take precedence.</p>
+            <div class="biome-row">
+                <input class="defs-input" spellcheck="false" placeholder="ridge(v) = 1 - abs(v)">
+                <button class="btn-secondary defs-add">Add</button>
+            </div>
+            <div class="biome-error defs-error"></div>
+            <button class="btn-secondary defs-from">Add Definitions From Formula</button>
+            ${Defs.list.length ? '' : '<div style="padding:20px; text-align:center; color:#666;">No definitions yet.</div>'}
+            ${Defs.list.map(d => `
+                <div class="history-item" data-name="${escapeHtml(Defs.nameOf(d))}">
+                    <div class="history-content" title="Edit"><span class="h-code">${escapeHtml(d)}</span></div>
+                    <button class="history-delete">×</button>
+                </div>`).join('')}
+        </div>`;
+
+    const root = ui.sidebarContent.querySelector('.theme-editor');
+    const input = root.querySelector('.defs-input');
+    const error = root.querySelector('.defs-error');
+    const add = () => {
+        try {
+            const def = Defs.add(input.value);
+            renderSidebar();
+            refreshFormula();
+            showToast(`${Defs.nameOf(def).toUpperCase()} SAVED`);
+        } catch(e) {
+            if(!(e instanceof FormulaError)) throw e;
+            error.textContent = e.message;
+        }
+    };
+    root.querySelector('.defs-add').onclick = add;
+    input.onkeydown = (e) => { if(e.key === 'Enter') add(); };
+
+    // Takes the formula's own definitions in order, so later ones can build on earlier ones
+    root.querySelector('.defs-from').onclick = () => {
+        let own;
+        try {
+            own = Formula.definitions(Formula.parse(ui.input.value, Formula.densityVars, Defs.list)).filter(d => !d.lib);
+        } catch(e) {
+            if(!(e instanceof FormulaError)) throw e;
+            error.textContent = e.message;
+            return;
+        }
+        if(!own.length) { error.textContent = "The formula has no definitions"; return; }
+        own.forEach(d => Defs.add(Formula.printDefinition(d)));
+        renderSidebar();
+        refreshFormula();
+        showToast(`${own.length} DEFINITION${own.length === 1 ? '' : 'S'} SAVED`);
+    };
+
+    root.querySelectorAll('.history-item').forEach(row => {
+        row.querySelector('.history-content').onclick = () => {
+            input.value = Defs.list.find(d => Defs.nameOf(d) === row.dataset.name) || '';
+            input.focus();
+        };
+        row.querySelector('.history-delete').onclick = () => {
+            Defs.remove(row.dataset.name);
+            renderSidebar();
+            refreshFormula();
+        };
+    });
+}
+
+// 9. STATS PANEL
+const FAULT_NAMES = { [FAULT_NAN]: 'NaN', [FAULT_INFINITY]: 'Infinity', [FAULT_ERROR]: 'exception' };
+const STATS_LOCATIONS = 6;
+
+// Recomputed with every rebuild; the panel itself is only rendered while open
+function updateStats() {
+    const stats = terrainStats(shownView());
+    const bad = stats.faultColumns.length;
+    ui.btnStats.classList.toggle('warn', bad > 0);
+    ui.btnStats.innerHTML = bad ? `<span>⚠</span> ${bad} BAD` : '<span>▤</span> STATS';
+    if(!ui.statsPanel.hidden) renderStats(stats);
+}
+
+function renderStats(stats) {
+    const v = shownView();
+    const fmt = (n) => Number.isFinite(n) ? (Math.round(n * 10) / 10).toString() : '-';
+    const rules = Biomes.current.rules;
+    const biomes = rules.map((r, i) => ({ r, i, count: stats.biomes[i] })).filter(b => b.count > 0).sort((a, b) => b.count - a.count);
+
+    // Bad columns nearest the middle of the view first
+    const cx = v.x0 + v.size / 2, cz = v.z0 + v.size / 2;
+    const nearest = stats.faultColumns
+        .sort((a, b) => Math.hypot(a.x - cx, a.z - cz) - Math.hypot(b.x - cx, b.z - cz))
+        .slice(0, STATS_LOCATIONS);
+    const faultSummary = [FAULT_NAN, FAULT_INFINITY, FAULT_ERROR]
+        .filter(f => stats.faults[f])
+        .map(f => `${stats.faults[f]} ${FAULT_NAMES[f]}`).join(' · ');
+
+    ui.statsPanel.innerHTML = `
+        <div class="stats-title">TERRAIN <span>${v.size}×${v.size} ${v.mode === 'density' ? 'top blocks' : 'columns'}</span></div>
+        <dl class="stats-grid">
+            <dt>Height</dt><dd>${fmt(stats.min)} to ${fmt(stats.max)}, mean ${fmt(stats.mean)}</dd>
+            <dt>Slope</dt><dd>mean ${fmt(stats.slopeMean)}, max ${fmt(stats.slopeMax)}</dd>
+        </dl>
+        <canvas class="stats-histogram" width="240" height="50"></canvas>
+        <div class="stats-axis"><span>${fmt(stats.min)}</span><span>${fmt(stats.max)}</span></div>
+        <div class="stats-biomes">
+            ${biomes.map(b => `
+                <div class="stats-biome">
+                    <span class="stats-swatch" style="background:#${Biomes.colors[b.i].top.getHexString()}"></span>
+                    <span class="stats-name">${escapeHtml(b.r.name)}</span>
+                    <span class="stats-share">${fmt(b.count / stats.columns * 100)}%</span>
+                </div>`).join('')}
+        </div>
+        <div class="stats-faults ${nearest.length ? 'bad' : ''}">
+            ${nearest.length ? `⚠ ${stats.faultColumns.length} bad column${stats.faultColumns.length > 1 ? 's' : ''}: ${faultSummary}` : 'No NaN, Infinity or exceptions'}
+            ${nearest.map(c => `<button class="stats-location" data-x="${c.x}" data-z="${c.z}">${c.x}, ${c.z} <span>${FAULT_NAMES[c.fault]}</span></button>`).join('')}
+        </div>`;
+
+    const canvas = ui.statsPanel.querySelector('.stats-histogram');
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if(ctx) {
+        const peak = Math.max(1, ...stats.histogram);
+        const w = canvas.width / HISTOGRAM_BINS;
+        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || '#50fa7b';
+        stats.histogram.forEach((n, b) => {
+            const h = Math.round(n / peak * canvas.height);
+            ctx.fillRect(b * w, canvas.height - h, w - 1, h);
+        });
+    }
+    ui.statsPanel.querySelectorAll('.stats-location').forEach(btn => {
+        btn.onclick = () => focusOn(Number(btn.dataset.x), Number(btn.dataset.z));
+    });
+}
+
+// Moves the camera over a column without changing angle or zoom
+function focusOn(x, z) {
+    const dx = x - controls.target.x, dz = z - controls.target.z;
+    controls.target.x += dx;
+    controls.target.z += dz;
+    camera.position.x += dx;
+    camera.position.z += dz;
+    controls.update();
+    updateTerrain(true);
+}
+
+// 10. COMPARE MODE
+// Called whenever A, B or the compare settings change
+function updateCompareBar() {
+    const on = Compare.mode !== null;
+    ui.btnCompare.classList.toggle('active', on);
+    ui.compareBar.hidden = !on;
+    ui.compareLabels.hidden = !Compare.splitting();
+    compareLayer.group.visible = false;
+    if(!Compare.splitting()) clearLayer(compareLayer);
+    ui.compareMorph.hidden = Compare.mode !== 'morph';
+    ui.compareTValue.textContent = Compare.t.toFixed(2);
+    ui.compareError.textContent = Compare.error ? "⚠ B: " + Compare.error : '';
+    ui.compareLegend.hidden = Compare.mode !== 'diff' || !Compare.fn;
+    fitCamera();
+}
+
+function setCompare(mode) {
+    Compare.mode = mode;
+    Compare.refresh();
+    updateCompareBar();
+    updateTerrain(true);
+    // An unchanged terrain key doesn't rebuild by itself, but the meshes still need redrawing
+    rebuildTerrain();
+}
+
+function compareWith(formula) {
+    Compare.source = formula;
+    ui.compareInput.value = formula;
+    setCompare(Compare.mode || ui.compareMode.value);
+}
+
+ui.btnCompare.onclick = () => {
+    if(Compare.mode) { setCompare(null); return; }
+    // B starts as a copy of A, ready to be edited
+    compareWith(Compare.source || ui.input.value);
+};
+
+ui.compareInput.oninput = () => {
+    Compare.source = ui.compareInput.value;
+    setCompare(Compare.mode);
+};
+
+ui.compareMode.onchange = () => setCompare(ui.compareMode.value);
+
+ui.compareT.oninput = () => {
+    Compare.t = Number(ui.compareT.value);
+    setCompare(Compare.mode);
+};
+
+// B becomes the formula being edited, A moves into the compare slot
+ui.btnCompareSwap.onclick = () => {
+    const a = ui.input.value;
+    Editor.set(Compare.source);
+    Compare.source = a;
+    ui.compareInput.value = a;
+    applyEdit(false);
+};
+
+// 11. PLAYBACK
+function setTime(t) {
+    Clock.t = Math.round(t * 1000) / 1000;
+    ui.btnTime.textContent = `t ${Clock.t.toFixed(2)}`;
+}
+
+function setPlaying(on) {
+    Clock.playing = on;
+    Clock.last = performance.now();
+    ui.btnPlay.classList.toggle('active', on);
+    ui.btnPlay.innerHTML = on ? '<span>❚❚</span> PAUSE' : '<span>▶</span> PLAY';
+    if(!on) scheduleUrlUpdate();
+}
+
+// Called every animation frame while playing. A new t is only sampled once the previous one is
+// complete, so slow formulas drop frames instead of flickering half-sampled terrain.
+function advanceClock(now) {
+    setTime(Clock.t + (now - Clock.last) / 1000 * Clock.speed);
+    Clock.last = now;
+    const animated = (compiledFunc && compiledFunc.usesTime) || (Compare.fn && Compare.fn.usesTime);
+    if(animated && !Chunks.busy()) updateTerrain(true);
+}
+
+ui.btnPlay.onclick = () => {
+    if(!Clock.playing && compiledFunc && !compiledFunc.usesTime) showToast("USE t IN THE FORMULA TO ANIMATE IT");
+    setPlaying(!Clock.playing);
+};
+
+ui.playSpeed.onchange = () => { Clock.speed = Number(ui.playSpeed.value); };
+
+ui.btnTime.onclick = () => {
+    setTime(0);
+    updateTerrain(true);
+    scheduleUrlUpdate();
+};
+
+// 12. PARAMETER SLIDERS
+// Every number in the formula gets a slider; '$name=value' parameters get one slider for all their uses.
+// Presets are sets of slider values, kept on the saved entry with the same formula shape.
+const Params = {
+    maxSliders: 40,
+    written: null,      // formula last written by a slider, so dragging doesn't rebuild the list
+
+    // [{ key, value, spans: [[start, end]], before, after }] in formula order.
+    // Keys are '$name', or '#n' for the nth plain number.
+    scan: function(src) {
+        let tokens;
+        try { tokens = Formula.tokenize(src); } catch(e) { if(!(e instanceof FormulaError)) throw e; return []; }
+        const isOp = (t, v) => t && t.type === 'op' && t.value === v;
+        const context = (a, b) => src.slice(a, b).replace(/\s+/g, ' ');
+        const list = [];
+        const named = new Map();
+        let plain = 0;
+        for(let i = 0; i < tokens.length; i++) {
+            const t = tokens[i];
+            if(t.type === 'num') {
+                list.push({ key: '#' + plain++, value: t.value, spans: [[t.pos, t.end]],
+                    before: context(Math.max(0, t.pos - 10), t.pos), after: context(t.end, t.end + 6) });
+            } else if(t.type === 'param' && isOp(tokens[i + 1], '=')) {
+                const negative = isOp(tokens[i + 2], '-');
+                const v = tokens[i + (negative ? 3 : 2)];
+                if(v.type !== 'num') continue;
+                if(!named.has(t.value)) {
+                    named.set(t.value, { key: t.value, value: negative ? -v.value : v.value, spans: [], before: '', after: '' });
+                    list.push(named.get(t.value));
+                }
+                named.get(t.value).spans.push([negative ? tokens[i + 2].pos : v.pos, v.end]);
+                i += negative ? 3 : 2;
+            }
+        }
+        return list;
+    },
+
+    // The formula without its numbers; presets fit every formula of the same shape
+    signature: function(src) {
+        try { return Formula.tokenize(src).map(t => t.type === 'num' ? '#' : t.value).join(' '); }
+        catch(e) { if(!(e instanceof FormulaError)) throw e; return src; }
+    },
+
+    // Twice the starting value either way from 0, in about a hundred to a thousand steps
+    range: function(v) {
+        const mag = Math.abs(v) || 1;
+        const exp = Number.isInteger(v) && mag >= 2 ? 0 : Math.floor(Math.log10(mag)) - 2;
+        return { min: Math.min(0, 2 * v), max: v === 0 ? 1 : Math.max(0, 2 * v), step: Number('1e' + exp), digits: Math.max(0, -exp) };
+    },
+
+    // Formula with the given { key: value } written in, or null when nothing changes
+    withValues: function(src, values) {
+        const edits = [];
+        this.scan(src).forEach(p => {
+            if(!(p.key in values)) return;
+            p.spans.forEach(([a, b]) => edits.push({ a, b, text: String(values[p.key]) }));
+        });
+        if(!edits.length) return null;
+        let out = src;
+        edits.sort((x, y) => y.a - x.a).forEach(e => { out = out.slice(0, e.a) + e.text + out.slice(e.b); });
+        return out;
+    },
+
+    // Writes values into the formula and re-renders, keeping the sliders as they are
+    write: function(values) {
+        const out = this.withValues(ui.input.value, values);
+        if(out === null || out === ui.input.value) return;
+        this.written = out;
+        Editor.set(out);
+        // A slider drag is one undo step
+        compiledFunc = compileFormula(out, true);
+        updateTerrain(true);
+        scheduleUrlUpdate();
+    },
+
+    // The saved entry presets of src are stored on, newest first
+    entryFor: function(src) {
+        const sig = this.signature(src);
+        return savedList.find(s => this.signature(s.formula) === sig) || null;
+    },
+
+    normalizePresets: function(raw) {
+        if(!Array.isArray(raw)) return [];
+        return raw.filter(p => p && typeof p.name === 'string' && p.name.trim() && p.values && typeof p.values === 'object')
+            .map(p => ({
+                name: p.name.trim(),
+                values: Object.fromEntries(Object.entries(p.values)
+                    .filter(([k, v]) => /^(#\d+|\$[\p{L}_][\p{L}\p{N}_]*)$/u.test(k) && Number.isFinite(v)))
+            }));
+    }
+};
+
+function updateParams(src) {
+    const panel = ui.paramsPanel;
+    if(src === null) { panel.hidden = true; return; }
+    const params = Params.scan(src);
+    // A slider moved: only the shown numbers change
+    if(src === Params.written) {
+        params.forEach(p => {
+            const out = panel.querySelector(`.param-row[data-key="${p.key}"] .param-value`);
+            if(out) out.textContent = p.value;
+        });
+        return;
+    }
+    Params.written = null;
+    panel.hidden = params.length === 0;
+    panel.querySelector('summary').textContent = `Parameters (${params.length})`;
+
+    const list = panel.querySelector('.params-list');
+    list.innerHTML = params.slice(0, Params.maxSliders).map(p => {
+        const r = Params.range(p.value);
+        const label = p.key[0] === '$'
+            ? `<b>${escapeHtml(p.key)}</b>`
+            : `<span class="param-ctx">${escapeHtml(p.before)}</span><b class="param-value">${p.value}</b><span class="param-ctx">${escapeHtml(p.after)}</span>`;
+        return `
+            <div class="param-row" data-key="${escapeHtml(p.key)}" data-digits="${r.digits}">
+                <span class="param-label">${label}</span>
+                <input type="range" min="${r.min}" max="${r.max}" step="${r.step}" value="${p.value}">
+                ${p.key[0] === '$' ? `<span class="param-value">${p.value}</span>` : ''}
+            </div>`;
+    }).join('') + (params.length > Params.maxSliders ? `<div class="param-more">${params.length - Params.maxSliders} more not shown</div>` : '');
+
+    list.querySelectorAll('.param-row').forEach(row => {
+        const slider = row.querySelector('input');
+        // Rounded to the step so the formula doesn't fill up with float noise
+        slider.oninput = () => Params.write({ [row.dataset.key]: +Number(slider.value).toFixed(Number(row.dataset.digits)) });
+    });
+    renderPresets();
+}
+
+function renderPresets() {
+    const entry = Params.entryFor(ui.input.value);
+    const presets = entry ? entry.presets || [] : [];
+    ui.presetSelect.innerHTML = `<option value="">${presets.length ? 'Presets…' : 'No presets'}</option>` +
+        presets.map((p, i) => `<option value="${i}">${escapeHtml(p.name)}</option>`).join('');
+    ui.presetDelete.disabled = presets.length === 0;
+}
+
+ui.presetSelect.onchange = () => {
+    const entry = Params.entryFor(ui.input.value);
+    const preset = entry && entry.presets[Number(ui.presetSelect.value)];
+    if(!preset) return;
+    // Rebuild the sliders, since their ranges follow the values
+    Params.write(preset.values);
+    Params.written = null;
+    updateParams(ui.input.value);
+    ui.presetSelect.value = entry.presets.indexOf(preset);
+};
+
+ui.presetSave.onclick = () => {
+    const name = ui.presetName.value.trim();
+    if(!name) { showToast("NAME THE PRESET FIRST"); return; }
+    // A formula that isn't saved yet is saved along with its first preset
+    if(!Params.entryFor(ui.input.value)) saveCurrent();
+    const entry = Params.entryFor(ui.input.value);
+    const values = {};
+    Params.scan(ui.input.value).forEach(p => { values[p.key] = p.value; });
+    entry.presets = (entry.presets || []).filter(p => p.name !== name);
+    entry.presets.push({ name, values });
+    Library.persist();
+    ui.presetName.value = '';
+    renderPresets();
+    ui.presetSelect.value = entry.presets.length - 1;
+    if(currentTab === 'saved') renderSidebar();
+    showToast("PRESET SAVED");
+};
+
+ui.presetDelete.onclick = () => {
+    const entry = Params.entryFor(ui.input.value);
+    const index = Number(ui.presetSelect.value);
+    if(!entry || ui.presetSelect.value === '' || !entry.presets[index]) { showToast("PICK A PRESET FIRST"); return; }
+    entry.presets.splice(index, 1);
+    Library.persist();
+    renderPresets();
+    if(currentTab === 'saved') renderSidebar();
+};
+
+// 13. MAP VIEW
+function setMapView(on) {
+    MapView.active = on;
+    ui.btnMap.classList.toggle('active', on);
+    MapView.canvas.hidden = !on;
+    ui.mapBar.hidden = !on;
+    ui.zoomContainer.hidden = on;
+    if(on) {
+        Probe.close();
+        MapView.x = Math.floor(controls.target.x);
+        MapView.z = Math.floor(controls.target.z);
+        MapView.resize();
+    }
+    updateTerrain(true);
+}
+
+// Zooms by a power of two, keeping the column under the given canvas point in place
+function zoomMap(factor, offsetX = MapView.canvas.clientWidth / 2, offsetY = MapView.canvas.clientHeight / 2) {
+    const step = Math.min(MapView.maxStep, Math.max(1, MapView.step * factor));
+    if(step === MapView.step) return;
+    const at = MapView.worldAt(offsetX, offsetY);
+    MapView.step = step;
+    MapView.x = Math.round(at.x - (offsetX - MapView.canvas.clientWidth / 2) / MAP_SCALE * step);
+    MapView.z = Math.round(at.z - (offsetY - MapView.canvas.clientHeight / 2) / MAP_SCALE * step);
+    MapView.update();
+}
+
+function showMapReadout(offsetX, offsetY) {
+    if(!compiledFunc) return;
+    const { x, z } = MapView.worldAt(offsetX, offsetY);
+    const c = MapView.probe(x, z);
+    const h = Number.isInteger(c.height) ? c.height : c.height.toFixed(2);
+    ui.mapReadout.classList.toggle('bad', c.fault !== FAULT_NONE);
+    ui.mapReadout.textContent = c.fault
+        ? `x ${x}  z ${z}  ⚠ ${FAULT_NAMES[c.fault]}`
+        : `x ${x}  z ${z}  h ${h}  ${c.biome.name}`;
+}
+
+ui.btnMap.onclick = () => setMapView(!MapView.active);
+
+// Drag pans; a press that doesn't move is a click and moves the 3D view
+let mapDrag = null;
+
+MapView.canvas.onpointerdown = (e) => {
+    MapView.canvas.setPointerCapture(e.pointerId);
+    mapDrag = { x: e.clientX, y: e.clientY, mx: MapView.x, mz: MapView.z, moved: false };
+};
+
+MapView.canvas.onpointermove = (e) => {
+    if(mapDrag) {
+        const dx = e.clientX - mapDrag.x, dy = e.clientY - mapDrag.y;
+        if(Math.abs(dx) + Math.abs(dy) > 3) mapDrag.moved = true;
+        if(mapDrag.moved) {
+            MapView.x = mapDrag.mx - Math.round(dx / MAP_SCALE * MapView.step);
+            MapView.z = mapDrag.mz - Math.round(dy / MAP_SCALE * MapView.step);
+            MapView.update();
+        }
+    }
+    showMapReadout(e.offsetX, e.offsetY);
+};
+
+MapView.canvas.onpointerup = (e) => {
+    const drag = mapDrag;
+    mapDrag = null;
+    if(!drag || drag.moved) return;
+    const { x, z } = MapView.worldAt(e.offsetX, e.offsetY);
+    focusOn(x, z);
+    showToast(`3D VIEW MOVED TO ${x}, ${z}`);
+};
+
+MapView.canvas.onpointercancel = () => { mapDrag = null; };
+
+MapView.canvas.onwheel = (e) => {
+    e.preventDefault();
+    zoomMap(e.deltaY > 0 ? 2 : 0.5, e.offsetX, e.offsetY);
+};
+
+ui.mapZoomIn.onclick = () => zoomMap(0.5);
+ui.mapZoomOut.onclick = () => zoomMap(2);
+
+ui.mapContours.onchange = () => {
+    MapView.contours = ui.mapContours.checked;
+    MapView.draw();
+};
+
+ui.mapHillshade.onchange = () => {
+    MapView.hillshade = ui.mapHillshade.checked;
+    MapView.draw();
+};
+
+// 14. EVOLVE
+const EVOLVE_BROOD = 6;
+const THUMB_SIZE = 64;
+
+// Top-down preview of the 3D view's window, painted like the map
+function drawThumbnail(canvas, fn) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if(!ctx) return;
+    const size = THUMB_SIZE, step = (fn.mode === 'density' ? DENSITY_GRID : GRID) / size;
+    const x0 = Math.floor(controls.target.x) - size / 2 * step, z0 = Math.floor(controls.target.z) - size / 2 * step;
+    const t = fn.usesTime ? Clock.t : 0;
+    const heights = new Float32Array(size * size), faults = new Uint8Array(size * size);
+    for(let j = 0; j < size; j++) {
+        for(let i = 0; i < size; i++) {
+            const p = j * size + i;
+            heights[p] = columnTop(fn, Math.floor(x0 + i * step), Math.floor(z0 + j * step), t, faults, p);
+        }
+    }
+    const image = ctx.createImageData(size, size);
+    paintRelief(image.data, heights, faults, size, size, step);
+    ctx.putImageData(image, 0, 0);
+}
+
+// Saved formulas of the current mode to cross with
+function renderPartners() {
+    const keep = ui.evolvePartner.value;
+    ui.evolvePartner.innerHTML = savedList
+        .map((s, i) => ({ s, i }))
+        .filter(({ s }) => s.mode === terrainMode && s.formula !== ui.input.value)
+        .map(({ s, i }) => `<option value="${i}">${escapeHtml(s.name)}</option>`).join('');
+    if([...ui.evolvePartner.options].some(o => o.value === keep)) ui.evolvePartner.value = keep;
+}
+
+// A fresh set of children of the current formula, previews drawn one per tick
+function renderBrood() {
+    const breed = ui.evolveOp.value === 'breed';
+    ui.evolvePartnerField.hidden = !breed;
+    if(breed) renderPartners();
+    const partner = breed && ui.evolvePartner.value !== '' ? savedList[Number(ui.evolvePartner.value)] : null;
+    const empty = (msg) => { ui.evolveGrid.innerHTML = `<div class="evolve-empty">${msg}</div>`; };
+    if(!compiledFunc) { empty("Fix the formula first."); return; }
+    if(breed && !partner) { empty(`Save another ${terrainMode === 'density' ? 'density' : 'heightmap'} formula to breed with.`); return; }
+
+    // Children share the parent's seed, so only the formula differs
+    Random.seed(Random.newSeed());
+    const vars = terrainMode === 'density' ? Formula.densityVars : Formula.vars;
+    const generation = Math.max(currentLineage ? currentLineage.generation : 0, partner && partner.lineage ? partner.lineage.generation : 0) + 1;
+    const parents = [{ name: ui.genName.textContent, formula: ui.input.value }];
+    if(partner) parents.push({ name: partner.name, formula: partner.formula });
+    const seen = new Set([ui.input.value]);
+    const children = [];
+    for(let tries = 0; children.length < EVOLVE_BROOD && tries < EVOLVE_BROOD * 8; tries++) {
+        let child;
+        try {
+            child = partner
+                ? { ...Evolve.breed(ui.input.value, partner.formula, vars), noise: ui.tagNoise.textContent }
+                : Evolve.mutate(ui.input.value, vars, ui.tagNoise.textContent);
+            if(seen.has(child.formula)) continue;
+            child.fn = compileSource(child.formula);
+        } catch(e) {
+            if(!(e instanceof FormulaError)) throw e;
+            continue;
+        }
+        seen.add(child.formula);
+        children.push({
+            formula: child.formula,
+            noise: child.noise,
+            type: ui.tagGen.textContent,
+            name: NameGen.get(),
+            seed: currentSeed,
+            mode: terrainMode,
+            biomes: Biomes.toJSON(),
+            post: Post.toJSON(postStages),
+            lineage: { op: breed ? 'breed' : 'mutate', change: child.change, generation, parents },
+            fn: child.fn
+        });
+    }
+    if(!children.length) { empty("No variation of this formula parses. Try another one."); return; }
+
+    ui.evolveGrid.innerHTML = '';
+    children.forEach(({ fn, ...entry }, n) => {
+        const cell = document.createElement('button');
+        cell.className = 'evolve-child';
+        cell.title = entry.formula;
+        cell.innerHTML = `
+            <canvas width="${THUMB_SIZE}" height="${THUMB_SIZE}"></canvas>
+            <span class="evolve-change">${escapeHtml(entry.lineage.change)}</span>
+            <span class="evolve-formula">${escapeHtml(entry.formula)}</span>`;
+        cell.onclick = () => pickChild(entry);
+        ui.evolveGrid.appendChild(cell);
+        setTimeout(() => drawThumbnail(cell.querySelector('canvas'), fn), n);
+    });
+}
+
+function pickChild(entry) {
+    loadEntry(entry);
+    addToHistory(entry);
+    showToast(`GENERATION ${entry.lineage.generation}: ${entry.name.toUpperCase()}`);
+    renderBrood();
+}
+
+ui.btnEvolve.onclick = () => {
+    ui.evolveDialog.hidden = false;
+    renderBrood();
+};
+ui.evolveOp.onchange = renderBrood;
+ui.evolvePartner.onchange = renderBrood;
+ui.evolveRun.onclick = renderBrood;
+ui.evolveClose.onclick = () => { ui.evolveDialog.hidden = true; };
+
+// 15. FORMULA EDITOR
+// The textarea is drawn over a <pre> holding the same text with highlighting.
+// Typed edits compile after a pause; every formula that gets compiled is an undo step.
+const EDIT_DELAY = 300;
+const UNDO_LIMIT = 200;
+// Keystrokes closer together than this are undone together
+const UNDO_MERGE_MS = 1000;
+const COMPLETE_LIMIT = 8;
+
+const Editor = {
+    // Arguments and a short description for every Ctx member
+    docs: {
+        pi: { doc: 'π ≈ 3.14159' },
+        'π': { doc: 'π ≈ 3.14159' },
+        e: { doc: 'e ≈ 2.71828' },
+        phi: { doc: 'golden ratio ≈ 1.618' },
+        sin: { args: ['v'], doc: 'sine, v in radians' },
+        cos: { args: ['v'], doc: 'cosine, v in radians' },
+        tan: { args: ['v'], doc: 'tangent, v in radians' },
+        abs: { args: ['v'], doc: 'absolute value' },
+        floor: { args: ['v'], doc: 'round down' },
+        ceil: { args: ['v'], doc: 'round up' },
+        round: { args: ['v'], doc: 'round to the nearest whole number' },
+        sqrt: { args: ['v'], doc: 'square root' },
+        pow: { args: ['base', 'exp'], doc: 'base to the power exp' },
+        atan2: { args: ['y', 'x'], doc: 'angle of the point (x, y) in radians' },
+        mod: { args: ['a', 'b'], doc: 'remainder of a / b with the sign of b' },
+        max: { args: ['a', 'b', '…'], doc: 'largest argument' },
+        min: { args: ['a', 'b', '…'], doc: 'smallest argument' },
+        csc: { args: ['v'], doc: '1 / sin(v)' },
+        sec: { args: ['v'], doc: '1 / cos(v)' },
+        sinh: { args: ['v'], doc: 'hyperbolic sine' },
+        cosh: { args: ['v'], doc: 'hyperbolic cosine' },
+        tanh: { args: ['v'], doc: 'hyperbolic tangent, -1..1' },
+        ln: { args: ['v'], doc: 'natural logarithm' },
+        lg: { args: ['v'], doc: 'base 10 logarithm' },
+        exp: { args: ['v'], doc: 'e to the power v' },
+        rand: { args: [], doc: 'seeded hash of the column, 0..1' },
+        randnormal: { args: ['mean', 'stdev'], doc: 'normally distributed hash of the column' },
+        simplex: { args: ['x', 'y', 'z'], doc: 'simplex noise, about -1..1' },
+        perlin: { args: ['x', 'y', 'z'], doc: 'Perlin noise, about -1..1' },
+        value: { args: ['x', 'y', 'z'], doc: 'value noise' },
+        worley: { args: ['x', 'y', 'z'], doc: 'distance to the nearest cell point' },
+        worley2: { args: ['x', 'y', 'z'], doc: 'distance to the second nearest cell point' },
+        cellular: { args: ['x', 'y', 'z'], doc: 'worley2 - worley, high on cell borders' },
+        ridged: { args: ['x', 'y', 'z', 'oct', 'per'], doc: 'ridged simplex octaves, oct 4 by default' },
+        billow: { args: ['x', 'y', 'z', 'oct', 'per'], doc: 'billowy simplex octaves, oct 4 by default' },
+        normal: { args: ['x', 'y', 'z'], doc: 'randnormal(0, 1), the arguments are ignored' },
+        blended: { args: ['x', 'y', 'z'], doc: 'simplex averaged with sin(x)·cos(z)' },
+        octaved: { args: ['x', 'z', 'oct', 'per'], doc: 'simplex octaves at y = 0, oct 4 and per 0.5 by default' }
+    },
+    varDocs: { x: 'column x', y: 'block height', z: 'column z', t: 'time in seconds' },
+
+    error: null,        // position of the last FormulaError, or null
+    timer: null,        // pending compile of typed text
+    items: [],          // completions on show
+    active: 0,
+    history: [],
+    index: -1,
+    restoring: false,
+
+    // Shows a formula set from code, e.g. a loaded entry. The caller compiles it.
+    set: function(value) {
+        ui.input.value = value;
+        this.close();
+        this.render();
+    },
+
+    // Tokens of src, skipping characters the tokenizer rejects so a typo doesn't blank the rest
+    tokens: function(src) {
+        const out = [];
+        let from = 0;
+        const add = (tokens) => tokens.forEach(t => {
+            if(t.type !== 'end') out.push({ ...t, pos: t.pos + from, end: t.end + from });
+        });
+        for(;;) {
+            try {
+                add(Formula.tokenize(src.slice(from)));
+                return out;
+            } catch(e) {
+                if(!(e instanceof FormulaError)) throw e;
+                add(Formula.tokenize(src.slice(from, from + e.pos)));
+                from += e.pos + 1;
+            }
+        }
+    },
+
+    // name -> argument names (null for values) of the library's and the formula's own definitions
+    definitions: function() {
+        const defs = new Map();
+        // The last statement is the result, not a definition
+        [...Defs.list, ...ui.input.value.split(';').slice(0, -1)].forEach(text => {
+            const m = String(text).match(/^\s*([\p{L}_][\p{L}\p{N}_]*)\s*(?:\(([^)]*)\))?\s*=(?!=)/u);
+            if(m) defs.set(m[1], m[2] === undefined ? null : m[2].split(',').map(a => a.trim()).filter(Boolean));
+        });
+        return defs;
+    },
+
+    // { args, doc } for a name, or null
+    signature: function(name, defs = this.definitions()) {
+        if(defs.has(name)) return { args: defs.get(name), doc: 'definition' };
+        if(Object.hasOwn(Ctx, name) && !name.startsWith('_')) return this.docs[name] || { args: ['…'], doc: '' };
+        return null;
+    },
+
+    classOf: function(t, defs) {
+        if(t.type === 'num') return 'tk-num';
+        if(t.type === 'param') return 'tk-param';
+        if(t.type === 'op') return t.value === '(' || t.value === ')' ? 'tk-paren' : 'tk-op';
+        if(Object.hasOwn(this.varDocs, t.value)) return 'tk-var';
+        if(defs.has(t.value)) return 'tk-def';
+        const sig = this.signature(t.value, defs);
+        if(sig) return sig.args ? 'tk-fn' : 'tk-const';
+        return 'tk-id';
+    },
+
+    // Matching parentheses both ways, and the ones without a partner
+    brackets: function(tokens) {
+        const pairs = new Map(), unmatched = new Set(), stack = [];
+        tokens.forEach(t => {
+            if(t.value === '(') stack.push(t);
+            else if(t.value === ')') {
+                const open = stack.pop();
+                if(open) { pairs.set(open, t); pairs.set(t, open); } else unmatched.add(t);
+            }
+        });
+        stack.forEach(t => unmatched.add(t));
+        return { pairs, unmatched };
+    },
+
+    render: function() {
+        const src = ui.input.value;
+        const tokens = this.tokens(src);
+        const defs = this.definitions();
+        const { pairs, unmatched } = this.brackets(tokens);
+
+        // The parenthesis just before the caret, or else the one after it
+        const caret = ui.input.selectionStart === ui.input.selectionEnd ? ui.input.selectionStart : -1;
+        const near = tokens.find(t => pairs.has(t) && t.end === caret) || tokens.find(t => pairs.has(t) && t.pos === caret);
+        const matched = near ? [near, pairs.get(near)] : [];
+
+        const err = this.error;
+        const span = (cls, text) => `<span class="${cls}">${escapeHtml(text)}</span>`;
+        // Text between tokens, with the error squiggle on a rejected character
+        const gap = (a, b) => err !== null && err >= a && err < b
+            ? escapeHtml(src.slice(a, err)) + span('tk-err', src[err]) + escapeHtml(src.slice(err + 1, b))
+            : escapeHtml(src.slice(a, b));
+
+        let html = '', last = 0;
+        tokens.forEach(t => {
+            html += gap(last, t.pos);
+            const cls = [this.classOf(t, defs)];
+            if(matched.includes(t)) cls.push('tk-match');
+            if(unmatched.has(t)) cls.push('tk-unmatched');
+            if(err !== null && err >= t.pos && err < t.end) cls.push('tk-err');
+            html += span(cls.join(' '), src.slice(t.pos, t.end));
+            last = t.end;
+        });
+        html += gap(last, src.length);
+        // Errors at the end of the text get a space to underline; the space also keeps a trailing newline's height
+        html += err !== null && err >= src.length ? span('tk-err', ' ') : ' ';
+        ui.editorHighlight.innerHTML = html;
+        this.scroll();
+    },
+
+    scroll: function() {
+        ui.editorHighlight.scrollTop = ui.input.scrollTop;
+        ui.editorHighlight.scrollLeft = ui.input.scrollLeft;
+    },
+
+    setError: function(pos) {
+        this.error = pos === undefined ? null : pos;
+        this.render();
+    },
+
+    // Offset of a character from the editor's top left, measured in the highlight copy
+    pointAt: function(index) {
+        const walker = document.createTreeWalker(ui.editorHighlight, NodeFilter.SHOW_TEXT);
+        let node, left = index;
+        while((node = walker.nextNode())) {
+            if(left <= node.length) {
+                const range = document.createRange();
+                range.setStart(node, left);
+                range.setEnd(node, left);
+                if(!range.getBoundingClientRect) return null;
+                const r = range.getBoundingClientRect(), box = ui.editorHighlight.getBoundingClientRect();
+                return { left: r.left - box.left, top: r.top - box.top, box };
+            }
+            left -= node.length;
+        }
+        return null;
+    },
+
+    // Puts a popup just above the line of a character
+    place: function(el, index) {
+        const p = this.pointAt(index);
+        if(!p) return;
+        el.style.left = `${Math.max(0, Math.min(p.left, p.box.width - 200))}px`;
+        el.style.bottom = `${p.box.height - p.top + 2}px`;
+    },
+
+    // Identifier being typed at the caret, or null
+    wordAt: function() {
+        const caret = ui.input.selectionStart;
+        if(caret !== ui.input.selectionEnd) return null;
+        const before = ui.input.value.slice(0, caret);
+        const m = before.match(/[\p{L}_][\p{L}\p{N}_]*$/u);
+        // Not inside $name parameters or numbers like 1e5
+        if(!m || /[$\d.]$/.test(before.slice(0, -m[0].length))) return null;
+        return { from: caret - m[0].length, to: caret, text: m[0] };
+    },
+
+    candidates: function(prefix) {
+        const defs = this.definitions();
+        const vars = terrainMode === 'density' ? Formula.densityVars : Formula.vars;
+        const names = [...vars, ...defs.keys(), ...Object.keys(Ctx).filter(k => !k.startsWith('_'))];
+        return [...new Set(names)]
+            .filter(name => name.startsWith(prefix) && name !== prefix)
+            .slice(0, COMPLETE_LIMIT)
+            .map(name => vars.includes(name)
+                ? { name, args: null, doc: this.varDocs[name] }
+                : { name, ...this.signature(name, defs) });
+    },
+
+    complete: function() {
+        const word = this.wordAt();
+        this.items = word ? this.candidates(word.text) : [];
+        this.active = 0;
+        if(!this.items.length) { this.close(); return; }
+        this.word = word;
+        this.drawItems();
+        ui.editorComplete.hidden = false;
+        ui.editorHint.hidden = true;
+        this.place(ui.editorComplete, word.from);
+    },
+
+    drawItems: function() {
+        ui.editorComplete.innerHTML = '';
+        this.items.forEach((item, i) => {
+            const row = document.createElement('div');
+            row.className = 'complete-item' + (i === this.active ? ' active' : '');
+            row.setAttribute('role', 'option');
+            row.innerHTML = `<span class="${item.args ? 'tk-fn' : 'tk-const'}">${escapeHtml(item.name)}</span>`
+                + (item.args ? `<span class="complete-args">(${escapeHtml(item.args.join(', '))})</span>` : '')
+                + `<span class="complete-doc">${escapeHtml(item.doc || '')}</span>`;
+            // mousedown, so the textarea keeps focus
+            row.onmousedown = (e) => { e.preventDefault(); this.accept(i); };
+            ui.editorComplete.appendChild(row);
+        });
+    },
+
+    move: function(by) {
+        this.active = (this.active + by + this.items.length) % this.items.length;
+        this.drawItems();
+    },
+
+    // Replaces the typed word; functions get their opening parenthesis
+    accept: function(i) {
+        const item = this.items[i];
+        if(!item) return;
+        const text = item.name + (item.args ? '(' : '');
+        const src = ui.input.value;
+        ui.input.value = src.slice(0, this.word.from) + text + src.slice(this.word.to);
+        const caret = this.word.from + text.length;
+        ui.input.setSelectionRange(caret, caret);
+        this.close();
+        ui.input.oninput();
+    },
+
+    close: function() {
+        this.items = [];
+        ui.editorComplete.hidden = true;
+        ui.editorHint.hidden = true;
+    },
+
+    // Signature of the call the caret is in, with the current argument in bold
+    hint: function() {
+        if(!ui.editorComplete.hidden) return;
+        const caret = ui.input.selectionStart;
+        const tokens = this.tokens(ui.input.value);
+        const stack = [];
+        for(let i = 0; i < tokens.length && tokens[i].end <= caret; i++) {
+            const t = tokens[i];
+            if(t.value === '(') stack.push({ at: t.pos, name: i > 0 && tokens[i - 1].type === 'id' ? tokens[i - 1].value : null, arg: 0 });
+            else if(t.value === ')') stack.pop();
+            else if(t.value === ',' && stack.length) stack[stack.length - 1].arg++;
+        }
+        const call = stack[stack.length - 1];
+        const sig = call && call.name && this.signature(call.name);
+        if(!sig || !sig.args || !sig.args.length) { ui.editorHint.hidden = true; return; }
+
+        const current = Math.min(call.arg, sig.args.length - 1);
+        const args = sig.args.map((a, i) => i === current ? `<b>${escapeHtml(a)}</b>` : escapeHtml(a));
+        ui.editorHint.innerHTML = `<span class="hint-name">${escapeHtml(call.name)}</span>(${args.join(', ')})`
+            + (sig.doc ? ` — ${escapeHtml(sig.doc)}` : '');
+        ui.editorHint.hidden = false;
+        this.place(ui.editorHint, call.at);
+    },
+
+    // Called for each compiled formula. Typing and slider drags within a second are one step;
+    // generated, loaded and rewritten formulas are steps of their own.
+    record: function(merge) {
+        if(this.restoring) return;
+        const snap = {
+            formula: ui.input.value,
+            noise: ui.tagNoise.textContent,
+            type: ui.tagGen.textContent,
+            name: ui.genName.textContent,
+            seed: currentSeed,
+            mode: terrainMode,
+            biomes: Biomes.toJSON(),
+            post: Post.toJSON(postStages),
+            lineage: currentLineage,
+            caret: ui.input.selectionStart,
+            merge,
+            at: performance.now()
+        };
+        const top = this.history[this.index];
+        // Same formula compiled again after a library or seed change: keep the step up to date
+        if(top && top.formula === snap.formula && top.mode === snap.mode) {
+            Object.assign(top, snap, { merge: top.merge, at: top.at });
+            return;
+        }
+        this.history.length = this.index + 1;
+        if(merge && top && top.merge && snap.at - top.at < UNDO_MERGE_MS) {
+            this.history[this.index] = snap;
+        } else {
+            this.history.push(snap);
+            if(this.history.length > UNDO_LIMIT) this.history.shift();
+            this.index = this.history.length - 1;
+        }
+        this.updateButtons();
+    },
+
+    restore: function(i) {
+        if(i < 0 || i >= this.history.length) return;
+        this.index = i;
+        const snap = this.history[i];
+        this.restoring = true;
+        try { loadEntry(snap); } finally { this.restoring = false; }
+        // Typing after an undo starts a new step
+        snap.at = 0;
+        const caret = Math.min(snap.caret, snap.formula.length);
+        ui.input.setSelectionRange(caret, caret);
+        this.render();
+        this.updateButtons();
+    },
+
+    // Typed text not compiled yet becomes a step first, so undo goes back from what is shown
+    undo: function() {
+        this.flush();
+        this.restore(this.index - 1);
+    },
+
+    redo: function() {
+        this.flush();
+        this.restore(this.index + 1);
+    },
+
+    flush: function() {
+        if(this.timer === null) return;
+        clearTimeout(this.timer);
+        applyEdit();
+    },
+
+    updateButtons: function() {
+        ui.btnUndo.disabled = this.index <= 0;
+        ui.btnRedo.disabled = this.index >= this.history.length - 1;
+    }
+};
+
+// A typed formula, once the typing pauses
+function applyEdit(merge = true) {
+    clearTimeout(Editor.timer);
+    Editor.timer = null;
+    ui.tagNoise.textContent = "USER";
+    ui.tagGen.textContent = "CUSTOM";
+    ui.genName.textContent = "Edited Formula";
+    compiledFunc = compileFormula(ui.input.value, merge);
+    updateTerrain(true);
+    scheduleUrlUpdate();
+}
+
+ui.input.oninput = () => {
+    Editor.render();
+    Editor.complete();
+    Editor.hint();
+    clearTimeout(Editor.timer);
+    Editor.timer = setTimeout(applyEdit, EDIT_DELAY);
+};
 
-    if(list.length === 0) {
-        ui.sidebarContent.innerHTML = `<div style="padding:20px; text-align:center; color:#666;">No ${currentTab} items.</div>`;
+ui.input.onkeydown = (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if(mod && (key === 'z' || key === 'y')) {
+        e.preventDefault();
+        if(key === 'z' && !e.shiftKey) Editor.undo(); else Editor.redo();
         return;
     }
+    if(ui.editorComplete.hidden) return;
+    if(e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        Editor.move(e.key === 'ArrowDown' ? 1 : -1);
+    } else if(e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        Editor.accept(Editor.active);
+    } else if(e.key === 'Escape') {
+        Editor.close();
+    }
+};
 
-    list.forEach((item, index) => {
-        const row = document.createElement('div');
-        row.className = 'history-item';
-        
-        row.innerHTML = `
-            <div class="history-content">
-                <div class="h-tags">
-                    <span class="h-badge n">${item.noise}</span>
-                    <span class="h-badge t">${item.type}</span>
-                    <span class="h-name">${item.name}</span>
+// Caret moves change the matched bracket and the signature hint
+ui.input.onkeyup = (e) => {
+    if(!ui.editorComplete.hidden && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) return;
+    if(e.key.startsWith('Arrow') || e.key === 'Home' || e.key === 'End') {
+        Editor.close();
+        Editor.render();
+        Editor.hint();
+    }
+};
+ui.input.onclick = () => {
+    Editor.close();
+    Editor.render();
+    Editor.hint();
+};
+ui.input.onblur = () => Editor.close();
+ui.input.onscroll = () => Editor.scroll();
+ui.btnUndo.onclick = () => Editor.undo();
+ui.btnRedo.onclick = () => Editor.redo();
+
+// 16. POST-PROCESSING
+function renderPostPanel() {
+    const on = postStages.filter(s => s.on).length;
+    ui.postPanel.querySelector('summary').textContent = on ? `Post-processing (${on} on)` : 'Post-processing';
+    ui.postList.innerHTML = postStages.map((s, i) => {
+        const stage = Post.stages[s.type];
+        const params = !s.on ? '' : Object.entries(stage.params).map(([key, p]) => `
+            <div class="param-row" data-key="${key}">
+                <span class="param-label">${escapeHtml(p.label)}</span>
+                <input type="range" min="${p.min}" max="${p.max}" step="${p.step}" value="${s[key]}">
+                <span class="param-value">${s[key]}</span>
+            </div>`).join('');
+        return `
+            <div class="post-stage${s.on ? ' on' : ''}" data-index="${i}">
+                <div class="post-head">
+                    <label><input type="checkbox"${s.on ? ' checked' : ''}> ${escapeHtml(stage.label)}</label>
+                    <button class="post-move" data-dir="-1" title="Run earlier"${i === 0 ? ' disabled' : ''}>↑</button>
+                    <button class="post-move" data-dir="1" title="Run later"${i === postStages.length - 1 ? ' disabled' : ''}>↓</button>
                 </div>
-                <span class="h-code">${item.formula}</span>
-            </div>
-            <button class="history-delete">×</button>
-        `;
+                ${params}
+            </div>`;
+    }).join('');
 
-        // Load Logic
-        row.querySelector('.history-content').onclick = () => {
-            ui.input.value = item.formula;
-            ui.tagNoise.textContent = item.noise;
-            ui.tagGen.textContent = item.type;
-            ui.genName.textContent = item.name;
-            compiledFunc = compileFormula(item.formula);
-            updateTerrain(true);
+    ui.postList.querySelectorAll('.post-stage').forEach(row => {
+        const i = Number(row.dataset.index);
+        row.querySelector('input[type=checkbox]').onchange = (e) => {
+            postStages[i].on = e.target.checked;
+            renderPostPanel();
+            changePost();
         };
+        row.querySelectorAll('.post-move').forEach(btn => {
+            btn.onclick = () => {
+                const j = i + Number(btn.dataset.dir);
+                [postStages[i], postStages[j]] = [postStages[j], postStages[i]];
+                renderPostPanel();
+                if(postStages[i].on || postStages[j].on) changePost();
+            };
+        });
+        row.querySelectorAll('.param-row').forEach(param => {
+            const slider = param.querySelector('input');
+            slider.oninput = () => { param.querySelector('.param-value').textContent = slider.value; };
+            // Erosion over the whole window is slow, so it runs once the slider is let go
+            slider.onchange = () => {
+                postStages[i][param.dataset.key] = Number(slider.value);
+                changePost();
+            };
+        });
+    });
+}
 
-        // Delete Logic
-        row.querySelector('.history-delete').onclick = (e) => {
-            e.stopPropagation();
-            list.splice(index, 1);
-            renderSidebar();
-        };
+// The chunks stay; only the views are processed and rebuilt again
+function changePost() {
+    Chunks.dirty = true;
+    if(MapView.active) showToast("POST-PROCESSING SHOWS IN THE 3D VIEW");
+    scheduleUrlUpdate();
+}
 
-        ui.sidebarContent.appendChild(row);
-    });
+// 17. CONSTRAINTS
+// GENERATE NEW with targets: settings stay in localStorage, the last result shows in the dialog
+const Constrained = {
+    storageKey: 'mathgen.constraints',
+    on: false,
+    settings: Constraints.defaults(),
+    last: null,     // { misses, tries } of the last constrained generation
+
+    load: function() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey));
+            if(!data) return;
+            this.on = data.on === true;
+            this.settings = Constraints.normalize(data.settings);
+        } catch(e) { /* storage blocked or unreadable */ }
+    },
+
+    save: function() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ on: this.on, settings: this.settings }));
+        } catch(e) { /* storage blocked */ }
+    }
+};
+Constrained.load();
+
+const constraintFields = [
+    ['minY', 'constraintsMinY'], ['maxY', 'constraintsMaxY'],
+    ['minWater', 'constraintsMinWater'], ['maxWater', 'constraintsMaxWater'],
+    ['seaLevel', 'constraintsSea'], ['roughness', 'constraintsRoughness'], ['tries', 'constraintsTries']
+];
+
+function renderConstraints() {
+    const c = Constrained.settings;
+    ui.constraintsOn.checked = Constrained.on;
+    ui.constraintsValid.checked = c.valid;
+    constraintFields.forEach(([key, ref]) => { ui[ref].value = c[key] === null ? '' : c[key]; });
+    ui.btnConstraints.classList.toggle('active', Constrained.on && Constraints.active(c));
+
+    const last = Constrained.last;
+    ui.constraintsReport.className = 'modal-note' + (last ? (last.misses.length ? ' missed' : ' ok') : '');
+    ui.constraintsReport.innerHTML = !last ? ''
+        : !last.misses.length ? `Met every target after ${last.tries} ${last.tries === 1 ? 'try' : 'tries'}.`
+        : `No candidate in ${last.tries} tries met every target. The closest missed:<br>${last.misses.map(m => escapeHtml(m.text)).join('<br>')}`;
 }
 
-// 4. TAB SWITCHING
-ui.tabHistory.onclick = () => {
-    currentTab = 'history';
-    ui.tabHistory.classList.add('active');
-    ui.tabSaved.classList.remove('active');
-    renderSidebar();
+function readConstraints() {
+    const raw = { valid: ui.constraintsValid.checked };
+    constraintFields.forEach(([key, ref]) => { raw[key] = ui[ref].value; });
+    Constrained.settings = Constraints.normalize(raw);
+    Constrained.on = ui.constraintsOn.checked;
+    Constrained.save();
+    renderConstraints();
+}
+
+ui.btnConstraints.onclick = () => {
+    renderConstraints();
+    ui.constraintsDialog.hidden = false;
+};
+[ui.constraintsOn, ui.constraintsValid, ...constraintFields.map(([, ref]) => ui[ref])].forEach(el => { el.onchange = readConstraints; });
+// Generating from the dialog turns the constraints on
+ui.constraintsRun.onclick = () => {
+    ui.constraintsOn.checked = true;
+    readConstraints();
+    initGen();
 };
+ui.constraintsClose.onclick = () => { ui.constraintsDialog.hidden = true; };
 
-ui.tabSaved.onclick = () => {
-    currentTab = 'saved';
-    ui.tabSaved.classList.add('active');
-    ui.tabHistory.classList.remove('active');
-    renderSidebar();
+// 18. PROBE
+// A click on the terrain that doesn't move the camera shows how the formula gets that column's
+// height: the values at that point, and the value of every subexpression of the formula.
+const PROBE_OPEN_DEPTH = 2;
+
+const Probe = {
+    at: null,       // { x, y, z } of the clicked block
+    html: '',
+    raycaster: new THREE.Raycaster(),
+    // Outline around the probed block
+    marker: new THREE.LineSegments(new THREE.EdgesGeometry(new THREE.BoxGeometry(1.06, 1.06, 1.06)), new THREE.LineBasicMaterial({ color: 0xff00ff })),
+
+    // Block under a point of the viewport, or null
+    pick: function(clientX, clientY) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2((clientX - rect.left) / rect.width * 2 - 1, -(clientY - rect.top) / rect.height * 2 + 1);
+        this.raycaster.setFromCamera(ndc, camera);
+        const hit = this.raycaster.intersectObjects(terrainLayer.group.children, false)[0];
+        if(!hit) return null;
+        const p = new THREE.Vector3();
+        if(hit.instanceId !== undefined) {
+            const m = new THREE.Matrix4();
+            hit.object.getMatrixAt(hit.instanceId, m);
+            p.setFromMatrixPosition(m);
+        } else {
+            // Greedy faces lie on block sides: step half a block back through the face
+            p.copy(hit.point).addScaledVector(hit.face.normal, -0.5).round();
+        }
+        return { x: p.x, y: p.y, z: p.z };
+    },
+
+    show: function(at) {
+        this.at = at;
+        this.html = '';
+        this.render();
+    },
+
+    close: function() {
+        this.at = null;
+        this.html = '';
+        ui.probePanel.hidden = true;
+        this.marker.visible = false;
+    },
+
+    // Runs again with every rebuild, so the panel follows formula, seed and t changes.
+    // The DOM is only replaced when something changed, which keeps opened branches open.
+    render: function() {
+        if(!this.at || !compiledFunc) return;
+        const fn = compiledFunc, density = fn.mode === 'density';
+        const { x, z } = this.at;
+        const y = density ? this.at.y : 0;
+        const t = fn.usesTime ? Clock.t : 0;
+        const tree = Formula.trace(Formula.parse(fn.source, density ? Formula.densityVars : Formula.vars, fn.library), x, z, y, t);
+        const faults = new Uint8Array(1);
+        evaluate(fn, x, z, y, t, faults);
+        const top = Math.floor(columnTop(fn, x, z, t));
+
+        // What is drawn: the view's column, after post-processing
+        const v = terrainView, i = x - v.x0, j = z - v.z0;
+        const inView = i >= 0 && j >= 0 && i < v.size && j < v.size && v.loaded[j * v.size + i];
+        const shown = inView ? Math.floor(v.heights[j * v.size + i]) : top;
+        const slope = inView ? slopeAt(v.heights, v.loaded, v.size, i, j) : 0;
+        const moisture = Biomes.moistureFn ? evaluate(Biomes.moistureFn, x, z) : 0;
+        const rule = Biomes.match(density ? y : shown, slope, moisture);
+
+        const fmt = (n) => Number.isInteger(n) ? String(n) : String(+n.toPrecision(6));
+        const value = density
+            ? `${fmt(tree.value)} <span>${tree.value > 0 ? 'solid' : 'air'}</span>`
+            : fmt(tree.value);
+        const html = `
+            <div class="stats-title">PROBE <span>x ${x} z ${z}${density ? ` y ${y}` : ''}${t ? ` t ${t.toFixed(2)}` : ''}</span><button class="probe-close" title="Close">×</button></div>
+            <dl class="stats-grid">
+                <dt>${density ? 'Density' : 'Value'}</dt><dd>${value}</dd>
+                ${faults[0] ? `<dt></dt><dd class="probe-bad">⚠ ${FAULT_NAMES[faults[0]]}, drawn as 0</dd>` : ''}
+                <dt>Surface Y</dt><dd>${density ? top : shown}${!density && shown !== top ? ` <span>${top} before post-processing</span>` : ''}</dd>
+                <dt>Biome</dt><dd><span class="stats-swatch" style="background:#${Biomes.colors[rule].top.getHexString()}"></span> ${escapeHtml(Biomes.current.rules[rule].name)}</dd>
+            </dl>
+            <div class="probe-tree">${this.node(tree, 0)}</div>`;
+
+        this.marker.position.set(x, density ? y : shown, z);
+        this.marker.visible = true;
+        ui.probePanel.hidden = false;
+        if(html === this.html) return;
+        this.html = html;
+        ui.probePanel.innerHTML = html;
+        ui.probePanel.querySelector('.probe-close').onclick = () => this.close();
+    },
+
+    // One subexpression and its parts. In sums the term with the largest magnitude is marked.
+    node: function(n, depth, max = false) {
+        const fmt = (v) => Number.isInteger(v) ? String(v) : String(+v.toPrecision(6));
+        const value = n.skipped ? '<span class="probe-skip">not evaluated</span>'
+            : n.error ? `<span class="probe-value probe-bad" title="${escapeHtml(n.error)}">error</span>`
+            : `<span class="probe-value${Number.isFinite(n.value) ? '' : ' probe-bad'}">${fmt(n.value)}</span>`;
+        const head = `<span class="probe-expr" title="${escapeHtml(n.text)}">${escapeHtml(n.text)}</span>${value}`;
+        const cls = `probe-node${max ? ' probe-max' : ''}`;
+        if(!n.children.length) return `<div class="${cls} probe-leaf">${head}</div>`;
+
+        let largest = -1;
+        if(n.type === 'binary' && (n.op === '+' || n.op === '-')) {
+            const sizes = n.children.map(c => Number.isFinite(c.value) ? Math.abs(c.value) : -1);
+            largest = sizes.indexOf(Math.max(...sizes));
+        }
+        const children = n.children.map((c, k) => this.node(c, depth + 1, k === largest)).join('');
+        return `<details class="${cls}"${depth < PROBE_OPEN_DEPTH ? ' open' : ''}><summary>${head}</summary>${children}</details>`;
+    }
 };
+Probe.marker.visible = false;
+scene.add(Probe.marker);
+
+// OrbitControls drags on the same canvas, so only a press released in place counts as a click
+let probePress = null;
+renderer.domElement.addEventListener('pointerdown', (e) => { probePress = e.button === 0 ? { x: e.clientX, y: e.clientY } : null; });
+renderer.domElement.addEventListener('pointerup', (e) => {
+    const press = probePress;
+    probePress = null;
+    if(!press || Math.abs(e.clientX - press.x) + Math.abs(e.clientY - press.y) > 3) return;
+    // The split view draws each half with its own viewport
+    if(Compare.splitting()) { showToast("PROBE WORKS OUTSIDE THE SPLIT VIEW"); return; }
+    const at = Probe.pick(e.clientX, e.clientY);
+    if(at) Probe.show(at);
+    else Probe.close();
+});
 
-// 5. EVENT LISTENERS
-ui.btnGen.onclick = initGen;
+// 19. EVENT LISTENERS
+ui.btnGen.onclick = () => initGen();
 ui.btnSave.onclick = saveCurrent;
 ui.btnHist.onclick = () => {
     ui.sidebar.classList.add('open');
@@ -600,26 +3763,81 @@ ui.btnCopy.onclick = () => {
     showToast("COPIED");
 };
 
-ui.input.oninput = () => {
-    ui.tagNoise.textContent = "USER";
-    ui.tagGen.textContent = "CUSTOM";
-    ui.genName.textContent = "Edited Formula";
+// Flattened to one expression for tools that don't take definitions
+ui.btnInline.onclick = () => {
+    try {
+        const vars = terrainMode === 'density' ? Formula.densityVars : Formula.vars;
+        navigator.clipboard.writeText(Formula.print(Formula.inline(Formula.parse(ui.input.value, vars, Defs.list))));
+        showToast("INLINED FORMULA COPIED");
+    } catch(e) {
+        if(!(e instanceof FormulaError)) throw e;
+        showToast("FIX THE FORMULA FIRST");
+    }
+};
+
+ui.btnCopyTerraMath.onclick = () => {
+    navigator.clipboard.writeText(terraMathFormula);
+    showToast("TERRAMATH VERSION COPIED");
+};
+
+// Simplified formula as plain, indented or minified text. Same terrain, so the tags stay.
+ui.simplifyButtons.forEach(btn => btn.onclick = () => {
+    if(!simplified) return;
+    Editor.set(formatFormula(simplified.ast, btn.dataset.style));
     compiledFunc = compileFormula(ui.input.value);
     updateTerrain(true);
+    scheduleUrlUpdate();
+    showToast(simplified.ok ? "FORMULA REWRITTEN" : "REFORMATTED, VALUES WOULD CHANGE IF SIMPLIFIED");
+});
+
+const AUTO_SIMPLIFY_KEY = 'mathgen.autoSimplify';
+try { ui.autoSimplify.checked = localStorage.getItem(AUTO_SIMPLIFY_KEY) === '1'; } catch(e) { /* storage blocked */ }
+ui.autoSimplify.onchange = () => {
+    try { localStorage.setItem(AUTO_SIMPLIFY_KEY, ui.autoSimplify.checked ? '1' : '0'); } catch(e) { /* storage blocked */ }
+    showToast(ui.autoSimplify.checked ? "NEW FORMULAS WILL BE SIMPLIFIED" : "AUTO-SIMPLIFY OFF");
 };
 
-// REALISTIC TOGGLE LOGIC
-ui.btnToggleRealistic.onclick = () => {
-    isRealisticOnly = !isRealisticOnly;
-    if(isRealisticOnly) {
-        ui.btnToggleRealistic.innerHTML = "<span>🌿</span> REALISTIC: ON";
-        ui.btnToggleRealistic.classList.add('realistic-on');
-        showToast("REALISTIC MODE ON");
-    } else {
-        ui.btnToggleRealistic.innerHTML = "<span>🌿</span> REALISTIC: OFF";
-        ui.btnToggleRealistic.classList.remove('realistic-on');
-        showToast("REALISTIC MODE OFF");
+ui.btnLink.onclick = () => {
+    writeUrl();
+    navigator.clipboard.writeText(location.href);
+    showToast("LINK COPIED");
+};
+
+// Re-render the current formula with another seed
+ui.seedInput.onchange = () => {
+    const seed = Number(ui.seedInput.value);
+    if(!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+        ui.seedInput.value = currentSeed;
+        showToast("INVALID SEED");
+        return;
     }
+    setSeed(seed);
+    updateTerrain(true);
+    scheduleUrlUpdate();
+};
+
+// THEME PICKER: forces a theme or category for GENERATE NEW
+function renderThemePicker() {
+    const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+    const themes = Themes.all().filter(t => t.mode === terrainMode);
+    ui.themePicker.innerHTML = option('', 'ANY THEME') + Themes.categories(terrainMode).map(cat =>
+        `<optgroup label="${escapeHtml(cat)}">${option(`category:${cat}`, `Any ${cat}`)}${
+            themes.filter(t => t.category === cat).map(t => option(`theme:${t.name}`, t.name)).join('')}</optgroup>`
+    ).join('');
+    // A filter that doesn't exist in this mode falls back to any theme
+    if(![...ui.themePicker.options].some(o => o.value === themeFilter)) themeFilter = '';
+    ui.themePicker.value = themeFilter;
+    ui.themePicker.classList.toggle('realistic-on', themeFilter !== '');
+}
+
+function setThemeFilter(filter) {
+    themeFilter = filter || '';
+    renderThemePicker();
+}
+
+ui.themePicker.onchange = () => {
+    setThemeFilter(ui.themePicker.value);
+    scheduleUrlUpdate();
 };
 
 function showToast(msg) {
@@ -634,14 +3852,50 @@ ui.zoomSlider.oninput = () => {
     const val = parseInt(ui.zoomSlider.value);
     camera.zoom = val / 20;
     camera.updateProjectionMatrix();
+    scheduleUrlUpdate();
 };
 
 controls.addEventListener('change', () => {
     const z = Math.min(100, Math.max(5, camera.zoom * 20));
     ui.zoomSlider.value = z;
     updateTerrain();
+    scheduleUrlUpdate();
 });
 
+// Render distance, column fill and greedy meshing
+function showRenderSettings() {
+    ui.renderDistance.value = Render.distance;
+    ui.btnFill.classList.toggle('active', Render.fill);
+    ui.btnGreedy.classList.toggle('active', Render.greedy);
+}
+showRenderSettings();
+
+ui.renderDistance.onchange = () => {
+    Render.distance = Number(ui.renderDistance.value);
+    Render.save();
+    updateTerrain(true);
+};
+ui.btnFill.onclick = () => {
+    Render.fill = !Render.fill;
+    Render.save();
+    showRenderSettings();
+    rebuildTerrain();
+    showToast(Render.fill ? "COLUMNS FILLED TO THEIR NEIGHBOURS" : `${LAYERS} BLOCKS PER COLUMN`);
+};
+ui.btnGreedy.onclick = () => {
+    Render.greedy = !Render.greedy;
+    Render.save();
+    showRenderSettings();
+    rebuildTerrain();
+    showToast(Render.greedy ? "GREEDY CHUNK MESHES" : "ONE CUBE PER BLOCK");
+};
+
+ui.btnStats.onclick = () => {
+    ui.statsPanel.hidden = !ui.statsPanel.hidden;
+    ui.btnStats.classList.toggle('active', !ui.statsPanel.hidden);
+    if(!ui.statsPanel.hidden) renderStats(terrainStats(shownView()));
+};
+
 // Reset Camera
 document.getElementById('reset-cam').onclick = () => {
     controls.target.set(0, 0, 0);
@@ -653,26 +3907,716 @@ document.getElementById('reset-cam').onclick = () => {
     updateTerrain(true);
 };
 
-document.getElementById('toggle-rotate').onclick = (e) => {
-    controls.autoRotate = !controls.autoRotate;
-    e.currentTarget.classList.toggle('active');
+function setMode(mode) {
+    terrainMode = mode === 'density' ? 'density' : 'height';
+    const density = terrainMode === 'density';
+    ui.btnMode.innerHTML = density ? "<span>🕳</span> DENSITY 3D" : "<span>⛰</span> HEIGHTMAP";
+    ui.btnMode.classList.toggle('realistic-on', density);
+    ui.renderDistance.disabled = density;
+    // Post-processing works on heightmaps only
+    ui.postPanel.hidden = density;
+    renderThemePicker();
+}
+
+// Switching mode starts a fresh terrain, since formulas of one mode rarely make sense in the other
+ui.btnMode.onclick = () => {
+    setMode(terrainMode === 'density' ? 'height' : 'density');
+    showToast(terrainMode === 'density' ? "DENSITY MODE: f(x, y, z) > 0 IS SOLID" : "HEIGHTMAP MODE");
+    initGen();
 };
 
-window.onresize = () => {
+function setAutoRotate(on) {
+    controls.autoRotate = on;
+    ui.btnRotate.classList.toggle('active', on);
+}
+
+ui.btnRotate.onclick = () => {
+    setAutoRotate(!controls.autoRotate);
+    scheduleUrlUpdate();
+};
+
+// The split compare view draws each half with half the width, so the frustum narrows to match
+function fitCamera() {
     aspect = container.clientWidth / container.clientHeight;
-    camera.left = -viewSize * aspect;
-    camera.right = viewSize * aspect;
+    const a = Compare.splitting() ? aspect / 2 : aspect;
+    camera.left = -viewSize * a;
+    camera.right = viewSize * a;
     camera.top = viewSize;
     camera.bottom = -viewSize;
     camera.updateProjectionMatrix();
+}
+
+window.onresize = () => {
+    fitCamera();
     renderer.setSize(container.clientWidth, container.clientHeight);
+    if(MapView.active) {
+        MapView.resize();
+        MapView.update();
+    }
+};
+
+// ==========================================
+// 6. PERMALINKS
+// ==========================================
+
+// The whole view lives in the URL hash, e.g. #f=sin(x)*10&seed=42&cam=0,0,0&zoom=1
+const Permalink = {
+    encode: function(state) {
+        const p = new URLSearchParams();
+        p.set('f', state.formula);
+        p.set('seed', state.seed);
+        p.set('noise', state.noise);
+        p.set('type', state.type);
+        p.set('name', state.name);
+        p.set('mode', state.mode);
+        p.set('biomes', typeof state.biomes === 'string' ? state.biomes : JSON.stringify(state.biomes));
+        if(state.post) p.set('post', JSON.stringify(state.post));
+        p.set('cam', state.target.map(v => +v.toFixed(2)).join(','));
+        p.set('zoom', +state.zoom.toFixed(3));
+        if(state.theme) p.set('theme', state.theme);
+        if(state.t) p.set('t', state.t);
+        p.set('rotate', state.rotate ? 1 : 0);
+        return p.toString();
+    },
+
+    // Returns null when the hash carries no formula
+    decode: function(hash) {
+        const p = new URLSearchParams(hash.replace(/^#/, ''));
+        if(!p.get('f')) return null;
+        const num = (key, fallback) => {
+            const v = Number(p.get(key));
+            return p.has(key) && Number.isFinite(v) ? v : fallback;
+        };
+        const target = (p.get('cam') || '').split(',').map(Number);
+        // A preset key, or a whole edited set as JSON
+        let biomes = p.get('biomes');
+        if(biomes && !Biomes.presets[biomes]) {
+            try { biomes = Biomes.normalize(JSON.parse(biomes)); } catch(e) { biomes = null; }
+        }
+        let post = null;
+        try { post = Post.toJSON(Post.normalize(JSON.parse(p.get('post')))); } catch(e) { post = null; }
+        return {
+            formula: p.get('f'),
+            seed: num('seed', 0) >>> 0,
+            noise: p.get('noise') || 'USER',
+            type: p.get('type') || 'CUSTOM',
+            name: p.get('name') || 'Shared Formula',
+            mode: p.get('mode') === 'density' ? 'density' : 'height',
+            biomes: biomes || null,
+            post,
+            target: target.length === 3 && target.every(Number.isFinite) ? target : [0, 0, 0],
+            zoom: Math.min(5, Math.max(0.25, num('zoom', 1))),
+            // Links from before the theme picker carry realistic=1
+            theme: p.get('theme') || (p.get('realistic') === '1' ? 'theme:Realistic' : ''),
+            t: num('t', 0),
+            rotate: p.get('rotate') !== '0'
+        };
+    }
+};
+
+function currentState() {
+    return {
+        formula: Defs.share(ui.input.value, terrainMode === 'density' ? Formula.densityVars : Formula.vars),
+        seed: currentSeed,
+        noise: ui.tagNoise.textContent,
+        type: ui.tagGen.textContent,
+        name: ui.genName.textContent,
+        mode: terrainMode,
+        biomes: Biomes.presetName() || Biomes.toJSON(),
+        post: Post.toJSON(postStages),
+        target: controls.target.toArray(),
+        zoom: camera.zoom,
+        theme: themeFilter,
+        t: Clock.t,
+        rotate: controls.autoRotate
+    };
+}
+
+function applyState(state) {
+    // Move the camera with the target so the viewing angle is kept
+    const offset = camera.position.clone().sub(controls.target);
+    controls.target.fromArray(state.target);
+    camera.position.copy(controls.target).add(offset);
+    camera.zoom = state.zoom;
+    camera.updateProjectionMatrix();
+    controls.update();
+    ui.zoomSlider.value = state.zoom * 20;
+
+    setAutoRotate(state.rotate);
+    setTime(state.t);
+    loadEntry(state);
+    // After loadEntry, since the picker only lists the themes of the entry's mode
+    setThemeFilter(state.theme);
+}
+
+let urlTimer = null;
+
+function writeUrl() {
+    clearTimeout(urlTimer);
+    urlTimer = null;
+    const hash = '#' + Permalink.encode(currentState());
+    if(location.hash !== hash) history.replaceState(null, '', hash);
+}
+
+// Throttled: camera moves fire 'change' every frame
+function scheduleUrlUpdate() {
+    if(!urlTimer) urlTimer = setTimeout(writeUrl, 300);
+}
+
+window.addEventListener('hashchange', () => {
+    const state = Permalink.decode(location.hash);
+    if(state) applyState(state);
+});
+
+// ==========================================
+// 7. EXPORT
+// ==========================================
+
+// Minimal NBT encoder. Values are wrapped with their tag type, e.g. Nbt.int(2).
+const Nbt = {
+    byte: (value) => ({ type: 1, value }),
+    short: (value) => ({ type: 2, value }),
+    int: (value) => ({ type: 3, value }),
+    byteArray: (value) => ({ type: 7, value }),
+    string: (value) => ({ type: 8, value }),
+    list: (itemType, value) => ({ type: 9, itemType, value }),
+    compound: (value) => ({ type: 10, value }),
+    intArray: (value) => ({ type: 11, value }),
+
+    encode: function(rootName, root) {
+        const w = byteWriter();
+        w.u8(10);
+        this.writeString(w, rootName);
+        this.writePayload(w, root);
+        return w.result();
+    },
+
+    writeString: (w, str) => {
+        const bytes = new TextEncoder().encode(str);
+        w.u16(bytes.length);
+        w.bytes(bytes);
+    },
+
+    writePayload: function(w, tag) {
+        switch(tag.type) {
+            case 1: w.u8(tag.value & 255); break;
+            case 2: w.i16(tag.value); break;
+            case 3: w.i32(tag.value); break;
+            case 7: w.i32(tag.value.length); w.bytes(tag.value); break;
+            case 8: this.writeString(w, tag.value); break;
+            case 9:
+                w.u8(tag.value.length ? tag.itemType : 0);
+                w.i32(tag.value.length);
+                tag.value.forEach(item => this.writePayload(w, { type: tag.itemType, value: item }));
+                break;
+            case 10:
+                for(const [name, child] of Object.entries(tag.value)) {
+                    w.u8(child.type);
+                    this.writeString(w, name);
+                    this.writePayload(w, child);
+                }
+                w.u8(0);
+                break;
+            case 11: w.i32(tag.value.length); tag.value.forEach(v => w.i32(v)); break;
+            default: throw new Error(`Unknown NBT tag ${tag.type}`);
+        }
+    }
+};
+
+// Stored (uncompressed) ZIP archive of { name, data } files. Enough for bundling PNG frames,
+// which are compressed already.
+const Zip = {
+    encode: function(files) {
+        const w = byteWriter(true);
+        const central = byteWriter(true);
+        const enc = new TextEncoder();
+        // 1980-01-01 00:00, the earliest date ZIP can express
+        const time = 0, date = (1 << 5) | 1;
+        let offset = 0;
+        files.forEach(f => {
+            const name = enc.encode(f.name);
+            const crc = Png.crc32(f.data);
+            w.u32(0x04034b50); w.u16(20); w.u16(0); w.u16(0); w.u16(time); w.u16(date);
+            w.u32(crc); w.u32(f.data.length); w.u32(f.data.length); w.u16(name.length); w.u16(0);
+            w.bytes(name); w.bytes(f.data);
+
+            central.u32(0x02014b50); central.u16(20); central.u16(20); central.u16(0); central.u16(0);
+            central.u16(time); central.u16(date); central.u32(crc); central.u32(f.data.length); central.u32(f.data.length);
+            central.u16(name.length); central.u16(0); central.u16(0); central.u16(0); central.u16(0); central.u32(0);
+            central.u32(offset); central.bytes(name);
+            offset += 30 + name.length + f.data.length;
+        });
+        const dir = central.result();
+        w.bytes(dir);
+        w.u32(0x06054b50); w.u16(0); w.u16(0); w.u16(files.length); w.u16(files.length);
+        w.u32(dir.length); w.u32(offset); w.u16(0);
+        return w.result();
+    }
+};
+
+const Exporter = {
+    dataVersion: 3465, // Minecraft 1.20.1
+
+    // Block kinds used in exported volumes: 0 is air, then a top and a subsurface kind per biome rule
+    kinds: function() {
+        const kinds = [{ state: 'minecraft:air' }];
+        Biomes.current.rules.forEach((r, i) => {
+            kinds.push({ state: r.block, color: Biomes.colors[i].top });
+            kinds.push({ state: r.subBlock, color: Biomes.colors[i].sub });
+        });
+        return kinds;
+    },
+    kindOf: (rule, depth) => 1 + rule * 2 + (depth === 0 ? 0 : 1),
+
+    formats: {
+        schem: { label: 'Sponge schematic (.schem)', maxSize: 512 },
+        nbt: { label: 'Structure (.nbt)', maxSize: 128 },
+        obj: { label: 'OBJ mesh (.obj)', maxSize: 256 },
+        stl: { label: 'STL mesh (.stl)', maxSize: 256 },
+        glb: { label: 'glTF binary (.glb)', maxSize: 256 },
+        png: { label: '16-bit heightmap (.png)', maxSize: 2048 }
+    },
+    // Cost grows with height too, so density regions are capped lower
+    maxDensitySize: 256,
+    maxHeight: 384,
+
+    // Samples size x size columns centered on (cx, cz).
+    // Returns heights plus a block volume indexed (y * sz + z) * sx + x, like Sponge BlockData.
+    sampleVolume: function(cx, cz, size, withBlocks = true) {
+        const sx = size, sz = size;
+        const x0 = cx - Math.floor(size / 2), z0 = cz - Math.floor(size / 2);
+        const heights = new Float32Array(sx * sz);
+        const kinds = this.kinds();
+        const all = new Uint8Array(sx * sz).fill(1);
+        const moistureAt = (x, z) => Biomes.moistureFn ? evaluate(Biomes.moistureFn, x0 + x, z0 + z) : 0;
+
+        if(terrainMode === 'density') {
+            const oy = DENSITY_MIN_Y, sy = DENSITY_MAX_Y - DENSITY_MIN_Y;
+            const solid = new Uint8Array(sx * sy * sz);
+            for(let z = 0; z < sz; z++) for(let x = 0; x < sx; x++) {
+                let top = oy - 1;
+                for(let y = 0; y < sy; y++) {
+                    if(sampleAt(x0 + x, z0 + z, oy + y) > 0) { solid[(y * sz + z) * sx + x] = 1; top = oy + y; }
+                }
+                heights[z * sx + x] = top;
+            }
+            const data = new Uint8Array(solid.length);
+            for(let z = 0; z < sz; z++) for(let x = 0; x < sx; x++) {
+                const slope = slopeAt(heights, all, sx, x, z);
+                const moisture = moistureAt(x, z);
+                for(let y = 0; y < sy; y++) {
+                    const i = (y * sz + z) * sx + x;
+                    if(!solid[i]) continue;
+                    const airAbove = y === sy - 1 || !solid[i + sx * sz];
+                    data[i] = this.kindOf(Biomes.match(oy + y, slope, moisture), airAbove ? 0 : 1);
+                }
+            }
+            return { sx, sy, sz, x0, oy, z0, heights, data, kinds };
+        }
+
+        for(let z = 0; z < sz; z++) for(let x = 0; x < sx; x++) heights[z * sx + x] = sampleAt(x0 + x, z0 + z);
+        Post.apply(postStages, heights, sx, sz, { x0, z0 });
+        let minY = Infinity, maxY = -Infinity;
+        heights.forEach(y => {
+            minY = Math.min(minY, Math.floor(y));
+            maxY = Math.max(maxY, Math.floor(y));
+        });
+        // Full columns down to LAYERS below the lowest surface, within build height
+        const oy = Math.max(minY - LAYERS + 1, maxY - this.maxHeight + 1);
+        const sy = maxY - oy + 1;
+        if(!withBlocks) return { sx, sy, sz, x0, oy, z0, heights, data: null, kinds };
+
+        const data = new Uint8Array(sx * sy * sz);
+        for(let z = 0; z < sz; z++) for(let x = 0; x < sx; x++) {
+            const surface = Math.floor(heights[z * sx + x]);
+            const rule = Biomes.match(surface, slopeAt(heights, all, sx, x, z), moistureAt(x, z));
+            for(let y = oy; y <= surface; y++) {
+                data[((y - oy) * sz + z) * sx + x] = this.kindOf(rule, surface - y);
+            }
+        }
+        return { sx, sy, sz, x0, oy, z0, heights, data, kinds };
+    },
+
+    // Palette of distinct block states in the volume; returns { states, index: kind -> palette id }
+    palette: function(vol) {
+        const used = new Set(vol.data);
+        const states = [];
+        const index = new Map();
+        [...used].sort((a, b) => a - b).forEach(kind => {
+            const state = vol.kinds[kind].state;
+            if(!states.includes(state)) states.push(state);
+            index.set(kind, states.indexOf(state));
+        });
+        return { states, index };
+    },
+
+    toSchem: async function(vol) {
+        const { states, index } = this.palette(vol);
+        const blockData = byteWriter();
+        for(let i = 0; i < vol.data.length; i++) {
+            let v = index.get(vol.data[i]);
+            while(v & ~0x7F) { blockData.u8((v & 0x7F) | 0x80); v >>>= 7; }
+            blockData.u8(v);
+        }
+        const paletteTag = {};
+        states.forEach((state, i) => { paletteTag[state] = Nbt.int(i); });
+        const root = Nbt.compound({
+            Version: Nbt.int(2),
+            DataVersion: Nbt.int(this.dataVersion),
+            Width: Nbt.short(vol.sx),
+            Height: Nbt.short(vol.sy),
+            Length: Nbt.short(vol.sz),
+            Offset: Nbt.intArray([vol.x0, vol.oy, vol.z0]),
+            PaletteMax: Nbt.int(states.length),
+            Palette: Nbt.compound(paletteTag),
+            BlockData: Nbt.byteArray(blockData.result()),
+            BlockEntities: Nbt.list(10, [])
+        });
+        return compressBytes(Nbt.encode('Schematic', root), 'gzip');
+    },
+
+    // Vanilla structure file; air is left out so placing it keeps whatever was there
+    toStructure: async function(vol) {
+        const { states, index } = this.palette(vol);
+        const palette = states.map(state => {
+            const m = state.match(/^([^[]+)(?:\[(.*)\])?$/);
+            const entry = { Name: Nbt.string(m[1]) };
+            if(m[2]) {
+                const props = {};
+                m[2].split(',').forEach(kv => { const [k, v] = kv.split('='); props[k] = Nbt.string(v); });
+                entry.Properties = Nbt.compound(props);
+            }
+            return entry;
+        });
+        const blocks = [];
+        for(let y = 0; y < vol.sy; y++) for(let z = 0; z < vol.sz; z++) for(let x = 0; x < vol.sx; x++) {
+            const kind = vol.data[(y * vol.sz + z) * vol.sx + x];
+            if(kind) blocks.push({ pos: Nbt.list(3, [x, y, z]), state: Nbt.int(index.get(kind)) });
+        }
+        const root = Nbt.compound({
+            DataVersion: Nbt.int(this.dataVersion),
+            size: Nbt.list(3, [vol.sx, vol.sy, vol.sz]),
+            palette: Nbt.list(10, palette),
+            blocks: Nbt.list(10, blocks),
+            entities: Nbt.list(10, [])
+        });
+        return compressBytes(Nbt.encode('', root), 'gzip');
+    },
+
+    // Quads for every block face that touches air or the region edge, in local block coordinates
+    faces: [
+        { n: [1, 0, 0], c: [[1,0,0], [1,1,0], [1,1,1], [1,0,1]] },
+        { n: [-1, 0, 0], c: [[0,0,0], [0,0,1], [0,1,1], [0,1,0]] },
+        { n: [0, 1, 0], c: [[0,1,0], [0,1,1], [1,1,1], [1,1,0]] },
+        { n: [0, -1, 0], c: [[0,0,0], [1,0,0], [1,0,1], [0,0,1]] },
+        { n: [0, 0, 1], c: [[0,0,1], [1,0,1], [1,1,1], [0,1,1]] },
+        { n: [0, 0, -1], c: [[0,0,0], [0,1,0], [1,1,0], [1,0,0]] }
+    ],
+
+    buildQuads: function(vol) {
+        const { sx, sy, sz, data } = vol;
+        const solidAt = (x, y, z) => x >= 0 && y >= 0 && z >= 0 && x < sx && y < sy && z < sz && data[(y * sz + z) * sx + x] !== 0;
+        const quads = [];
+        for(let y = 0; y < sy; y++) for(let z = 0; z < sz; z++) for(let x = 0; x < sx; x++) {
+            const kind = data[(y * sz + z) * sx + x];
+            if(!kind) continue;
+            for(const face of this.faces) {
+                if(solidAt(x + face.n[0], y + face.n[1], z + face.n[2])) continue;
+                quads.push({ x, y, z, face, color: vol.kinds[kind].color });
+            }
+        }
+        return quads;
+    },
+
+    toObj: function(vol) {
+        const lines = ['# Math Function Formula Generator', `# ${ui.input.value}`];
+        const faces = [];
+        const rgb = {};
+        let v = 1;
+        for(const q of this.buildQuads(vol)) {
+            q.color.getRGB(rgb, THREE.SRGBColorSpace);
+            const col = `${rgb.r.toFixed(3)} ${rgb.g.toFixed(3)} ${rgb.b.toFixed(3)}`;
+            for(const c of q.face.c) lines.push(`v ${q.x + c[0]} ${q.y + c[1]} ${q.z + c[2]} ${col}`);
+            faces.push(`f ${v} ${v + 1} ${v + 2} ${v + 3}`);
+            v += 4;
+        }
+        return lines.concat(faces).join('\n') + '\n';
+    },
+
+    toStl: function(vol) {
+        const quads = this.buildQuads(vol);
+        const w = byteWriter(true);
+        const header = new Uint8Array(80);
+        header.set(new TextEncoder().encode('Math Function Formula Generator'));
+        w.bytes(header);
+        w.u32(quads.length * 2);
+        for(const q of quads) {
+            const [a, b, c, d] = q.face.c;
+            for(const tri of [[a, b, c], [a, c, d]]) {
+                q.face.n.forEach(n => w.f32(n));
+                tri.forEach(p => { w.f32(q.x + p[0]); w.f32(q.y + p[1]); w.f32(q.z + p[2]); });
+                w.u16(0);
+            }
+        }
+        return w.result();
+    },
+
+    toGlb: function(vol) {
+        const quads = this.buildQuads(vol);
+        const count = quads.length * 4;
+        const pos = new Float32Array(count * 3), nrm = new Float32Array(count * 3), col = new Float32Array(count * 3);
+        const idx = new Uint32Array(quads.length * 6);
+        quads.forEach((q, i) => {
+            q.face.c.forEach((c, k) => {
+                const o = (i * 4 + k) * 3;
+                pos[o] = q.x + c[0]; pos[o + 1] = q.y + c[1]; pos[o + 2] = q.z + c[2];
+                nrm.set(q.face.n, o);
+                // glTF vertex colors are linear, which is what THREE.Color stores
+                col[o] = q.color.r; col[o + 1] = q.color.g; col[o + 2] = q.color.b;
+            });
+            idx.set([i * 4, i * 4 + 1, i * 4 + 2, i * 4, i * 4 + 2, i * 4 + 3], i * 6);
+        });
+
+        const views = [pos, nrm, col, idx];
+        const bin = byteWriter(true);
+        const bufferViews = views.map((arr, i) => {
+            const view = { buffer: 0, byteOffset: bin.result().length, byteLength: arr.byteLength, target: i === 3 ? 34963 : 34962 };
+            bin.bytes(new Uint8Array(arr.buffer));
+            return view;
+        });
+        const accessors = [
+            { bufferView: 0, componentType: 5126, count, type: 'VEC3', min: [0, 0, 0], max: [vol.sx, vol.sy, vol.sz] },
+            { bufferView: 1, componentType: 5126, count, type: 'VEC3' },
+            { bufferView: 2, componentType: 5126, count, type: 'VEC3' },
+            { bufferView: 3, componentType: 5125, count: idx.length, type: 'SCALAR' }
+        ];
+        const binBytes = bin.result();
+        const gltf = {
+            asset: { version: '2.0', generator: 'Math Function Formula Generator' },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ mesh: 0, name: ui.genName.textContent }],
+            meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 }, indices: 3, material: 0 }] }],
+            materials: [{ pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 0.9 } }],
+            buffers: [{ byteLength: binBytes.length }],
+            bufferViews,
+            accessors
+        };
+
+        // Both chunks are padded to 4 bytes: JSON with spaces, BIN with zeros
+        const pad = (bytes, fill) => {
+            const out = new Uint8Array(Math.ceil(bytes.length / 4) * 4).fill(fill);
+            out.set(bytes);
+            return out;
+        };
+        const json = pad(new TextEncoder().encode(JSON.stringify(gltf)), 0x20);
+        const binChunk = pad(binBytes, 0);
+        const w = byteWriter(true);
+        w.u32(0x46546C67); w.u32(2); w.u32(12 + 8 + json.length + 8 + binChunk.length);
+        w.u32(json.length); w.u32(0x4E4F534A); w.bytes(json);
+        w.u32(binChunk.length); w.u32(0x004E4942); w.bytes(binChunk);
+        return w.result();
+    },
+
+    // Heights stretched to the full 16-bit range; the real range goes into the PNG comment
+    toPng: function(vol) {
+        return heightmapPng(vol.heights, vol.sx, vol.sz, `x0=${vol.x0} z0=${vol.z0}`);
+    },
+
+    run: async function(format, cx, cz, size) {
+        const spec = this.formats[format];
+        let limit = spec.maxSize;
+        if(terrainMode === 'density') limit = Math.min(limit, this.maxDensitySize);
+        const clamped = Math.max(1, Math.min(limit, Math.floor(size)));
+
+        const vol = this.sampleVolume(cx, cz, clamped, format !== 'png');
+        const base = (ui.genName.textContent || 'terrain').replace(/[^\w-]+/g, '_');
+        const outputs = {
+            schem: () => this.toSchem(vol),
+            nbt: () => this.toStructure(vol),
+            obj: () => this.toObj(vol),
+            stl: () => this.toStl(vol),
+            glb: () => this.toGlb(vol),
+            png: () => this.toPng(vol)
+        };
+        const types = { obj: 'text/plain', png: 'image/png', glb: 'model/gltf-binary' };
+        const content = await outputs[format]();
+        downloadFile(`${base}_${clamped}x${clamped}.${format}`, new Blob([content], { type: types[format] || 'application/octet-stream' }));
+        return clamped;
+    }
+};
+
+ui.btnExport.onclick = () => {
+    ui.exportX.value = Math.floor(controls.target.x);
+    ui.exportZ.value = Math.floor(controls.target.z);
+    ui.exportSize.value = Render.size(terrainMode);
+    ui.exportDialog.hidden = false;
+};
+
+ui.exportCancel.onclick = () => { ui.exportDialog.hidden = true; };
+
+ui.exportFormat.innerHTML = Object.entries(Exporter.formats)
+    .map(([key, f]) => `<option value="${key}">${f.label} - max ${f.maxSize}</option>`).join('');
+
+ui.exportRun.onclick = async () => {
+    if(!compiledFunc) { showToast("FIX THE FORMULA FIRST"); return; }
+    const cx = Math.floor(Number(ui.exportX.value) || 0);
+    const cz = Math.floor(Number(ui.exportZ.value) || 0);
+    const size = Number(ui.exportSize.value) || GRID;
+    ui.exportDialog.hidden = true;
+    showToast("EXPORTING...");
+    // Let the toast paint before the sampling blocks the thread
+    await new Promise(r => setTimeout(r, 50));
+    try {
+        const used = await Exporter.run(ui.exportFormat.value, cx, cz, size);
+        showToast(used < size ? `EXPORTED (CLAMPED TO ${used})` : "EXPORTED");
+    } catch(e) {
+        showToast("EXPORT FAILED: " + e.message);
+    }
+};
+
+// Animation capture. PNG frames step t exactly by speed / fps and wait for each frame to be sampled.
+// WebM records the canvas in real time while playing, so slow formulas show dropped frames.
+const Recorder = {
+    active: false,
+    stepping: false,    // PNG frames set t themselves, so the clock must not advance meanwhile
+    maxFrames: 600,
+
+    canvasBlob: () => new Promise(resolve => renderer.domElement.toBlob(resolve, 'image/png')),
+
+    waitForTerrain: async function() {
+        while(Chunks.busy()) await new Promise(r => setTimeout(r, 30));
+        rebuildTerrain();
+    },
+
+    pngFrames: async function(base, frames, fps) {
+        const t0 = Clock.t;
+        const files = [];
+        this.stepping = true;
+        try {
+            for(let i = 0; i < frames; i++) {
+                setTime(t0 + i / fps * Clock.speed);
+                updateTerrain(true);
+                await this.waitForTerrain();
+                // Rendered and read back in one go, before the drawing buffer is cleared
+                renderFrame();
+                const blob = await this.canvasBlob();
+                files.push({ name: `${base}_${String(i + 1).padStart(4, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+                ui.btnRecord.innerHTML = `<span>⏺</span> ${i + 1}/${frames}`;
+            }
+        } finally {
+            this.stepping = false;
+        }
+        setTime(t0);
+        updateTerrain(true);
+        downloadFile(`${base}_frames.zip`, new Blob([Zip.encode(files)], { type: 'application/zip' }));
+    },
+
+    webm: async function(base, seconds, fps) {
+        const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+        const recorder = new MediaRecorder(renderer.domElement.captureStream(fps), { mimeType: type });
+        const chunks = [];
+        recorder.ondataavailable = (e) => { if(e.data.size) chunks.push(e.data); };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+        setPlaying(true);
+        await new Promise(r => setTimeout(r, seconds * 1000));
+        recorder.stop();
+        await stopped;
+        setPlaying(false);
+        downloadFile(`${base}.webm`, new Blob(chunks, { type: recorder.mimeType || type || 'video/webm' }));
+    },
+
+    run: async function(format, seconds, fps) {
+        const base = (ui.genName.textContent || 'terrain').replace(/[^\w-]+/g, '_');
+        const frames = Math.max(1, Math.min(this.maxFrames, Math.round(seconds * fps)));
+        setPlaying(false);
+        this.active = true;
+        try {
+            if(format === 'webm') await this.webm(base, frames / fps, fps);
+            else await this.pngFrames(base, frames, fps);
+        } finally {
+            this.active = false;
+            ui.btnRecord.innerHTML = '<span>⏺</span> REC';
+        }
+        return frames;
+    }
+};
+
+ui.btnRecord.onclick = () => {
+    if(Recorder.active) return;
+    // WebM needs MediaRecorder and canvas capture; PNG frames work everywhere
+    const webm = typeof MediaRecorder !== 'undefined' && typeof renderer.domElement.captureStream === 'function';
+    ui.recordFormat.querySelector('[value="webm"]').disabled = !webm;
+    if(!webm) ui.recordFormat.value = 'png';
+    ui.recordDialog.hidden = false;
+};
+
+ui.recordCancel.onclick = () => { ui.recordDialog.hidden = true; };
+
+ui.recordRun.onclick = async () => {
+    if(!compiledFunc) { showToast("FIX THE FORMULA FIRST"); return; }
+    const seconds = Math.max(0.1, Number(ui.recordSeconds.value) || 4);
+    const fps = Math.max(1, Math.min(60, Math.floor(Number(ui.recordFps.value) || 24)));
+    ui.recordDialog.hidden = true;
+    if(!compiledFunc.usesTime) showToast("NO t IN THE FORMULA, FRAMES WILL BE IDENTICAL");
+    try {
+        const frames = await Recorder.run(ui.recordFormat.value, seconds, fps);
+        showToast(frames < Math.round(seconds * fps) ? `RECORDED (CAPPED AT ${frames} FRAMES)` : "RECORDED");
+    } catch(e) {
+        showToast("RECORDING FAILED: " + e.message);
+    }
 };
 
 // INITIALIZE
-initGen();
+Library.restore();
+// Custom themes are checked against the definitions, so those come first
+Defs.restore();
+Themes.restore();
+renderThemePicker();
+renderPostPanel();
+renderConstraints();
+const linked = Permalink.decode(location.hash);
+if(linked) {
+    applyState(linked);
+    addToHistory({
+        formula: linked.formula, noise: linked.noise, type: linked.type, name: linked.name,
+        seed: linked.seed, mode: linked.mode, biomes: Biomes.toJSON(), post: linked.post
+    });
+} else {
+    initGen();
+}
+// Compare mode's split view: A on the left, B on the right, through the same camera
+function renderSplit() {
+    const w = container.clientWidth, h = container.clientHeight, half = Math.floor(w / 2);
+    renderer.setScissorTest(true);
+    for(const [layer, x] of [[terrainLayer, 0], [compareLayer, half]]) {
+        terrainLayer.group.visible = layer === terrainLayer;
+        compareLayer.group.visible = layer === compareLayer;
+        renderer.setViewport(x, 0, half, h);
+        renderer.setScissor(x, 0, half, h);
+        renderer.render(scene, camera);
+    }
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, w, h);
+    terrainLayer.group.visible = true;
+    compareLayer.group.visible = false;
+}
+
+function renderFrame() {
+    if(Compare.splitting()) renderSplit();
+    else renderer.render(scene, camera);
+}
+
 function animate() {
     requestAnimationFrame(animate);
+    const now = performance.now();
     controls.update();
-    renderer.render(scene, camera);
+    if(Clock.playing && !Recorder.stepping) advanceClock(now);
+    // Chunks stream in from the workers; fold them in at most every 60ms.
+    // While playing, a frame is only shown once all of it has been sampled.
+    if(Chunks.dirty && now - lastRebuild > 60 && !(Clock.playing && Chunks.busy())) rebuildTerrain();
+    // The map canvas covers the scene
+    if(!MapView.active) renderFrame();
 }
 animate();
@@ -0,0 +1,117 @@
+// The mathgen command: exit codes and output files
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const CLI = new URL('../cli.js', import.meta.url).pathname;
+let dir;
+
+const mathgen = (...args) => {
+    const r = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+    return { code: r.status, out: r.stdout, err: r.stderr };
+};
+
+before(() => { dir = mkdtempSync(join(tmpdir(), 'mathgen-')); });
+after(() => { rmSync(dir, { recursive: true, force: true }); });
+
+test('validate exits 0 when every formula compiles', () => {
+    const file = join(dir, 'ok.txt');
+    writeFileSync(file, '# comment\nsin(x*0.1)*10\n\nf(a) = a*2; f(z)\n');
+    const r = mathgen('validate', file);
+    assert.equal(r.code, 0);
+    assert.match(r.out, /ok {4}line 2\nok {4}line 4\n2 of 2 formulas ok/);
+});
+
+test('validate exits 1 when a formula fails', () => {
+    const file = join(dir, 'bad.txt');
+    writeFileSync(file, 'x + z\nsin(x\ny\n');
+    const r = mathgen('validate', file);
+    assert.equal(r.code, 1);
+    assert.match(r.out, /FAIL {2}line 2: Expected '\)'/);
+    assert.match(r.out, /FAIL {2}line 3: 'y' is only available in density mode/);
+    assert.match(r.out, /1 of 3 formulas ok/);
+    assert.equal(mathgen('validate', file, '--mode', 'density').code, 1);
+});
+
+test('validate checks library exports with their definitions and modes', () => {
+    const file = join(dir, 'library.json');
+    writeFileSync(file, JSON.stringify({
+        definitions: ['bump(a) = a*a'],
+        saved: [{ name: 'Bumps', formula: 'bump(x)' }, { name: 'Caves', formula: 'y - bump(z)', mode: 'density' }],
+        history: [{ name: 'Broken', formula: 'bump(' }]
+    }));
+    const r = mathgen('validate', file);
+    assert.equal(r.code, 1);
+    assert.match(r.out, /ok {4}Bumps\nok {4}Caves\nFAIL {2}Broken/);
+});
+
+test('usage errors exit 2, missing files exit 1', () => {
+    assert.equal(mathgen('validate').code, 2);
+    assert.equal(mathgen('validate', join(dir, 'ok.txt'), '--mode', 'sideways').code, 2);
+    assert.equal(mathgen('frobnicate').code, 2);
+    assert.equal(mathgen('render', 'x', '--bogus').code, 2);
+    const missing = mathgen('validate', join(dir, 'nope.txt'));
+    assert.equal(missing.code, 1);
+    assert.match(missing.err, /ENOENT/);
+});
+
+test('render writes png, csv and json, and checks --out before sampling', () => {
+    const png = join(dir, 'h.png');
+    const r = mathgen('render', 'x + z', '--out', png, '--size', '4', '--x=2', '--z=2');
+    assert.equal(r.code, 0);
+    assert.match(r.out, /4x4 columns from \(0, 0\), heights 0 to 6/);
+    assert.deepEqual(Array.from(readFileSync(png).subarray(0, 8)), [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+    const csv = join(dir, 'h.csv');
+    assert.equal(mathgen('render', 'x', '--out', csv, '--size', '2', '--x=0', '--z=0').code, 0);
+    assert.equal(readFileSync(csv, 'utf8'), '-1,0\n-1,0\n');
+
+    const json = join(dir, 'h.json');
+    assert.equal(mathgen('render', 'x', '--out', json, '--size', '3').code, 0);
+    assert.deepEqual(JSON.parse(readFileSync(json, 'utf8')).heights, [-1, 0, 1, -1, 0, 1, -1, 0, 1]);
+    assert.equal(JSON.parse(readFileSync(json, 'utf8')).post, null);
+
+    const txt = join(dir, 'h.txt');
+    const bad = mathgen('render', 'x', '--out', txt, '--size', '100000');
+    assert.equal(bad.code, 2);
+    assert.match(bad.err, /--out must end in \.png, \.csv or \.json/);
+    assert.ok(!existsSync(txt));
+    assert.equal(mathgen('render', 'sin(x', '--out', json).code, 1);
+});
+
+test('render runs a post-processing pipeline', () => {
+    const json = join(dir, 'post.json');
+    assert.equal(mathgen('render', 'x', '--out', json, '--size', '3', '--post', '[{"type":"sea","on":true,"level":0}]').code, 0);
+    const data = JSON.parse(readFileSync(json, 'utf8'));
+    assert.deepEqual(data.heights, [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+    assert.equal(data.post[0].type, 'sea');
+    assert.equal(mathgen('render', 'x', '--out', json, '--post', '{').code, 2);
+    assert.equal(mathgen('render', 'y', '--mode', 'density', '--out', json, '--post', '[]').code, 2);
+});
+
+test('generate is reproducible from its seed', () => {
+    const a = mathgen('generate', '--count', '3', '--seed', '42');
+    assert.equal(a.code, 0);
+    assert.equal(a.out.trim().split('\n').length, 3);
+    assert.equal(mathgen('generate', '--count', '3', '--seed', '42').out, a.out);
+
+    const lib = mathgen('generate', '--count', '2', '--seed', '7', '--json');
+    assert.equal(lib.code, 0);
+    assert.deepEqual(JSON.parse(lib.out).saved.map(e => e.seed), [7, 8]);
+    assert.equal(mathgen('generate', '--count', '0').code, 2);
+});
+
+test('generate retries against constraints', () => {
+    const lib = mathgen('generate', '--count', '2', '--seed', '7', '--json', '--constraints', '{"minY":-100,"tries":3}');
+    assert.equal(lib.code, 0);
+    assert.deepEqual(JSON.parse(lib.out).saved.map(e => e.seed), [7, 8]);
+    // Unreachable targets still give a formula, with the misses on stderr
+    const missed = mathgen('generate', '--seed', '1', '--constraints', '{"minY":5000,"tries":2}');
+    assert.equal(missed.code, 0);
+    assert.equal(missed.out.trim().split('\n').length, 1);
+    assert.match(missed.err, /seed 1: best of 2 missed height/);
+    assert.equal(mathgen('generate', '--constraints', 'nope').code, 2);
+});
@@ -0,0 +1,157 @@
+// Theme picking, post-processing stages, constrained generation and file writers
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { seedAll, THEMES, Generator, compile, sampleRegion, Constraints, Post, Png, heightmapPng } from '../core.js';
+
+const pipeline = (type, params = {}) => Post.normalize([{ type, on: true, ...params }]);
+const sum = (h) => h.reduce((a, b) => a + b, 0);
+const steepest = (h, w) => {
+    let most = 0;
+    for(let p = 0; p < h.length; p++) {
+        if(p % w < w - 1) most = Math.max(most, Math.abs(h[p] - h[p + 1]));
+        if(p + w < h.length) most = Math.max(most, Math.abs(h[p] - h[p + w]));
+    }
+    return most;
+};
+const hills = (w, d) => {
+    const h = new Float32Array(w * d);
+    for(let z = 0; z < d; z++) for(let x = 0; x < w; x++) h[z * w + x] = Math.sin(x * 0.4) * 12 + Math.cos(z * 0.3) * 8;
+    return h;
+};
+
+test('themes are picked by weight from the enabled ones', () => {
+    assert.ok(THEMES.every(t => t.weight === 1 && t.enabled === true && (t.mode === 'height' || t.mode === 'density')));
+    seedAll(3);
+    const themes = [{ name: 'A', weight: 3, enabled: true }, { name: 'B', weight: 1, enabled: true }, { name: 'Off', weight: 5, enabled: false }, { name: 'Zero', weight: 0, enabled: true }];
+    const counts = { A: 0, B: 0, Off: 0, Zero: 0 };
+    for(let i = 0; i < 4000; i++) counts[Generator.pickTheme(themes).name]++;
+    assert.equal(counts.Off + counts.Zero, 0);
+    assert.ok(counts.A > counts.B * 2 && counts.A < counts.B * 4);
+    // With nothing enabled every theme is fair game
+    assert.equal(Generator.pickTheme([{ name: 'Only', weight: 0, enabled: false }]).name, 'Only');
+});
+
+test('Post.normalize keeps saved order, clamps parameters and adds missing stages', () => {
+    const out = Post.normalize([{ type: 'sea', on: true, level: 500 }, { type: 'bogus' }, { type: 'smooth', sigma: 'x' }, { type: 'sea' }]);
+    assert.deepEqual(out.map(s => s.type), ['sea', 'smooth', 'hydraulic', 'thermal', 'terrace']);
+    assert.equal(out[0].level, Post.stages.sea.params.level.max);
+    assert.equal(out[1].sigma, Post.stages.smooth.params.sigma.value);
+    assert.equal(out[1].on, false);
+    assert.equal(Post.toJSON(Post.defaults()), null);
+    assert.deepEqual(Post.normalize(Post.toJSON(out)), out);
+});
+
+test('sea level and terracing', () => {
+    const h = Float32Array.from([-10, -3, 0, 7.5]);
+    Post.apply(pipeline('sea', { level: -2 }), h, 4, 1);
+    assert.deepEqual(Array.from(h), [-2, -2, 0, 7.5]);
+
+    const t = Float32Array.from([0, 5, 6, 13, -1]);
+    Post.apply(pipeline('terrace', { step: 6, sharpness: 1 }), t, 5, 1);
+    assert.deepEqual(Array.from(t), [0, 0, 6, 12, -6]);
+});
+
+test('smoothing flattens slopes and leaves unusable columns alone', () => {
+    const w = 16, h = hills(w, w), holed = hills(w, w);
+    Post.apply(pipeline('smooth', { sigma: 4 }), h, w, w);
+    assert.ok(steepest(h, w) < steepest(hills(w, w), w) / 2);
+
+    const usable = new Uint8Array(w * w).fill(1);
+    usable[5] = 0;
+    Post.apply(pipeline('smooth', { sigma: 2 }), holed, w, w, { usable });
+    assert.equal(holed[5], hills(w, w)[5]);
+    assert.notEqual(holed[6], hills(w, w)[6]);
+
+    const flat = new Float32Array(64).fill(3);
+    Post.apply(pipeline('smooth'), flat, 8, 8);
+    flat.forEach(v => assert.ok(Math.abs(v - 3) < 1e-5));
+});
+
+test('thermal erosion moves material downhill without losing it', () => {
+    const w = 16, h = hills(w, w), total = sum(h);
+    Post.apply(pipeline('thermal', { passes: 50, talus: 1, rate: 0.5 }), h, w, w);
+    assert.ok(steepest(h, w) < steepest(hills(w, w), w));
+    assert.ok(Math.abs(sum(h) - total) < 1e-2);
+});
+
+test('hydraulic erosion is reproducible from the window position and keeps its mass', () => {
+    const w = 24, stages = pipeline('hydraulic', { drops: 2 });
+    const a = hills(w, w), b = hills(w, w), c = hills(w, w), total = sum(a);
+    Post.apply(stages, a, w, w, { x0: 100, z0: -40 });
+    Post.apply(stages, b, w, w, { x0: 100, z0: -40 });
+    Post.apply(stages, c, w, w, { x0: 0, z0: 0 });
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+    assert.notDeepEqual(a, hills(w, w));
+    assert.ok(Math.abs(sum(a) - total) < 1e-1);
+});
+
+test('Constraints.measure and check', () => {
+    const flat = Constraints.measure(compile('5'));
+    assert.equal(flat.min, 5);
+    assert.equal(flat.max, 5);
+    assert.equal(flat.water, 0);
+    assert.equal(Constraints.roughnessOf(flat.roughness), 'flat');
+    assert.deepEqual(Constraints.check(flat, Constraints.normalize({ minY: 0, maxY: 10, roughness: 'flat' })), []);
+
+    const misses = Constraints.check(flat, Constraints.normalize({ minY: 10, maxWater: 0, roughness: 'wild' }));
+    assert.deepEqual(misses.map(m => m.key), ['height', 'roughness']);
+
+    const broken = Constraints.measure(compile('sqrt(-1 - abs(x))'));
+    assert.deepEqual(Constraints.check(broken, Constraints.normalize({ valid: true })).map(m => m.key), ['valid', 'samples']);
+});
+
+test('Constraints.generate returns the best try, or a compile miss when none compiles', () => {
+    seedAll(1);
+    const themes = [{ name: 'Low', template: '-20 + sin(x*0.1)' }, { name: 'High', template: '20 + sin(x*0.1)' }];
+    let i = 0;
+    const met = Constraints.generate(() => themes[i++ % 2], Constraints.normalize({ minY: 0, tries: 5 }), { level: 'simple', noise: 'NONE' });
+    assert.equal(met.data.type, 'High');
+    assert.equal(met.tries, 2);
+    assert.deepEqual(met.misses, []);
+
+    const broken = Constraints.generate(() => ({ name: 'Broken', template: 'nope(x' }), Constraints.normalize({ minY: 0, tries: 3 }), { level: 'simple', noise: 'NONE' });
+    assert.equal(broken.tries, 3);
+    assert.equal(broken.stats, null);
+    assert.equal(broken.data.formula, 'nope(x');
+    assert.deepEqual(broken.misses.map(m => m.key), ['compile']);
+});
+
+// Chunks of a PNG file as { type, data }, checking the signature and every CRC
+function readPng(bytes) {
+    assert.deepEqual(Array.from(bytes.subarray(0, 8)), [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    for(let p = 8; p < bytes.length;) {
+        const length = view.getUint32(p);
+        const body = bytes.subarray(p + 4, p + 8 + length);
+        assert.equal(view.getUint32(p + 8 + length), Png.crc32(body));
+        chunks.push({ type: new TextDecoder().decode(body.subarray(0, 4)), data: body.subarray(4) });
+        p += 12 + length;
+    }
+    return chunks;
+}
+
+test('heightmapPng writes a 16-bit grayscale PNG spanning the height range', async () => {
+    assert.equal(Png.crc32(new TextEncoder().encode('IEND')), 0xAE426082);
+    const w = 5, d = 3, heights = sampleRegion(compile('x + z*10'), 0, 0, w, d);
+    const chunks = readPng(await heightmapPng(heights, w, d, 'x0=0 z0=0'));
+    assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'tEXt', 'IDAT', 'IEND']);
+
+    const ihdr = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+    assert.equal(ihdr.getUint32(0), w);
+    assert.equal(ihdr.getUint32(4), d);
+    assert.deepEqual(Array.from(chunks[0].data.subarray(8)), [16, 0, 0, 0, 0]);
+    assert.equal(new TextDecoder().decode(chunks[1].data), 'Comment\0min=0 max=24 x0=0 z0=0');
+
+    const raw = inflateSync(chunks[2].data);
+    assert.equal(raw.length, d * (1 + w * 2));
+    for(let z = 0; z < d; z++) {
+        assert.equal(raw[z * (1 + w * 2)], 0);
+        for(let x = 0; x < w; x++) {
+            const at = z * (1 + w * 2) + 1 + x * 2;
+            assert.equal(raw[at] * 256 + raw[at + 1], Math.round((x + z * 10) / 24 * 65535));
+        }
+    }
+});
@@ -0,0 +1,83 @@
+// Parser, compiler, definitions and simplifier
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Formula, FormulaError, Simplify, evaluate } from '../engine.js';
+
+const compile = (src, vars = Formula.vars, library = []) => Formula.compile(Formula.parse(src, vars, library));
+const fails = (src, vars = Formula.vars, library = []) => {
+    try {
+        compile(src, vars, library);
+    } catch(e) {
+        if(e instanceof FormulaError) return e;
+        throw e;
+    }
+    assert.fail(`'${src}' compiled`);
+};
+
+test('compiles and evaluates formulas', () => {
+    assert.equal(evaluate(compile('sin(x*0.1)*10 + z/2'), 5, 4), Math.sin(0.5) * 10 + 2);
+    assert.equal(evaluate(compile('2^3^2 - -x'), 1, 0), 513);
+    assert.equal(evaluate(compile('x > 0 ? x : -x'), -3, 0), 3);
+});
+
+test('reports parse errors with their position', () => {
+    assert.equal(fails('1 +').pos, 3);
+    assert.equal(fails('sin(x').pos, 5);
+    assert.equal(fails('x +* 2').pos, 3);
+    const e = fails('foo(x)');
+    assert.equal(e.pos, 0);
+    assert.match(e.message, /Unknown function 'foo' at col 1/);
+    assert.match(fails('q').message, /Unknown identifier 'q'/);
+});
+
+test('density formulas see y, heightmaps do not', () => {
+    assert.match(fails('y + 1').message, /'y' is only available in density mode/);
+    assert.equal(evaluate(compile('y - 4', Formula.densityVars), 0, 0, 10), 6);
+});
+
+test('formulas can use the playback time t', () => {
+    assert.equal(evaluate(compile('x + t*2'), 1, 0, 0, 3), 7);
+    assert.equal(evaluate(compile('x + t*2'), 1, 0), 1);
+    assert.equal(evaluate(compile('y - t', Formula.densityVars), 0, 0, 5, 2), 3);
+});
+
+test('definitions can use the ones before them', () => {
+    assert.equal(evaluate(compile('f(a) = a*2; g(b) = f(b) + 1; g(x)'), 3, 0), 7);
+    assert.equal(evaluate(compile('k = 4; h(v) = v*k; h(z)'), 0, 2), 8);
+    assert.match(fails('x(a) = a; x(1)').message, /'x' is a variable and can't be redefined/);
+});
+
+test('rejects recursive definitions', () => {
+    assert.match(fails('f(a) = f(a) + 1; f(x)').message, /Unknown function 'f'/);
+    assert.match(fails('h = h + 1; h').message, /Unknown identifier 'h'/);
+    // A definition can only use the ones before it, so mutual recursion can't be written either
+    assert.match(fails('f(a) = g(a); g(a) = f(a); f(x)').message, /Unknown function 'g'/);
+    // Broken library entries are skipped, not used
+    assert.match(fails('f(x)', Formula.vars, ['f(a) = f(a) * 2']).message, /Unknown function 'f'/);
+    assert.equal(evaluate(compile('f(x)', Formula.vars, ['f(a) = a * 2']), 3, 0), 6);
+});
+
+test('simplified formulas print, parse and evaluate the same', () => {
+    const cases = [
+        ['x*1 + 0', 'x'],
+        ['(2+3)*x', '5*x'],
+        ['sin(x*0.1)*10 + cos(z*0.05)*4', null],
+        ['f(a) = a*2; f(x) + f(z)', null],
+        ['x > 0 ? x : -x', null]
+    ];
+    for(const [src, want] of cases) {
+        const out = Simplify.checked(Formula.parse(src));
+        assert.ok(out.ok, src);
+        const printed = Formula.print(out.ast);
+        if(want) assert.equal(printed, want);
+        assert.ok(Simplify.verify(Formula.parse(src), Formula.parse(printed)).ok, `${src} => ${printed}`);
+    }
+});
+
+test('simplifies density formulas over y', () => {
+    const src = '(10 - y)*0.1 + 0*x', vars = Formula.densityVars;
+    const out = Simplify.checked(Formula.parse(src, vars), vars);
+    assert.ok(out.ok);
+    const a = compile(src, vars), b = compile(Formula.print(out.ast), vars);
+    for(const y of [-20, 0, 10, 40]) assert.equal(evaluate(a, 3, 7, y), evaluate(b, 3, 7, y));
+});
@@ -0,0 +1,46 @@
+// Terrain sampling worker: compiles each formula once and keeps the last few, since compare mode and
+// playback interleave jobs for several terrain keys; then fills chunks on request
+import { seedAll, Formula, CHUNK_SIZE, sampleChunk, columnTops } from './engine.js';
+
+const MAX_COMPILED = 8;
+const compiled = new Map();     // mode|formula|moisture|library -> { fn, moistureFn }, least recently used first
+let currentSeed = null;
+
+// Compiling doesn't depend on the seed or t, so keys that differ only in those share an entry
+function compiledFor(formula, library, moisture, mode) {
+    const id = `${mode}|${formula}|${moisture || ''}|${library.join(';')}`;
+    let entry = compiled.get(id);
+    if(entry) {
+        compiled.delete(id);
+    } else {
+        entry = {
+            fn: Formula.compile(Formula.parse(formula, mode === 'density' ? Formula.densityVars : Formula.vars, library)),
+            moistureFn: moisture ? Formula.compile(Formula.parse(moisture, Formula.columnVars)) : null
+        };
+        if(compiled.size >= MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+    }
+    compiled.set(id, entry);
+    return entry;
+}
+
+self.onmessage = (e) => {
+    const { job, formula, library, moisture, seed, mode, t, step, tops, cx, cz } = e.data;
+    try {
+        const { fn, moistureFn } = compiledFor(formula, library, moisture, mode);
+        // Noise tables and rand() follow the seed; rebuilding them is cheap next to compiling
+        if(seed !== currentSeed) {
+            seedAll(seed);
+            currentSeed = seed;
+        }
+        const faults = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+        let data = sampleChunk(fn, mode, cx, cz, faults, t, step);
+        // Maps only need the surface of density terrain
+        if(tops) data = columnTops(data);
+        const moist = moistureFn ? sampleChunk(moistureFn, 'height', cx, cz, null, 0, step) : null;
+        const transfer = [data.buffer, faults.buffer];
+        if(moist) transfer.push(moist.buffer);
+        self.postMessage({ job, data, faults, moisture: moist }, transfer);
+    } catch(err) {
+        self.postMessage({ job, error: err.message });
+    }
+};